@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { 
   Plus, 
   Trash2, 
@@ -16,69 +16,616 @@ import {
   Clock,
   Bell,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  ChevronDown,
+  GraduationCap,
+  Pencil,
+  Repeat,
+  BellRing,
+  Download,
+  Upload,
+  Archive,
+  UserCircle,
+  LogOut,
+  Cloud,
+  CloudOff,
+  RefreshCw,
+  HardDrive,
+  Flag,
+  Bot,
+  Undo2,
+  Redo2,
+  Search,
+  SlidersHorizontal,
+  Bookmark,
+  Hash,
+  GripVertical,
+  MapPin,
+  Paperclip,
+  Link2,
+  FileText,
+  Timer,
+  Coffee,
+  Square,
+  Play,
+  BarChart3,
+  TrendingUp,
+  Flame,
+  CalendarClock,
+  Users,
+  UserPlus,
+  Copy,
+  History,
+  Award,
+  Calculator,
+  Keyboard,
+  CornerDownLeft
 } from 'lucide-react';
 import { initializeApp } from 'firebase/app';
 import { 
   getAuth, 
   signInAnonymously, 
   onAuthStateChanged,
-  signInWithCustomToken
+  signInWithCustomToken,
+  signInWithCredential,
+  signOut,
+  linkWithCredential,
+  linkWithPopup,
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  connectAuthEmulator
 } from 'firebase/auth';
 import { 
-  getFirestore, 
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
   collection, 
-  addDoc, 
   updateDoc, 
   deleteDoc, 
+  setDoc,
   doc, 
   onSnapshot, 
   serverTimestamp,
+  Timestamp,
   query,
-  orderBy 
+  orderBy,
+  where,
+  limit as limitTo,
+  writeBatch
 } from 'firebase/firestore';
+import {
+  getStorage,
+  connectStorageEmulator,
+  ref as storageRef,
+  uploadBytes,
+  getDownloadURL,
+  deleteObject
+} from 'firebase/storage';
 
 // --- Firebase Configuration ---
-const firebaseConfig = JSON.parse(__firebase_config);
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 
-// --- Gemini Helper ---
-const callGemini = async (prompt, systemPrompt = "") => {
-  const apiKey = ""; // Injected by environment
-  const fullSystemPrompt = "You are a helpful task management assistant. " + systemPrompt;
-  
-  try {
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent?key=${apiKey}`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          systemInstruction: { parts: [{ text: fullSystemPrompt }] },
-          generationConfig: { 
-            responseMimeType: "application/json" 
-          }
-        }),
+// 'firestore' syncs through Firebase; 'local' keeps everything in this browser's
+// IndexedDB and needs no Firebase project at all
+const storageBackend = typeof __storage_backend !== 'undefined'
+  ? __storage_backend
+  : (firebaseConfig ? 'firestore' : 'local');
+
+const initFirebase = () => {
+  const app = initializeApp(firebaseConfig);
+  const auth = getAuth(app);
+  // Cache documents and queue writes in IndexedDB so the planner keeps working offline
+  const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+  });
+
+  // Local development against `firebase emulators:start`, e.g.
+  // __firebase_emulators = { auth: 'http://127.0.0.1:9099', firestore: { host: '127.0.0.1', port: 8080 },
+  //   storage: { host: '127.0.0.1', port: 9199 } }
+  const emulators = typeof __firebase_emulators !== 'undefined' ? __firebase_emulators : null;
+  if (emulators?.auth) connectAuthEmulator(auth, emulators.auth, { disableWarnings: true });
+  if (emulators?.firestore) connectFirestoreEmulator(db, emulators.firestore.host, emulators.firestore.port);
+
+  // Task attachments; needs `storageBucket` in the Firebase config
+  const storage = getStorage(app);
+  if (emulators?.storage) connectStorageEmulator(storage, emulators.storage.host, emulators.storage.port);
+
+  return { auth, db, storage };
+};
+
+const { auth, db, storage } = storageBackend === 'firestore' ? initFirebase() : { auth: null, db: null, storage: null };
+
+// --- Storage ---
+// Every backend is a repository rooted at a document path (the user's folder)
+// with the same small surface. Collection paths are relative to that root,
+// e.g. 'tasks'.
+//   subscribe(path, { order: [field, 'asc' | 'desc'], where: [field, '==' | 'in', value], limit }, onChange, onError)
+//     -> unsubscribe, onChange(records, { pendingIds }) where pendingIds are not yet on the server
+//   watch(path, id, onChange, onError) -> unsubscribe, onChange(data | null)
+//   newId(path), set(path, id, data, { merge }), update(path, id, data), remove(path, id)
+//   batch(ops) applies several writes at once, all or nothing, where each op is
+//     { type: 'set' | 'update' | 'remove', path, id, data, merge, root }
+//     and root, if given, is another document path the op's path is relative
+//     to (tasks of a shared list; Firestore only). It takes at most BATCH_LIMIT
+//     ops and rejects more with code 'too-many-writes'.
+//   timestamp(date?) -> value to store; the current (server) time when no date is given
+//   upload(path, file) -> { path, url } stores a file (attachments), where url is
+//     a lasting download URL or null when the backend has none
+//   fileURL(path) -> URL to open a stored file, removeFile(path)
+// Writes resolve once durable; update() rejects with code 'not-found' for missing records.
+
+// Firestore's cap on writes in one batch, kept by every backend alike
+const BATCH_LIMIT = 500;
+
+const checkBatchSize = (ops) => {
+  if (ops.length > BATCH_LIMIT) {
+    throw Object.assign(new Error(`A batch takes at most ${BATCH_LIMIT} writes, not ${ops.length}`), { code: 'too-many-writes' });
+  }
+};
+
+// Writes more ops than one batch takes, BATCH_LIMIT at a time and in order.
+// This is not atomic: on failure the chunks before it stay written, and the
+// error carries how many ops were written and a resume() that carries on
+// from the failed chunk with the same ops.
+const batchInChunks = async (target, ops, onProgress = () => {}, start = 0) => {
+  for (let i = start; i < ops.length; i += BATCH_LIMIT) {
+    try {
+      await target.batch(ops.slice(i, i + BATCH_LIMIT));
+    } catch (error) {
+      throw Object.assign(error, { written: i, resume: () => batchInChunks(target, ops, onProgress, i) });
+    }
+    onProgress(Math.min(i + BATCH_LIMIT, ops.length), ops.length);
+  }
+};
+
+const createFirestoreRepository = (root) => {
+  const collectionRef = (path) => collection(db, ...root, ...path.split('/'));
+  const docRef = (path, id) => doc(db, ...root, ...path.split('/'), id);
+
+  return {
+    newId: (path) => doc(collectionRef(path)).id,
+    timestamp: (date) => date ? Timestamp.fromDate(date) : serverTimestamp(),
+
+    subscribe: (path, { order, where: filter, limit } = {}, onChange, onError) => {
+      const constraints = [filter && where(...filter), order && orderBy(order[0], order[1]), limit && limitTo(limit)].filter(Boolean);
+      const q = constraints.length ? query(collectionRef(path), ...constraints) : collectionRef(path);
+      return onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+        onChange(
+          snapshot.docs.map(d => ({ id: d.id, ...d.data({ serverTimestamps: 'estimate' }) })),
+          { pendingIds: snapshot.docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id) }
+        );
+      }, onError);
+    },
+
+    watch: (path, id, onChange, onError) => onSnapshot(docRef(path, id), (snapshot) => {
+      onChange(snapshot.exists() ? snapshot.data() : null);
+    }, onError),
+
+    set: (path, id, data, { merge = false } = {}) => setDoc(docRef(path, id), data, { merge }),
+    update: (path, id, data) => updateDoc(docRef(path, id), data),
+    remove: (path, id) => deleteDoc(docRef(path, id)),
+
+    upload: async (path, file) => {
+      const ref = storageRef(storage, [...root, path].join('/'));
+      await uploadBytes(ref, file, { contentType: file.type || undefined });
+      return { path, url: await getDownloadURL(ref) };
+    },
+    fileURL: (path) => getDownloadURL(storageRef(storage, [...root, path].join('/'))),
+    removeFile: (path) => deleteObject(storageRef(storage, [...root, path].join('/'))),
+
+    batch: async (ops) => {
+      checkBatchSize(ops);
+      const batch = writeBatch(db);
+      for (const op of ops) {
+        const ref = op.root ? doc(db, ...op.root, ...op.path.split('/'), op.id) : docRef(op.path, op.id);
+        if (op.type === 'set') batch.set(ref, op.data, { merge: Boolean(op.merge) });
+        else if (op.type === 'update') batch.update(ref, op.data);
+        else batch.delete(ref);
       }
-    );
+      await batch.commit();
+    }
+  };
+};
+
+const LOCAL_DB_NAME = `student-planner-${appId}`;
+
+const openLocalDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(LOCAL_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    // One store for every collection, keyed by [collection path, id]
+    const store = request.result.createObjectStore('records', { keyPath: ['path', 'id'] });
+    store.createIndex('path', 'path');
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Reads 'a.b.c' out of nested records, like a Firestore field path
+const fieldValue = (record, field) => field.split('.').reduce((value, key) => value?.[key], record);
 
-    if (!response.ok) {
-      throw new Error(`API Error: ${response.status}`);
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+const createLocalRepository = (root) => {
+  const prefix = root.join('/');
+  const fullPath = (path) => `${prefix}/${path}`;
+  const database = openLocalDatabase();
+  const listeners = new Set();
+  // Keeps other tabs of the planner in step with this one
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(LOCAL_DB_NAME) : null;
+
+  const refresh = (path) => listeners.forEach(l => l.path === path && l.refresh());
+  if (channel) channel.onmessage = (event) => refresh(event.data);
+
+  const transact = async (mode, work) => {
+    const idb = await database;
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction('records', mode);
+      let result;
+      work(tx.objectStore('records'), (value) => { result = value; });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+
+  const notify = (path) => {
+    refresh(fullPath(path));
+    channel?.postMessage(fullPath(path));
+  };
+
+  // All ops share one transaction; an update to a missing record aborts them all
+  const commit = async (ops) => {
+    let missing = null;
+    try {
+      await transact('readwrite', (store) => {
+        for (const op of ops) {
+          const key = [fullPath(op.path), op.id];
+          if (op.type === 'remove') {
+            store.delete(key);
+            continue;
+          }
+          const request = store.get(key);
+          request.onsuccess = () => {
+            const existing = request.result;
+            if (op.type === 'update' && !existing) {
+              missing = missing || op;
+              store.transaction.abort();
+              return;
+            }
+            const base = (op.type === 'update' || op.merge) && existing ? existing.data : {};
+            store.put({ path: key[0], id: op.id, data: { ...base, ...op.data } });
+          };
+        }
+      });
+    } catch (error) {
+      if (!missing) throw error;
+    }
+    if (missing) {
+      throw Object.assign(new Error(`No record ${missing.path}/${missing.id} to update`), { code: 'not-found' });
     }
+    new Set(ops.map(op => op.path)).forEach(notify);
+  };
 
-    const data = await response.json();
-    const textResponse = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!textResponse) return null;
-    
-    return JSON.parse(textResponse);
-  } catch (error) {
-    console.error("Gemini API Failed:", error);
-    return null;
+  const read = (path, id) => transact('readonly', (store, done) => {
+    const request = store.get([fullPath(path), id]);
+    request.onsuccess = () => done(request.result ? request.result.data : null);
+  });
+
+  const readAll = (path) => transact('readonly', (store, done) => {
+    const request = store.index('path').getAll(fullPath(path));
+    request.onsuccess = () => done(request.result.map(r => ({ id: r.id, ...r.data })));
+  });
+
+  return {
+    newId: () => generateId(),
+    timestamp: (date) => (date || new Date()).toISOString(),
+
+    subscribe: (path, { order, where: filter, limit } = {}, onChange, onError) => {
+      const listener = {
+        path: fullPath(path),
+        refresh: () => readAll(path).then(all => {
+          const records = filter
+            ? all.filter(r => filter[1] === 'in' ? filter[2].includes(fieldValue(r, filter[0])) : fieldValue(r, filter[0]) === filter[2])
+            : all;
+          if (order) {
+            const [field, direction] = order;
+            records.sort((a, b) => compareValues(a[field], b[field]) * (direction === 'desc' ? -1 : 1));
+          }
+          if (listeners.has(listener)) onChange(limit ? records.slice(0, limit) : records, { pendingIds: [] });
+        }).catch(onError)
+      };
+      listeners.add(listener);
+      listener.refresh();
+      return () => listeners.delete(listener);
+    },
+
+    watch: (path, id, onChange, onError) => {
+      const listener = {
+        path: fullPath(path),
+        refresh: () => read(path, id).then(data => {
+          if (listeners.has(listener)) onChange(data);
+        }).catch(onError)
+      };
+      listeners.add(listener);
+      listener.refresh();
+      return () => listeners.delete(listener);
+    },
+
+    set: (path, id, data, { merge = false } = {}) => commit([{ type: 'set', path, id, data, merge }]),
+    update: (path, id, data) => commit([{ type: 'update', path, id, data }]),
+    remove: (path, id) => commit([{ type: 'remove', path, id }]),
+    batch: async (ops) => {
+      checkBatchSize(ops);
+      await commit(ops);
+    },
+
+    // Files live next to the records, as Blobs under the 'files' collection
+    upload: async (path, file) => {
+      await commit([{ type: 'set', path: 'files', id: path, data: { blob: file } }]);
+      return { path, url: null };
+    },
+    fileURL: async (path) => {
+      const data = await read('files', path);
+      if (!data) throw Object.assign(new Error(`No file ${path}`), { code: 'not-found' });
+      return URL.createObjectURL(data.blob);
+    },
+    removeFile: (path) => commit([{ type: 'remove', path: 'files', id: path }])
+  };
+};
+
+const createRepository = (root) => storageBackend === 'firestore'
+  ? createFirestoreRepository(root)
+  : createLocalRepository(root);
+
+const userRoot = (uid) => ['artifacts', appId, 'users', uid];
+
+// Shared lists live outside any one user's folder
+const appRoot = () => ['artifacts', appId];
+const listRoot = (listId) => ['artifacts', appId, 'lists', listId];
+
+// Stand-in user for the local backend, which has no accounts
+const LOCAL_USER = { uid: 'local', isAnonymous: false, isLocal: true };
+
+// --- AI Providers ---
+// Every AI feature goes through callAI(feature, ...), which picks the configured
+// provider, retries transient failures with exponential backoff and checks the
+// reply against the feature's schema before handing it back. Failures throw an
+// AIError whose message is safe to show to the user.
+const AI_SETTINGS_KEY = 'student-planner:ai';
+
+const AI_PROVIDERS = {
+  gemini: { label: 'Gemini', model: 'gemini-2.5-flash-preview-09-2025', baseUrl: 'https://generativelanguage.googleapis.com/v1beta' },
+  openai: { label: 'OpenAI-compatible', model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1' },
+  ollama: { label: 'Ollama (local)', model: 'llama3.1', baseUrl: 'http://localhost:11434' },
+  mock: { label: 'Offline mock', model: 'mock', baseUrl: '' }
+};
+
+const AI_DEFAULTS = { provider: 'gemini', model: '', apiKey: '', baseUrl: '', timeoutMs: 20000, retries: 2 };
+
+// Host config (__ai_config) first, then anything saved on this device
+const loadAIConfig = () => {
+  const host = typeof __ai_config !== 'undefined'
+    ? (typeof __ai_config === 'string' ? JSON.parse(__ai_config) : __ai_config)
+    : {};
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(AI_SETTINGS_KEY) || '{}');
+  } catch {
+    saved = {};
+  }
+  const config = { ...AI_DEFAULTS, ...host, ...saved };
+  const provider = AI_PROVIDERS[config.provider] || AI_PROVIDERS.gemini;
+  return { ...config, model: config.model || provider.model, baseUrl: config.baseUrl || provider.baseUrl };
+};
+
+const saveAIConfig = (config) => {
+  localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify(config));
+};
+
+class AIError extends Error {
+  constructor(message, { code, retryable = false } = {}) {
+    super(message);
+    this.name = 'AIError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+const httpError = (response, provider) => {
+  if (response.status === 401 || response.status === 403) {
+    return new AIError(`${provider} rejected the API key. Check it in AI settings.`, { code: 'auth' });
+  }
+  if (response.status === 404) {
+    return new AIError(`${provider} doesn't know that model. Check it in AI settings.`, { code: 'model' });
+  }
+  if (response.status === 429) {
+    return new AIError(`${provider} is rate limiting requests. Try again in a minute.`, { code: 'rate-limit', retryable: true });
+  }
+  return new AIError(`${provider} returned an error (${response.status}).`, { code: 'http', retryable: response.status >= 500 });
+};
+
+const postJSON = async (url, body, { headers = {}, signal, provider }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) throw httpError(response, provider);
+  return response.json();
+};
+
+// Providers turn a prompt into the model's raw text reply
+const providerRequests = {
+  gemini: async ({ prompt, system, model, apiKey, baseUrl, signal }) => {
+    const data = await postJSON(`${baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
+      contents: [{ parts: [{ text: prompt }] }],
+      systemInstruction: { parts: [{ text: system }] },
+      generationConfig: { responseMimeType: 'application/json' }
+    }, { signal, provider: 'Gemini' });
+    return data.candidates?.[0]?.content?.parts?.[0]?.text;
+  },
+
+  openai: async ({ prompt, system, model, apiKey, baseUrl, signal }) => {
+    const data = await postJSON(`${baseUrl}/chat/completions`, {
+      model,
+      messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+      temperature: 0.2
+    }, { signal, provider: 'The AI service', headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} });
+    return data.choices?.[0]?.message?.content;
+  },
+
+  ollama: async ({ prompt, system, model, baseUrl, signal }) => {
+    const data = await postJSON(`${baseUrl}/api/chat`, {
+      model,
+      messages: [{ role: 'system', content: system }, { role: 'user', content: prompt }],
+      format: 'json',
+      stream: false
+    }, { signal, provider: 'Ollama' });
+    return data.message?.content;
+  },
+
+  // Deterministic replies built from the input (and config.now, if set) for tests and demos
+  mock: async ({ feature, input, now }) => {
+    if (feature === 'smartSort') {
+      return JSON.stringify(String(input).split('\n')
+        .map(line => line.replace(/^[-*•]\s*/, '').trim())
+        .filter(Boolean)
+        .map(line => {
+          const parsed = parseQuickAdd(line, { now: now ? new Date(now) : new Date() });
+          return { text: parsed.text, priority: parsed.priority || 'medium', dueDate: parsed.dueDate };
+        }));
+    }
+    if (feature === 'breakdown') {
+      return JSON.stringify([`Gather materials for ${input}`, `Draft ${input}`, `Review ${input}`]);
+    }
+    if (feature === 'planReview') {
+      const hours = input.blocks.reduce((sum, b) => sum + b.minutes, 0) / 60;
+      return JSON.stringify({
+        summary: `${input.blocks.length} study blocks, ${hours.toFixed(1)} hours in total, earliest deadlines first.`,
+        tips: input.unscheduled.map(u => `"${u.text}" still needs ${u.minutes} minutes before it is due.`)
+      });
+    }
+    return 'null';
+  }
+};
+
+// A small subset of JSON Schema: type, enum, properties, required, items, min/max
+const validateSchema = (value, schema, path = 'response') => {
+  const types = [].concat(schema.type || []);
+  const typeOf = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  if (types.length && !types.includes(typeOf)) return `${path} should be ${types.join(' or ')}`;
+  if (schema.enum && !schema.enum.includes(value)) return `${path} should be one of ${schema.enum.join(', ')}`;
+
+  if (typeOf === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) return `${path} is empty`;
+    if (schema.format === 'date-time' && isNaN(Date.parse(value))) return `${path} is not a date`;
+  }
+  if (typeOf === 'array') {
+    if (schema.minItems && value.length < schema.minItems) return `${path} has too few items`;
+    if (schema.maxItems && value.length > schema.maxItems) return `${path} has too many items`;
+    for (let i = 0; i < value.length && schema.items; i++) {
+      const error = validateSchema(value[i], schema.items, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+  if (typeOf === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) return `${path}.${key} is missing`;
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (!(key in value)) continue;
+      const error = validateSchema(value[key], propSchema, `${path}.${key}`);
+      if (error) return error;
+    }
+  }
+  return null;
+};
+
+const AI_SCHEMAS = {
+  smartSort: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['text', 'priority'],
+      properties: {
+        text: { type: 'string', minLength: 1 },
+        priority: { enum: ['high', 'medium', 'low'] },
+        dueDate: { type: ['string', 'null'], format: 'date-time' }
+      }
+    }
+  },
+  breakdown: { type: 'array', minItems: 1, maxItems: 10, items: { type: 'string', minLength: 1 } },
+  planReview: {
+    type: 'object',
+    required: ['summary'],
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      tips: { type: 'array', maxItems: 8, items: { type: 'string', minLength: 1 } }
+    }
+  }
+};
+
+// Models like to wrap JSON in code fences or in an object with a single list
+const extractJSON = (text, schema) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const value = JSON.parse(fenced ? fenced[1] : text);
+  if (schema.type === 'array' && value && !Array.isArray(value) && typeof value === 'object') {
+    const lists = Object.values(value).filter(Array.isArray);
+    if (lists.length === 1) return lists[0];
+  }
+  return value;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const callAI = async (feature, { prompt, system = '', input }, config = loadAIConfig()) => {
+  const request = providerRequests[config.provider];
+  if (!request) throw new AIError(`Unknown AI provider "${config.provider}".`, { code: 'config' });
+  const schema = AI_SCHEMAS[feature];
+  const fullSystem = `You are a helpful task management assistant. ${system} Respond with JSON only.`;
+
+  let lastError;
+  for (let attempt = 0; attempt <= config.retries; attempt++) {
+    if (attempt > 0) await sleep(500 * 2 ** (attempt - 1));
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+    try {
+      const text = await request({ ...config, feature, input, prompt, system: fullSystem, signal: controller.signal });
+      if (!text) throw new AIError('The AI returned an empty reply.', { code: 'empty', retryable: true });
+
+      let value;
+      try {
+        value = extractJSON(text, schema);
+      } catch {
+        throw new AIError("The AI reply wasn't valid JSON.", { code: 'invalid', retryable: true });
+      }
+      const problem = validateSchema(value, schema);
+      if (problem) throw new AIError(`The AI reply didn't look right (${problem}).`, { code: 'invalid', retryable: true });
+      return value;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        lastError = new AIError('The AI took too long to answer.', { code: 'timeout', retryable: true });
+      } else if (error instanceof AIError) {
+        lastError = error;
+      } else {
+        // fetch rejects with a TypeError when the server can't be reached
+        lastError = new AIError("Couldn't reach the AI service. Check your connection or AI settings.", { code: 'network', retryable: true });
+      }
+      if (!lastError.retryable) break;
+    } finally {
+      clearTimeout(timer);
+    }
   }
+  throw lastError;
 };
 
 // --- Helpers ---
@@ -107,424 +654,7230 @@ const isDueToday = (isoString) => {
     date.getFullYear() === today.getFullYear();
 };
 
-// --- Components ---
+// Same shape as a datetime-local input value, so generated dates match typed ones
+const toLocalInputValue = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
 
-const PriorityBadge = ({ priority, onClick }) => {
-  const styles = {
-    high: "bg-red-100 text-red-700 border-red-200 hover:bg-red-200",
-    medium: "bg-yellow-100 text-yellow-700 border-yellow-200 hover:bg-yellow-200",
-    low: "bg-blue-100 text-blue-700 border-blue-200 hover:bg-blue-200"
-  };
+// Local calendar day as 'YYYY-MM-DD', for grouping tasks by day
+const dayKey = (date) => toLocalInputValue(date).slice(0, 10);
 
-  const labels = { high: "High", medium: "Medium", low: "Low" };
+const endOfToday = () => {
+  const date = new Date();
+  date.setHours(23, 59, 0, 0);
+  return toLocalInputValue(date);
+};
 
-  return (
-    <button 
-      onClick={onClick}
-      className={`text-xs font-semibold px-2 py-1 rounded-full border transition-colors ${styles[priority]}`}
-    >
-      {labels[priority]}
-    </button>
-  );
+// Estimates are stored as whole minutes. Accepts "90", "45m", "1.5h", "1h 30m"
+// and "2 hours"; returns null for anything else.
+const parseDuration = (input) => {
+  const text = String(input).trim().toLowerCase();
+  if (/^\d+$/.test(text)) return Number(text) || null;
+  const match = text.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  const minutes = Math.round(parseFloat(match[1] || 0) * 60 + parseInt(match[2] || 0, 10));
+  return minutes > 0 ? minutes : null;
 };
 
-const TaskItem = ({ task, onUpdate, onDelete, onBreakdown }) => {
-  const [isEditing, setIsEditing] = useState(false);
-  const [editText, setEditText] = useState(task.text);
-  const [isBreakingDown, setIsBreakingDown] = useState(false);
+const formatDuration = (minutes) => {
+  if (!minutes) return '';
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return [h && `${h}h`, m && `${m}m`].filter(Boolean).join(' ');
+};
 
-  const toggleStatus = () => {
-    onUpdate(task.id, { completed: !task.completed });
-  };
+// Task detail fields, edited in the details drawer and carried along a series
+const DETAIL_FIELDS = ['notes', 'links', 'estimate', 'location'];
 
-  const cyclePriority = () => {
-    const priorities = ['low', 'medium', 'high'];
-    const currentIndex = priorities.indexOf(task.priority || 'medium');
-    const nextPriority = priorities[(currentIndex + 1) % priorities.length];
-    onUpdate(task.id, { priority: nextPriority });
-  };
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
 
-  const handleSaveEdit = () => {
-    if (editText.trim()) {
-      onUpdate(task.id, { text: editText.trim() });
-    }
-    setIsEditing(false);
-  };
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
 
-  const handleBreakdown = async () => {
-    setIsBreakingDown(true);
-    await onBreakdown(task);
-    setIsBreakingDown(false);
+// --- Recurrence ---
+// Rules are stored as RFC 5545 RRULE strings (FREQ, INTERVAL, BYDAY, UNTIL, COUNT)
+// anchored at the series' first due date, so they can be exported as-is.
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY'];
+
+// Null for a rule this app can't expand (MONTHLY, YEARLY, no FREQ...) rather
+// than quietly treating it as daily
+const parseRRule = (rrule) => {
+  if (!rrule) return null;
+  const rule = { freq: null, interval: 1, byDay: [], until: null, count: null };
+  for (const part of rrule.replace(/^RRULE:/, '').split(';')) {
+    const [key, value = ''] = part.split('=');
+    if (key === 'FREQ') rule.freq = value;
+    if (key === 'INTERVAL') rule.interval = Math.max(1, parseInt(value, 10) || 1);
+    if (key === 'BYDAY') rule.byDay = value.split(',').filter(d => WEEKDAYS.includes(d));
+    if (key === 'UNTIL') rule.until = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+    if (key === 'COUNT') rule.count = parseInt(value, 10) || null;
+  }
+  return SUPPORTED_FREQS.includes(rule.freq) ? rule : null;
+};
+
+const buildRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Occurrence dates of a series in order. As in RFC 5545, `start` always
+// counts as the first occurrence even if it falls outside BYDAY. `skip` drops
+// the first occurrences and `after` those before a date; neither counts
+// towards `limit`, so a range far into an old series still fills up.
+const listOccurrences = (rrule, start, { skip = 0, after = null, before = null, limit = 1000 } = {}) => {
+  const rule = parseRRule(rrule);
+  const first = new Date(start);
+  if (!rule || isNaN(first)) return [];
+
+  const until = rule.until ? new Date(`${rule.until}T23:59:59`) : null;
+  let seen = 0;
+  const result = [];
+  const push = (date) => {
+    if ((until && date > until) || (before && date >= before) || (rule.count && seen >= rule.count)) return false;
+    seen++;
+    if (seen > skip && !(after && date < after)) result.push(date);
+    return result.length < limit;
   };
 
-  const overdue = !task.completed && isOverdue(task.dueDate);
-  const today = !task.completed && isDueToday(task.dueDate);
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.length > 0
+      ? rule.byDay.map(d => WEEKDAYS.indexOf(d)).sort((a, b) => a - b)
+      : [first.getDay()];
+    const weekStart = addDays(first, -first.getDay());
+    if (!push(first)) return result;
+    for (let week = 0; ; week += rule.interval) {
+      for (const day of days) {
+        const date = addDays(weekStart, week * 7 + day);
+        if (date <= first) continue;
+        if (!push(date)) return result;
+      }
+    }
+  }
 
-  return (
-    <div className={`group flex items-start gap-3 p-3 bg-white border rounded-xl shadow-sm hover:shadow-md transition-all ${task.completed ? 'opacity-60 border-slate-100' : overdue ? 'border-red-200 bg-red-50/30' : 'border-slate-100'}`}>
-      <button 
-        onClick={toggleStatus}
-        className={`flex-shrink-0 mt-0.5 transition-colors ${task.completed ? 'text-emerald-500' : 'text-slate-300 hover:text-emerald-400'}`}
-      >
-        {task.completed ? <CheckCircle size={22} className="fill-current" /> : <Circle size={22} />}
-      </button>
+  for (let i = 0; ; i += rule.interval) {
+    if (!push(addDays(first, i))) return result;
+  }
+};
 
-      <div className="flex-grow min-w-0">
-        <div className="flex flex-wrap gap-2 mb-1">
-          {overdue && (
-            <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-red-600 bg-red-100 px-1.5 py-0.5 rounded">
-              <AlertCircle size={10} /> Overdue
-            </span>
-          )}
-          {today && (
-             <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-amber-600 bg-amber-100 px-1.5 py-0.5 rounded">
-              <Bell size={10} /> Due Today
-            </span>
-          )}
-          {task.dueDate && !overdue && !today && (
-             <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-slate-500 bg-slate-100 px-1.5 py-0.5 rounded">
-              <CalendarIcon size={10} /> {formatDate(task.dueDate)}
-            </span>
-          )}
-        </div>
+const nthOccurrence = (rrule, start, n) => listOccurrences(rrule, start, { skip: n - 1, limit: 1 })[0] || null;
 
-        {isEditing ? (
-          <form 
-            onSubmit={(e) => { e.preventDefault(); handleSaveEdit(); }}
-            className="flex items-center gap-2"
-          >
-            <input
-              type="text"
-              value={editText}
-              onChange={(e) => setEditText(e.target.value)}
-              className="w-full text-slate-700 border-b border-blue-500 focus:outline-none bg-transparent py-1"
-              autoFocus
-              onBlur={handleSaveEdit}
-            />
-          </form>
-        ) : (
-          <p 
-            onClick={() => setIsEditing(true)}
-            className={`text-slate-700 truncate cursor-text ${task.completed ? 'line-through text-slate-400' : ''}`}
-          >
-            {task.text}
-          </p>
-        )}
-      </div>
+const describeRecurrence = (rrule) => {
+  const rule = parseRRule(rrule);
+  if (!rule) return '';
+  let text;
+  if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.map(d => WEEKDAY_LABELS[WEEKDAYS.indexOf(d)]).join(', ');
+    text = rule.interval > 1 ? `Every ${rule.interval} weeks` : 'Weekly';
+    if (days) text += ` on ${days}`;
+  } else {
+    text = rule.interval > 1 ? `Every ${rule.interval} days` : 'Daily';
+  }
+  if (rule.until) text += ` until ${new Date(`${rule.until}T00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+  else if (rule.count) text += `, ${rule.count} times`;
+  return text;
+};
 
-      <div className="flex items-center gap-2 opacity-100 sm:opacity-0 sm:group-hover:opacity-100 transition-opacity self-start">
-        <button
-          onClick={handleBreakdown}
-          disabled={isBreakingDown || task.completed}
-          title="Magic Breakdown"
-          className="p-1.5 text-indigo-400 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors disabled:opacity-30"
-        >
-          {isBreakingDown ? <Loader2 size={16} className="animate-spin" /> : <Sparkles size={16} />}
-        </button>
+// --- Quick-add Parser ---
+// Reads due dates, priorities and #courses/#tags out of a typed task
+// ("essay due fri 5pm !high #history") without a network call.
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Three-letter weekdays ("sat", "wed") double as words, so they only count
+// after a date word; longer forms stand on their own
+const WEEKDAY_PATTERN = 'sunday|monday|tues(?:day)?|wednesday|thur(?:s|sday)?|friday|saturday';
+const WEEKDAY_ABBR_PATTERN = 'sun|mon|tue|wed|thu|fri|sat';
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const PRIORITY_MARKERS = { high: 'high', h: 'high', medium: 'medium', med: 'medium', m: 'medium', low: 'low', l: 'low' };
 
-        <PriorityBadge priority={task.priority || 'medium'} onClick={cyclePriority} />
-        
-        <button 
-          onClick={() => onDelete(task.id)}
-          className="p-1.5 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
-        >
-          <Trash2 size={16} />
-        </button>
-      </div>
-    </div>
-  );
+// Filler words that only make sense next to the date they introduce
+const LEAD_IN = '(?:(?:due|by|on|at|for)\\s+)?';
+// Words that make an ambiguous token a date: "due sat", "on 3/4", "next wed"
+const DATE_LEAD_IN = '(?:due|by|on)\\s+';
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
 };
 
-const CalendarWidget = ({ tasks, onSelectDate, selectedDate }) => {
-  const [currentMonth, setCurrentMonth] = useState(new Date());
+const startOfWeek = (date) => addDays(startOfDay(date), -startOfDay(date).getDay());
 
-  const daysInMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0).getDate();
-  const firstDay = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1).getDay();
+const normalizeTag = (tag) => tag.toLowerCase().replace(/[^a-z0-9]/g, '');
 
-  const prevMonth = () => setCurrentMonth(new Date(currentMonth.getFullYear(), currentMonth.getMonth() - 1, 1));
-  const nextMonth = () => setCurrentMonth(new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 1));
+const parseQuickAdd = (input, { courses = [], now = new Date() } = {}) => {
+  let text = ` ${input} `;
+  const result = { text: input.trim(), dueDate: null, priority: null, courseId: null, tags: [] };
 
-  const getDayContent = (day) => {
-    const dateStr = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), day).toDateString();
-    const dayTasks = tasks.filter(t => {
-      if (!t.dueDate) return false;
-      return new Date(t.dueDate).toDateString() === dateStr;
-    });
-    return dayTasks;
+  // Removes the first match of `pattern` from the text and hands its groups to `apply`
+  const take = (pattern, apply) => {
+    const match = text.match(pattern);
+    if (!match) return false;
+    text = text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length);
+    apply(match);
+    return true;
   };
 
-  const isSelected = (day) => {
-    if (!selectedDate) return false;
-    return selectedDate.getDate() === day && 
-           selectedDate.getMonth() === currentMonth.getMonth() &&
-           selectedDate.getFullYear() === currentMonth.getFullYear();
+  // Priority
+  take(/\s!(high|medium|med|low|h|m|l)\b/i, m => { result.priority = PRIORITY_MARKERS[m[1].toLowerCase()]; })
+    || take(/\s!{2,}(?=\s)/, () => { result.priority = 'high'; })
+    || take(/\s\(?(urgent|asap)\)?(?=\s)/i, () => { result.priority = 'high'; });
+
+  // Courses and tags
+  while (take(/\s#([\w-]+)/, m => {
+    const tag = normalizeTag(m[1]);
+    const course = courses.find(c => [c.code, c.name].some(label => label && normalizeTag(label) === tag));
+    if (course && !result.courseId) result.courseId = course.id;
+    else if (!result.tags.includes(tag)) result.tags.push(tag);
+  }));
+
+  // Date
+  let day = null;
+  let impliedHour = null;
+  let yearGiven = false;
+  const today = startOfDay(now);
+  const setWeekday = (m) => {
+    const target = WEEKDAYS.indexOf(m[2].slice(0, 2).toUpperCase());
+    let ahead = (target - today.getDay() + 7) % 7;
+    const qualifier = m[1]?.toLowerCase();
+    if (ahead === 0 && qualifier !== 'this') ahead = 7;
+    // "next fri" skips the one still to come in the current week
+    if (qualifier === 'next' && today.getDay() + ahead <= 6) ahead += 7;
+    day = addDays(today, ahead);
   };
+  const setSlashDate = (m) => {
+    yearGiven = Boolean(m[3]);
+    const year = m[3] ? (m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10)) : today.getFullYear();
+    day = new Date(year, parseInt(m[1], 10) - 1, parseInt(m[2], 10));
+  };
+  take(new RegExp(`\\s${LEAD_IN}in\\s+(\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\s+(days?|weeks?)\\b`, 'i'), m => {
+    const amount = NUMBER_WORDS[m[1].toLowerCase()] || parseInt(m[1], 10);
+    day = addDays(today, /^week/i.test(m[2]) ? amount * 7 : amount);
+  })
+    || take(new RegExp(`\\s${LEAD_IN}(day after tomorrow|tomorrow|tmrw|tmr|today|tonight)\\b`, 'i'), m => {
+      const word = m[1].toLowerCase();
+      day = addDays(today, word === 'day after tomorrow' ? 2 : word.startsWith('t') && word !== 'today' && word !== 'tonight' ? 1 : 0);
+      if (word === 'tonight') impliedHour = 20;
+    })
+    || take(new RegExp(`\\s${LEAD_IN}next\\s+week\\b`, 'i'), () => {
+      day = addDays(today, 8 - (today.getDay() || 7));
+    })
+    || take(new RegExp(`\\s${LEAD_IN}(?:(next|this)\\s+)?(${WEEKDAY_PATTERN})\\b`, 'i'), setWeekday)
+    || take(new RegExp(`\\s(?=(?:due|by|on|next|this)\\s)(?:${DATE_LEAD_IN})?(?:(next|this)\\s+)?(${WEEKDAY_ABBR_PATTERN})\\b`, 'i'), setWeekday)
+    || take(new RegExp(`\\s${LEAD_IN}(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'i'), m => {
+      day = new Date(today.getFullYear(), MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()), parseInt(m[2], 10));
+    })
+    || take(new RegExp(`\\s${LEAD_IN}(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\b`, 'i'), m => {
+      day = new Date(today.getFullYear(), MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()), parseInt(m[1], 10));
+    })
+    // A bare "1/2" is as likely a fraction, so it needs a date word or a year
+    || take(new RegExp(`\\s${LEAD_IN}(\\d{1,2})/(\\d{1,2})/(\\d{2,4})(?=\\s)`, 'i'), setSlashDate)
+    || take(new RegExp(`\\s${DATE_LEAD_IN}(\\d{1,2})/(\\d{1,2})(?=\\s)`, 'i'), setSlashDate);
 
-  return (
-    <div className="bg-white p-4 rounded-2xl border border-slate-200 shadow-sm mb-6">
-      <div className="flex justify-between items-center mb-4">
-        <h3 className="font-bold text-slate-700">
-          {currentMonth.toLocaleString('default', { month: 'long', year: 'numeric' })}
-        </h3>
-        <div className="flex gap-2">
-          <button onClick={prevMonth} className="p-1 hover:bg-slate-100 rounded-lg"><ChevronLeft size={20} /></button>
-          <button onClick={nextMonth} className="p-1 hover:bg-slate-100 rounded-lg"><ChevronRight size={20} /></button>
-        </div>
-      </div>
-      
-      <div className="grid grid-cols-7 gap-1 text-center mb-2">
-        {['S', 'M', 'T', 'W', 'T', 'F', 'S'].map(d => (
-          <div key={d} className="text-xs font-bold text-slate-400">{d}</div>
-        ))}
-      </div>
+  // A month/day without a year that has already passed means next year
+  if (day && day < today && !yearGiven) day.setFullYear(day.getFullYear() + 1);
 
-      <div className="grid grid-cols-7 gap-1">
-        {Array.from({ length: firstDay }).map((_, i) => (
-          <div key={`empty-${i}`} className="h-10"></div>
-        ))}
-        {Array.from({ length: daysInMonth }).map((_, i) => {
-          const day = i + 1;
-          const dayTasks = getDayContent(day);
-          const hasHigh = dayTasks.some(t => t.priority === 'high');
-          const hasTasks = dayTasks.length > 0;
-          
-          return (
-            <button
-              key={day}
-              onClick={() => {
-                const newDate = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), day);
-                onSelectDate(selectedDate && selectedDate.toDateString() === newDate.toDateString() ? null : newDate);
-              }}
-              className={`h-10 rounded-lg flex flex-col items-center justify-center relative transition-colors
-                ${isSelected(day) ? 'bg-indigo-600 text-white' : 'hover:bg-slate-50 text-slate-700'}
-              `}
-            >
-              <span className="text-sm font-medium">{day}</span>
-              <div className="flex gap-0.5 mt-0.5">
-                 {hasTasks && (
-                   <div className={`w-1 h-1 rounded-full ${isSelected(day) ? 'bg-indigo-300' : hasHigh ? 'bg-red-400' : 'bg-slate-400'}`}></div>
-                 )}
-              </div>
-            </button>
-          );
-        })}
-      </div>
-    </div>
-  );
-};
+  // Time
+  let hours = null;
+  let minutes = 0;
+  take(new RegExp(`\\s${LEAD_IN}(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)\\b`, 'i'), m => {
+    hours = parseInt(m[1], 10) % 12 + (m[3].toLowerCase() === 'pm' ? 12 : 0);
+    minutes = parseInt(m[2] || '0', 10);
+  })
+    || take(new RegExp(`\\s${LEAD_IN}(\\d{1,2}):(\\d{2})\\b`, 'i'), m => {
+      hours = parseInt(m[1], 10);
+      minutes = parseInt(m[2], 10);
+    })
+    || take(new RegExp(`\\s${LEAD_IN}(noon|midnight)\\b`, 'i'), m => {
+      hours = m[1].toLowerCase() === 'noon' ? 12 : 23;
+      minutes = m[1].toLowerCase() === 'noon' ? 0 : 59;
+    })
+    // "at 5" reads as an afternoon time when it would be early morning otherwise
+    || take(/\sat\s+(\d{1,2})(?=\s)/i, m => {
+      const hour = parseInt(m[1], 10);
+      hours = hour < 8 ? hour + 12 : hour;
+    });
 
-const BrainDump = ({ onSubmit, onSmartSubmit, onClose }) => {
-  const [text, setText] = useState("");
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  if (hours !== null && hours > 23) hours = null;
+  if (hours === null && impliedHour !== null) hours = impliedHour;
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!text.trim()) return;
-    onSubmit(text);
-    setText("");
-    onClose();
-  };
+  if (day || hours !== null) {
+    const due = new Date(day || today);
+    if (hours === null) {
+      due.setHours(23, 59, 0, 0);
+    } else {
+      due.setHours(hours, minutes, 0, 0);
+      // A bare time that has already passed today means tomorrow
+      if (!day && due <= now) due.setDate(due.getDate() + 1);
+    }
+    if (!isNaN(due)) result.dueDate = toLocalInputValue(due);
+  }
 
-  const handleSmartSubmit = async () => {
-    if (!text.trim()) return;
-    setIsAnalyzing(true);
-    await onSmartSubmit(text);
-    setIsAnalyzing(false);
-    setText("");
-    onClose();
-  };
+  const cleaned = text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+(due|by|on|at|for)\s*$/i, '')
+    .replace(/[\s,;:-]+$/, '')
+    .trim();
+  if (cleaned) result.text = cleaned;
+  return result;
+};
 
-  return (
-    <div className="bg-gradient-to-br from-indigo-50 to-blue-50 p-6 rounded-2xl border border-indigo-100 mb-8 shadow-sm">
-      <div className="flex justify-between items-start mb-4">
-        <div>
-          <h3 className="text-lg font-bold text-indigo-900 flex items-center gap-2">
-            <Sparkles size={18} className="text-indigo-500" />
-            Brain Dump Mode
-          </h3>
-          <p className="text-sm text-indigo-600 mt-1">
-            Paste your messy list. Use "Smart Sort" to auto-detect priorities and due dates (e.g., "Essay due Friday").
-          </p>
-        </div>
-        <button onClick={onClose} className="text-indigo-400 hover:text-indigo-700">
-          <X size={20} />
-        </button>
-      </div>
-      
-      <form onSubmit={handleSubmit}>
-        <textarea
-          value={text}
-          onChange={(e) => setText(e.target.value)}
-          placeholder="- Math homework due tomorrow&#10;- Buy milk (URGENT)&#10;- Study for History on Friday at 4pm..."
-          className="w-full h-32 p-4 rounded-xl border border-indigo-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all resize-none text-slate-700 bg-white placeholder:text-slate-400"
-        />
-        <div className="flex justify-end gap-3 mt-4">
-          <button
-            type="button"
-            onClick={handleSmartSubmit}
-            disabled={!text.trim() || isAnalyzing}
-            className="flex items-center gap-2 bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-all shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {isAnalyzing ? <Loader2 size={18} className="animate-spin" /> : <Sparkles size={18} />}
-            Smart Sort & Date Detect
-          </button>
-          <button 
-            type="submit"
-            disabled={!text.trim() || isAnalyzing}
-            className="bg-white text-indigo-700 border border-indigo-200 hover:bg-indigo-50 px-6 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Simple Process
-          </button>
-        </div>
-      </form>
-    </div>
-  );
+// --- Search & Filters ---
+// A filter combines a fuzzy text search with optional criteria; a task has to
+// pass all of them. Saved filters store one of these with a name and the view
+// (all/active/completed) it applies to.
+const EMPTY_FILTER = { query: '', priorities: [], tags: [], dueFrom: '', dueTo: '', overdue: false, hasSubtasks: false };
+
+// Edits (insert, delete, replace, swap neighbours) needed to turn a into b
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
 };
 
-// --- Main App Component ---
+const isSubsequence = (token, word) => {
+  let position = -1;
+  let gaps = 0;
+  for (const ch of token) {
+    const next = word.indexOf(ch, position + 1);
+    if (next === -1) return false;
+    if (position !== -1) gaps += next - position - 1;
+    position = next;
+  }
+  return gaps <= token.length * 2;
+};
+
+// Every query word has to appear in the text: as a substring, as letters in
+// order within a word ("hmwk" finds "homework") or, for longer words, with one typo
+const fuzzyMatch = (query, text) => {
+  const haystack = text.toLowerCase();
+  const words = haystack.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(token => {
+    if (haystack.includes(token)) return true;
+    if (token.length >= 4 && words.some(word => editDistance(token, word.slice(0, token.length)) <= 1)) return true;
+    return words.some(word => isSubsequence(token, word));
+  });
+};
+
+const countFilterCriteria = (filter) =>
+  filter.priorities.length + filter.tags.length + (filter.dueFrom ? 1 : 0) + (filter.dueTo ? 1 : 0)
+  + (filter.overdue ? 1 : 0) + (filter.hasSubtasks ? 1 : 0);
+
+const isFilterActive = (filter) => Boolean(filter.query.trim()) || countFilterCriteria(filter) > 0;
+
+const matchesFilter = (task, filter, { courses = [], childrenByParent = {} } = {}) => {
+  if (filter.query.trim()) {
+    const course = courses.find(c => c.id === task.courseId);
+    const searchable = [
+      task.text,
+      ...(task.tags || []).map(t => `#${t}`),
+      course?.code,
+      course?.name,
+      task.notes,
+      task.location,
+      ...(task.links || []).flatMap(l => [l.label, l.url]),
+      ...(task.attachments || []).map(a => a.name)
+    ].filter(Boolean).join(' ');
+    if (!fuzzyMatch(filter.query.trim(), searchable)) return false;
+  }
+  if (filter.priorities.length && !filter.priorities.includes(task.priority || 'medium')) return false;
+  if (filter.tags.length && !filter.tags.some(tag => (task.tags || []).includes(tag))) return false;
+  if (filter.dueFrom || filter.dueTo) {
+    if (!task.dueDate) return false;
+    const due = new Date(task.dueDate);
+    if (filter.dueFrom && due < new Date(`${filter.dueFrom}T00:00`)) return false;
+    if (filter.dueTo && due > new Date(`${filter.dueTo}T23:59:59`)) return false;
+  }
+  if (filter.overdue && (task.completed || !isOverdue(task.dueDate))) return false;
+  if (filter.hasSubtasks && !(childrenByParent[task.id] || []).length) return false;
+  return true;
+};
+
+// --- Manual Ordering ---
+// Tasks carry a fractional index in `order`: a string that sorts between its
+// neighbours, so moving a task rewrites only that task. Keys use base-36
+// digits and never end in '0', which leaves room between any two of them.
+const ORDER_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// A key strictly between a and b; null means "no bound" on that side
+const keyBetween = (a, b) => {
+  const lower = a || '';
+  if (b !== null && b !== undefined) {
+    let n = 0;
+    while ((lower[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + keyBetween(lower.slice(n), b.slice(n));
+  }
+  const digitA = lower ? ORDER_DIGITS.indexOf(lower[0]) : 0;
+  const digitB = b ? ORDER_DIGITS.indexOf(b[0]) : ORDER_DIGITS.length;
+  if (digitB - digitA > 1) return ORDER_DIGITS[Math.round((digitA + digitB) / 2)];
+  if (b && b.length > 1) return b.slice(0, 1);
+  return ORDER_DIGITS[digitA] + keyBetween(lower.slice(1), null);
+};
+
+// New tasks go on top: keys count down with time, so later ones sort first
+const ORDER_EPOCH = 1e13;
+const orderKeyAt = (time) => `${(ORDER_EPOCH - time).toString(36).padStart(9, '0')}i`;
+
+// `count` evenly spread ascending keys that all sort just after `prefix`
+const spreadKeys = (prefix, count) => {
+  const width = Math.ceil(Math.log(count + 1) / Math.log(36)) + 1;
+  const step = Math.floor(36 ** width / (count + 1));
+  return Array.from({ length: count }, (_, i) => `${prefix}${((i + 1) * step).toString(36).padStart(width, '0')}i`);
+};
+
+// Ordered tasks first by key; tasks from before manual ordering keep the
+// newest-first order they arrive in, after them
+const compareOrder = (a, b) => {
+  if (a.order && b.order) return a.order < b.order ? -1 : a.order > b.order ? 1 : 0;
+  if (a.order) return -1;
+  if (b.order) return 1;
+  return 0;
+};
+
+// --- Reminders ---
+const REMINDER_OPTIONS = [
+  { minutes: 0, label: 'At due time' },
+  { minutes: 15, label: '15 min before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 1440, label: '1 day before' }
+];
+
+// Reminders further out than this are picked up by a later reschedule
+const REMINDER_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The options sw.js shows reminders with, so a reminder the page shows looks
+// the same and can be snoozed from the notification too
+const REMINDER_ACTIONS = [
+  { action: 'snooze-15', title: 'Snooze 15 min' },
+  { action: 'snooze-60', title: 'Snooze 1 hour' }
+];
+
+const reminderNotification = (reminder) => ({
+  tag: reminder.id,
+  body: reminder.body,
+  data: { taskId: reminder.taskId },
+  actions: reminder.taskId ? REMINDER_ACTIONS : [],
+  renotify: true
+});
+
+const formatOffset = (minutes) => {
+  if (minutes === 0) return 'now';
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+  return `${minutes} min`;
+};
+
+const nextDigestTime = (time, now = new Date()) => {
+  const [hours, minutes] = (time || '08:00').split(':').map(Number);
+  const at = new Date(now);
+  at.setHours(hours, minutes, 0, 0);
+  if (at <= now) at.setDate(at.getDate() + 1);
+  return at;
+};
+
+// Every notification due within the horizon: per-task offsets (falling back to
+// the default setting when a task has none of its own), snoozes and the digest.
+const buildReminders = (tasks, settings, { horizon = REMINDER_HORIZON_MS } = {}) => {
+  const now = Date.now();
+  const reminders = [];
+  const inWindow = (at) => at > now && at - now < horizon;
+
+  for (const t of tasks) {
+    if (t.completed || !t.dueDate) continue;
+    const due = new Date(t.dueDate).getTime();
+    for (const minutes of t.reminders ?? settings.defaultReminders ?? []) {
+      const at = due - minutes * 60 * 1000;
+      if (!inWindow(at)) continue;
+      reminders.push({
+        id: `${t.id}-${minutes}`,
+        taskId: t.id,
+        at,
+        title: t.text,
+        body: minutes === 0 ? `Due now (${formatDate(t.dueDate)})` : `Due in ${formatOffset(minutes)} (${formatDate(t.dueDate)})`
+      });
+    }
+    if (t.snoozedUntil && inWindow(new Date(t.snoozedUntil).getTime())) {
+      reminders.push({
+        id: `${t.id}-snooze`,
+        taskId: t.id,
+        at: new Date(t.snoozedUntil).getTime(),
+        title: t.text,
+        body: isOverdue(t.dueDate) ? `Overdue since ${formatDate(t.dueDate)}` : `Due ${formatDate(t.dueDate)}`
+      });
+    }
+  }
+
+  if (settings.dailyDigest?.enabled) {
+    const at = nextDigestTime(settings.dailyDigest.time);
+    const dueThatDay = tasks.filter(t => !t.completed && t.dueDate && new Date(t.dueDate).toDateString() === at.toDateString());
+    const overdue = tasks.filter(t => !t.completed && t.dueDate && new Date(t.dueDate) < at);
+    const lines = dueThatDay.map(t => `• ${t.text}`);
+    if (overdue.length > 0) lines.push(`${overdue.length} overdue`);
+    reminders.push({
+      id: `digest-${at.toDateString()}`,
+      taskId: null,
+      at: at.getTime(),
+      title: dueThatDay.length > 0 ? `${dueThatDay.length} task${dueThatDay.length === 1 ? '' : 's'} due today` : 'Nothing due today',
+      body: lines.join('\n') || 'Enjoy the free time!'
+    });
+  }
+
+  return reminders;
+};
+
+// When the schedule has to be rebuilt even if nothing is edited: just after
+// the digest goes out, so the next day's is set, or when a reminder further
+// out comes within the horizon
+const nextReminderRefresh = (tasks, settings, now = Date.now()) => {
+  const entering = buildReminders(tasks, settings, { horizon: Infinity })
+    .filter(r => r.at - now >= REMINDER_HORIZON_MS)
+    .map(r => r.at - REMINDER_HORIZON_MS);
+  const digest = settings.dailyDigest?.enabled ? [nextDigestTime(settings.dailyDigest.time, new Date(now)).getTime() + 1000] : [];
+  return Math.min(now + REMINDER_HORIZON_MS, ...entering, ...digest);
+};
+
+// --- Focus Timer ---
+// Time tracking is a log of records in 'sessions':
+//   { taskId, mode: 'pomodoro' | 'free', kind: 'focus' | 'break',
+//     startedAt, endedAt, minutes }
+// where minutes is the planned length (null for a free-running timer) and
+// startedAt/endedAt are ISO strings. The one session without endedAt is the
+// running timer, which is why a timer survives reloads and shows up on every
+// device. Pomodoro phases end on the clock, not on whoever notices first: a
+// phase that ran out while the app was closed is closed at its planned end.
+const FOCUS_DEFAULTS = { mode: 'pomodoro', focus: 25, shortBreak: 5, longBreak: 15, longBreakEvery: 4 };
+
+const MINUTE_MS = 60 * 1000;
+
+const sessionStart = (session) => new Date(session.startedAt).getTime();
+
+// Planned end of a pomodoro phase, null for a free-running timer
+const sessionEnd = (session) => session.minutes ? sessionStart(session) + session.minutes * MINUTE_MS : null;
+
+const sessionMinutes = (session, now = Date.now()) => {
+  const end = session.endedAt ? new Date(session.endedAt).getTime() : now;
+  return Math.max(0, (end - sessionStart(session)) / MINUTE_MS);
+};
+
+// Focused minutes per task id, counting the running session up to `now`
+const timeSpentByTask = (sessions, now = Date.now()) => {
+  const spent = {};
+  for (const s of sessions) {
+    if (s.kind !== 'focus' || !s.taskId) continue;
+    spent[s.taskId] = (spent[s.taskId] || 0) + sessionMinutes(s, now);
+  }
+  return spent;
+};
+
+const newSessionData = (taskId, mode, kind, minutes, startedAt) => ({
+  taskId,
+  mode,
+  kind,
+  startedAt: new Date(startedAt).toISOString(),
+  endedAt: null,
+  minutes: mode === 'pomodoro' ? minutes : null
+});
+
+// Ops that close a pomodoro phase which has run out by `now`. A finished focus
+// phase starts its break; every fourth (by default) is a long one. The break
+// id is derived from the focus session, so two open tabs write the same break.
+const advanceSessionOps = (session, sessions, focus, now = Date.now()) => {
+  const end = sessionEnd(session);
+  if (session.endedAt || !end || end > now) return [];
+  const ops = [{ type: 'update', path: 'sessions', id: session.id, data: { endedAt: new Date(end).toISOString() } }];
+  if (session.kind === 'focus') {
+    const day = new Date(end).toDateString();
+    const doneToday = sessions.filter(s =>
+      s.mode === 'pomodoro' && s.kind === 'focus' && s.endedAt && new Date(s.endedAt).toDateString() === day
+    ).length + 1;
+    const long = doneToday % (focus.longBreakEvery || FOCUS_DEFAULTS.longBreakEvery) === 0;
+    ops.push({
+      type: 'set',
+      path: 'sessions',
+      id: `${session.id}-break`,
+      data: newSessionData(session.taskId, 'pomodoro', 'break', long ? focus.longBreak : focus.shortBreak, end)
+    });
+  }
+  return ops;
+};
+
+// Notifications for the end of the running pomodoro phase, in the same shape
+// as buildReminders so the service worker can fire them with the tab closed
+const timerReminders = (session, taskText) => {
+  const end = session ? sessionEnd(session) : null;
+  if (!end || end <= Date.now()) return [];
+  return [{
+    id: `timer-${session.id}`,
+    taskId: null,
+    at: end,
+    title: session.kind === 'focus' ? 'Time for a break' : 'Break is over',
+    body: session.kind === 'focus'
+      ? `${session.minutes} minutes on "${taskText}" done. Step away for a bit.`
+      : `Ready for another round on "${taskText}"?`
+  }];
+};
+
+// "mm:ss", or "h:mm:ss" from an hour up
+const formatClock = (ms) => {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  return h ? `${h}:${pad(m)}:${pad(total % 60)}` : `${pad(m)}:${pad(total % 60)}`;
+};
+
+// Focused time in the last `count` days or weeks, oldest first. A session
+// counts toward the day (or week) it started in.
+const buildTimeReport = (sessions, { unit = 'day', count = 7, now = new Date() } = {}) => {
+  const days = unit === 'week' ? 7 : 1;
+  const first = unit === 'week' ? startOfWeek(now) : startOfDay(now);
+  const buckets = Array.from({ length: count }, (_, i) => {
+    const start = addDays(first, (i - count + 1) * days);
+    return { start, end: addDays(start, days), minutes: 0, byTask: {} };
+  });
+  for (const s of sessions) {
+    if (s.kind !== 'focus') continue;
+    const started = sessionStart(s);
+    const bucket = buckets.find(b => started >= b.start.getTime() && started < b.end.getTime());
+    if (!bucket) continue;
+    const minutes = sessionMinutes(s, now.getTime());
+    bucket.minutes += minutes;
+    bucket.byTask[s.taskId] = (bucket.byTask[s.taskId] || 0) + minutes;
+  }
+  return buckets;
+};
+
+// --- Analytics ---
+// Stored timestamps are Firestore Timestamps or ISO strings, depending on the backend
+const toDateValue = (value) => {
+  if (!value) return null;
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+// Open tasks without an estimate count as an hour of work
+const DEFAULT_ESTIMATE = 60;
+
+// Completions per day and week, streaks, on-time rate and lead time, from
+// each completed task's completedAt. Tasks completed before completedAt was
+// recorded only count toward the totals.
+const completionStats = (tasks, { now = new Date(), days = 14, weeks = 8 } = {}) => {
+  const completed = tasks
+    .filter(t => t.completed)
+    .map(t => ({ task: t, at: toDateValue(t.completedAt) }))
+    .filter(c => c.at);
+
+  const perDay = {};
+  for (const { at } of completed) perDay[dayKey(at)] = (perDay[dayKey(at)] || 0) + 1;
+
+  const today = startOfDay(now);
+  const daily = Array.from({ length: days }, (_, i) => {
+    const date = addDays(today, i - days + 1);
+    return { start: date, count: perDay[dayKey(date)] || 0 };
+  });
+  const weekStart = startOfWeek(now);
+  const weekly = Array.from({ length: weeks }, (_, i) => {
+    const start = addDays(weekStart, (i - weeks + 1) * 7);
+    const end = addDays(start, 7);
+    return { start, count: completed.filter(c => c.at >= start && c.at < end).length };
+  });
+
+  // A streak is a run of days with at least one completion. Today doesn't
+  // break the current streak until it is over.
+  let streak = 0;
+  for (let date = perDay[dayKey(today)] ? today : addDays(today, -1); perDay[dayKey(date)]; date = addDays(date, -1)) {
+    streak++;
+  }
+  let bestStreak = 0;
+  let run = 0;
+  let previous = null;
+  for (const key of Object.keys(perDay).sort()) {
+    const date = new Date(`${key}T00:00`);
+    run = previous && dayKey(addDays(previous, 1)) === key ? run + 1 : 1;
+    bestStreak = Math.max(bestStreak, run);
+    previous = date;
+  }
+
+  const withDue = completed.filter(c => c.task.dueDate);
+  const onTime = withDue.filter(c => c.at <= new Date(c.task.dueDate)).length;
+  const leadTimes = completed
+    .map(c => c.at - (toDateValue(c.task.createdAt) || c.at))
+    .filter(ms => ms > 0);
+
+  return {
+    daily,
+    weekly,
+    streak,
+    bestStreak,
+    onTime,
+    late: withDue.length - onTime,
+    onTimeRate: withDue.length ? onTime / withDue.length : null,
+    averageLeadMs: leadTimes.length ? leadTimes.reduce((a, b) => a + b, 0) / leadTimes.length : null
+  };
+};
+
+// Open work due in each of the coming days and weeks. A week is a crunch
+// when its estimated work is more than the study time available in it.
+const workloadForecast = (tasks, { now = new Date(), weeks = 4, hours = PLANNER_DEFAULTS.hours } = {}) => {
+  const weekStart = startOfWeek(now);
+  const days = Array.from({ length: weeks * 7 }, (_, i) => ({ start: addDays(weekStart, i), count: 0, minutes: 0 }));
+  const byKey = Object.fromEntries(days.map(d => [dayKey(d.start), d]));
+  for (const t of tasks) {
+    if (t.completed || !t.dueDate) continue;
+    const day = byKey[dayKey(new Date(t.dueDate))];
+    if (!day) continue;
+    day.count++;
+    day.minutes += t.estimate || DEFAULT_ESTIMATE;
+  }
+  const capacity = hours.reduce((sum, h) => sum + h, 0) * 60;
+  const weekly = Array.from({ length: weeks }, (_, i) => {
+    const weekDays = days.slice(i * 7, i * 7 + 7);
+    const minutes = weekDays.reduce((sum, d) => sum + d.minutes, 0);
+    return {
+      start: weekDays[0].start,
+      count: weekDays.reduce((sum, d) => sum + d.count, 0),
+      minutes,
+      crunch: minutes > capacity
+    };
+  });
+  return { days, weekly, capacity };
+};
+
+// --- Study Planner ---
+// "Plan my week" time-blocks open tasks before their deadlines. The planner
+// is plain, deterministic code so it works offline and gives the same plan
+// for the same input; the AI only comments on the result.
+//   hours: study hours available on each weekday, Sunday first
+//   startTime: when study time starts each day
+const PLANNER_DEFAULTS = { hours: [2, 3, 3, 3, 3, 3, 2], startTime: '16:00', days: 7 };
+
+const PLAN_STEP = 15;
+const MIN_BLOCK = 15;
+const MAX_BLOCK = 120;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+// Work goes earliest deadline first, then by priority and grade weight. Each
+// task gets at most MAX_BLOCK minutes a day unless it is due before the next
+// day starts.
+// Returns { blocks: [{ key, taskId, start, minutes }], unscheduled: [{ taskId, minutes }], assumed }
+// where start is a local datetime-input value and assumed lists tasks planned
+// with DEFAULT_ESTIMATE because they have none.
+const planStudyBlocks = (tasks, { now = new Date(), spent = {}, ...options } = {}) => {
+  const { hours, startTime, days } = { ...PLANNER_DEFAULTS, ...options };
+  const [startHour, startMinute] = startTime.split(':').map(Number);
+
+  const work = tasks
+    .filter(t => !t.completed && t.dueDate && new Date(t.dueDate) > now)
+    .map(t => ({
+      task: t,
+      due: new Date(t.dueDate).getTime(),
+      remaining: Math.max(0, Math.ceil((t.estimate || DEFAULT_ESTIMATE) - (spent[t.id] || 0)))
+    }))
+    .filter(w => w.remaining > 0)
+    .sort((a, b) =>
+      a.due - b.due ||
+      (PRIORITY_RANK[a.task.priority] ?? 1) - (PRIORITY_RANK[b.task.priority] ?? 1) ||
+      (b.task.weight || 0) - (a.task.weight || 0) ||
+      compareOrder(a.task, b.task) ||
+      (a.task.id < b.task.id ? -1 : 1)
+    );
+
+  const blocks = [];
+  for (let d = 0; d < days; d++) {
+    const day = addDays(startOfDay(now), d);
+    const windowStart = new Date(day);
+    windowStart.setHours(startHour, startMinute, 0, 0);
+    const end = windowStart.getTime() + (hours[day.getDay()] || 0) * 60 * MINUTE_MS;
+    const nextDay = addDays(day, 1).getTime();
+    // Today starts at the next quarter hour from now
+    const step = PLAN_STEP * MINUTE_MS;
+    let cursor = Math.max(windowStart.getTime(), Math.ceil(now.getTime() / step) * step);
+    const usedToday = {};
+
+    while (cursor < end) {
+      const next = work.find(w => {
+        if (w.remaining <= 0) return false;
+        const room = Math.min(end, w.due) - cursor;
+        const capped = w.due >= nextDay && (usedToday[w.task.id] || 0) >= MAX_BLOCK;
+        return !capped && room >= Math.min(MIN_BLOCK, w.remaining) * MINUTE_MS;
+      });
+      if (!next) break;
+
+      const cap = next.due >= nextDay ? MAX_BLOCK - (usedToday[next.task.id] || 0) : Infinity;
+      const minutes = Math.floor(Math.min(next.remaining, cap, (Math.min(end, next.due) - cursor) / MINUTE_MS));
+      const last = blocks[blocks.length - 1];
+      // Back-to-back time on one task is one block
+      if (last && last.taskId === next.task.id && new Date(last.start).getTime() + last.minutes * MINUTE_MS === cursor) {
+        last.minutes += minutes;
+      } else {
+        blocks.push({ key: `${next.task.id}-${cursor}`, taskId: next.task.id, start: toLocalInputValue(new Date(cursor)), minutes });
+      }
+      next.remaining -= minutes;
+      usedToday[next.task.id] = (usedToday[next.task.id] || 0) + minutes;
+      cursor += minutes * MINUTE_MS;
+    }
+  }
+
+  return {
+    blocks,
+    unscheduled: work.filter(w => w.remaining > 0).map(w => ({ taskId: w.task.id, minutes: w.remaining })),
+    assumed: work.filter(w => !w.task.estimate).map(w => w.task.id)
+  };
+};
+
+// --- Grades ---
+// Assignment tasks carry a category, a weight (percent of the course grade)
+// and points possible and earned. Weights needn't add up to 100: the course
+// grade is taken over the weight entered so far.
+const GRADE_CATEGORIES = { exam: 'Exam', homework: 'Homework', project: 'Project' };
+
+// Carried along a series; the score belongs to each occurrence
+const GRADE_FIELDS = ['gradeCategory', 'weight', 'pointsPossible'];
+
+const LETTER_GRADES = [[0.93, 'A'], [0.9, 'A-'], [0.87, 'B+'], [0.83, 'B'], [0.8, 'B-'], [0.77, 'C+'], [0.73, 'C'], [0.7, 'C-'], [0.6, 'D'], [0, 'F']];
+
+const isGraded = (task) => task.weight > 0 || task.pointsPossible > 0;
+
+// Fraction of the points earned, or null until it's scored
+const scoreOf = (task) => task.pointsPossible > 0 && task.pointsEarned != null ? task.pointsEarned / task.pointsPossible : null;
+
+const letterGrade = (fraction) => LETTER_GRADES.find(([min]) => fraction >= min)[1];
+
+const formatPercent = (fraction) => `${Math.round(fraction * 1000) / 10}%`;
+
+// Running grade over one course's tasks: current is the average over the
+// weight scored so far, earned the weighted points banked, and remaining the
+// weighted assignments still to be scored
+const courseGrade = (tasks) => {
+  const graded = tasks.filter(t => t.weight > 0);
+  const scored = graded.filter(t => scoreOf(t) !== null);
+  const scoredWeight = scored.reduce((sum, t) => sum + t.weight, 0);
+  const earned = scored.reduce((sum, t) => sum + t.weight * scoreOf(t), 0);
+  const byCategory = Object.keys(GRADE_CATEGORIES).map(category => {
+    const inCategory = scored.filter(t => (t.gradeCategory || 'homework') === category);
+    const weight = inCategory.reduce((sum, t) => sum + t.weight, 0);
+    return { category, weight, current: weight ? inCategory.reduce((sum, t) => sum + t.weight * scoreOf(t), 0) / weight : null };
+  }).filter(c => c.weight > 0);
+
+  return {
+    current: scoredWeight ? earned / scoredWeight : null,
+    earned,
+    scoredWeight,
+    totalWeight: graded.reduce((sum, t) => sum + t.weight, 0),
+    remaining: graded.filter(t => scoreOf(t) === null),
+    byCategory
+  };
+};
+
+// The score (as a fraction) `target` needs for the course to end at `goal`,
+// assuming every other open assignment scores `assumed`
+const scoreNeeded = (grade, target, goal, assumed) => {
+  const others = grade.remaining.filter(t => t.id !== target.id).reduce((sum, t) => sum + t.weight, 0);
+  return (goal * grade.totalWeight - grade.earned - others * assumed) / target.weight;
+};
+
+// Heavy assignments deserve attention, more so as they come due. Only ever
+// suggests raising a task's priority.
+const suggestedPriority = (task, now = new Date()) => {
+  if (task.completed || !(task.weight > 0)) return null;
+  const daysLeft = task.dueDate ? (new Date(task.dueDate) - now) / (24 * 60 * MINUTE_MS) : Infinity;
+  const suggestion = task.weight >= 20 || (task.weight >= 10 && daysLeft <= 3) ? 'high' : task.weight >= 5 ? 'medium' : null;
+  return suggestion && PRIORITY_RANK[suggestion] < (PRIORITY_RANK[task.priority] ?? 1) ? suggestion : null;
+};
+
+// --- Shared Lists ---
+// A shared list is a document in artifacts/{appId}/lists with its name and a
+// members map of uid -> role; its tasks, invites and presence heartbeats are
+// subcollections. firestore.rules enforces the roles, the client only hides
+// what a role can't do.
+
+const LIST_ROLES = ['owner', 'editor', 'viewer'];
+const ROLE_LABELS = { owner: 'Owner', editor: 'Can edit', viewer: 'Can view' };
+const INVITE_DAYS = 7;
+const PRESENCE_INTERVAL = 30 * 1000;
+const PRESENCE_TIMEOUT = 75 * 1000;
+
+const canEditList = (list, uid) => ['owner', 'editor'].includes(list?.members?.[uid]);
+
+const memberName = (user) => user.displayName || user.email?.split('@')[0] || `Guest ${user.uid.slice(0, 4)}`;
+
+// Invite links carry ?join=<listId>.<token>
+const inviteLink = (listId, token) => `${window.location.origin}${window.location.pathname}?join=${listId}.${token}`;
+
+const parseInviteLink = (search) => {
+  const [listId, token] = (new URLSearchParams(search).get('join') || '').split('.');
+  return listId && token ? { listId, token } : null;
+};
+
+// Members whose heartbeat is recent enough to count as here right now
+const onlineMembers = (records = [], now) => records.filter(r => now - (toDateValue(r.lastSeen) || 0) < PRESENCE_TIMEOUT);
+
+// --- Activity History ---
+// Every task write also appends an entry to the history collection beside the
+// tasks: { taskId, taskText, action, changes: [{ field, from, to }], actor,
+// actorName, at }. Entries are never edited or removed, so a task's history
+// outlives the task.
+
+// Bookkeeping that changes along with other fields or is only used internally
+const HISTORY_SKIPPED_FIELDS = ['order', 'template', 'nextOccurrenceId', 'seriesStart', 'occurrence', 'snoozedUntil', 'completedAt', 'completedBy', 'createdAt', 'deletedAt', 'trashedWith', 'listId'];
+
+const HISTORY_FIELD_LABELS = { text: 'title', dueDate: 'due date', courseId: 'course', parentId: 'parent task', assigneeId: 'assignee', recurrence: 'repeat rule', gradeCategory: 'grade category', pointsPossible: 'points possible' };
+
+const ACTIVITY_LIMIT = 50;
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// The entry for one task op, given the record as it was before; null when
+// nothing worth recording changes
+const historyEntry = (op, before) => {
+  if (op.type === 'remove') {
+    return before ? { taskId: op.id, taskText: before.text, action: 'purged', changes: [] } : null;
+  }
+  const after = op.type === 'update' || op.merge ? { ...before, ...op.data } : op.data;
+  const entry = { taskId: op.id, taskText: after.text || before?.text || '', changes: [] };
+  if (!before) return { ...entry, action: 'created' };
+  if (Boolean(after.deletedAt) !== Boolean(before.deletedAt)) {
+    return { ...entry, action: after.deletedAt ? 'deleted' : 'restored' };
+  }
+
+  const fields = op.type === 'update' ? Object.keys(op.data) : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const changes = fields
+    .filter(field => field !== 'id' && !HISTORY_SKIPPED_FIELDS.includes(field) && !sameValue(before[field], after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+  return changes.length ? { ...entry, action: 'updated', changes } : null;
+};
+
+const describeChange = ({ field, from, to }) => {
+  switch (field) {
+    case 'completed':
+      return to ? 'completed it' : 'reopened it';
+    case 'text':
+      return `renamed it from "${from}"`;
+    case 'priority':
+      return `changed priority from ${from || 'medium'} to ${to}`;
+    case 'pointsEarned':
+      return to == null ? 'cleared the score' : `scored ${to} points`;
+    case 'weight':
+      return `set the weight to ${to || 0}%`;
+    case 'dueDate':
+      if (!to) return 'removed the due date';
+      if (!from) return `set the due date to ${formatDate(to)}`;
+      return `${new Date(to) > new Date(from) ? 'pushed back' : 'moved up'} the due date from ${formatDate(from)} to ${formatDate(to)}`;
+    case 'tags': {
+      const added = (to || []).filter(t => !(from || []).includes(t));
+      const removed = (from || []).filter(t => !(to || []).includes(t));
+      return [added.length && `tagged it ${added.map(t => `#${t}`).join(' ')}`, removed.length && `removed ${removed.map(t => `#${t}`).join(' ')}`]
+        .filter(Boolean).join(' and ') || 'changed the tags';
+    }
+    default:
+      return `changed the ${HISTORY_FIELD_LABELS[field] || field}`;
+  }
+};
+
+const HISTORY_ACTIONS = {
+  created: 'created it',
+  deleted: 'moved it to the Trash',
+  restored: 'restored it from the Trash',
+  purged: 'deleted it for good'
+};
+
+const describeHistoryEntry = (entry) => HISTORY_ACTIONS[entry.action] || entry.changes.map(describeChange).join(', ');
+
+const formatTimeAgo = (date, now = Date.now()) => {
+  if (!date) return '';
+  const minutes = Math.round((now - date.getTime()) / MINUTE_MS);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+  return formatDate(date.toISOString());
+};
+
+// --- iCalendar ---
+const ICS_UID_DOMAIN = 'student-planner';
+const ICS_PRIORITY = { high: 1, medium: 5, low: 9 };
+
+const escapeICS = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeICS = (text) => text
+  .replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+// Long lines are folded onto continuation lines of at most 75 octets,
+// counting the leading space, without splitting a character (RFC 5545 3.1)
+const ICS_LINE_OCTETS = 75;
+const utf8Encoder = new TextEncoder();
+
+const foldICSLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Encoder.encode(char).length;
+    const limit = chunks.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+// Floating local time, matching how due dates are entered
+const toICSDate = (value) => toLocalInputValue(new Date(value)).replace(/[-:]/g, '') + '00';
+
+const toICSStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Wall-clock time in an IANA zone as an absolute date. The zone's offset is
+// looked up twice so times next to a DST change land on the right side.
+const zonedTimeToDate = ([y, mo, d, h, mi, sec], timeZone) => {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  const offsetAt = (time) => {
+    const parts = Object.fromEntries(format.formatToParts(new Date(time)).map(p => [p.type, Number(p.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+  };
+  const wallTime = Date.UTC(y, mo - 1, d, h, mi, sec);
+  const guess = wallTime - offsetAt(wallTime);
+  return new Date(wallTime - offsetAt(guess));
+};
+
+// Date-times with a TZID are converted to local time. Zones Intl doesn't
+// know (such as Windows zone names) are read as floating time.
+const fromICSDate = (value, timeZone = null) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, y, mo, d, h, mi, sec, utc] = match;
+  if (!h) return `${y}-${mo}-${d}T23:59`;
+  if (utc) return toLocalInputValue(new Date(Date.UTC(y, mo - 1, d, h, mi, sec)));
+  if (timeZone) {
+    try {
+      return toLocalInputValue(zonedTimeToDate([y, mo, d, h, mi, sec].map(Number), timeZone));
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+    }
+  }
+  return `${y}-${mo}-${d}T${h}:${mi}`;
+};
+
+const toICSDuration = (minutes) => `PT${formatDuration(minutes).replace(/ /g, '').toUpperCase()}`;
+
+const fromICSDuration = (value) => {
+  const match = (value || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/);
+  if (!match) return null;
+  const minutes = (parseInt(match[1] || 0, 10) * 24 + parseInt(match[2] || 0, 10)) * 60 + parseInt(match[3] || 0, 10);
+  return minutes || null;
+};
+
+// Notes go out as the DESCRIPTION, followed by the task's links, which
+// parseICS splits off again
+const ICS_LINKS_HEADING = '\n\nLinks:\n';
+
+const toICSDescription = (task) => {
+  const links = (task.links || []).map(l => l.label ? `${l.label} <${l.url}>` : l.url);
+  return (task.notes || '') + (links.length ? ICS_LINKS_HEADING + links.join('\n') : '');
+};
+
+const fromICSDescription = (value) => {
+  const [notes, links] = unescapeICS(value || '').split(ICS_LINKS_HEADING);
+  return {
+    notes: notes || null,
+    links: (links || '').split('\n').filter(Boolean).map(line => {
+      const match = line.match(/^(.*) <(.+)>$/);
+      return match ? { label: match[1], url: normalizeURL(match[2]) } : { label: '', url: normalizeURL(line) };
+    }).filter(link => link.url)
+  };
+};
+
+// The remaining part of a series, starting at the open occurrence. UNTIL
+// must share DTSTART's value type, so it goes out as a floating date-time
+// at the end of its day, which is where listOccurrences stops.
+const exportRRule = (task) => {
+  const rule = parseRRule(task.recurrence);
+  if (rule.count) rule.count = Math.max(1, rule.count - (task.occurrence || 1) + 1);
+  return buildRRule(rule).replace(/UNTIL=(\d{8})\b/, 'UNTIL=$1T235959');
+};
+
+const buildICS = (tasks, courses, { component = 'VEVENT' } = {}) => {
+  const stamp = toICSStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${ICS_UID_DOMAIN}//Student Planner//EN`,
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Student Planner'
+  ];
+
+  for (const task of tasks) {
+    if (!task.dueDate) continue;
+    const course = courses.find(c => c.id === task.courseId);
+    const due = toICSDate(task.dueDate);
+    const recurring = task.recurrence && !task.nextOccurrenceId && !task.completed;
+
+    lines.push(`BEGIN:${component}`);
+    lines.push(`UID:${task.icsUid || `${task.id}@${ICS_UID_DOMAIN}`}`);
+    lines.push(`DTSTAMP:${stamp}`);
+    if (component === 'VTODO') {
+      lines.push(`SUMMARY:${escapeICS(task.text)}`);
+      // RRULE expands from DTSTART, so a recurring to-do needs one
+      if (recurring) lines.push(`DTSTART:${due}`);
+      lines.push(`DUE:${due}`);
+      lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+      if (task.completed) lines.push(`PERCENT-COMPLETE:100`);
+      // RFC 9253
+      if (task.estimate) lines.push(`ESTIMATED-DURATION:${toICSDuration(task.estimate)}`);
+    } else {
+      lines.push(`SUMMARY:${escapeICS(task.completed ? `✓ ${task.text}` : task.text)}`);
+      lines.push(`DTSTART:${due}`);
+      lines.push(`DURATION:${toICSDuration(task.estimate || 30)}`);
+    }
+    lines.push(`PRIORITY:${ICS_PRIORITY[task.priority] || ICS_PRIORITY.medium}`);
+    if (course) lines.push(`CATEGORIES:${escapeICS(course.name)}`);
+    const description = toICSDescription(task);
+    if (description) lines.push(`DESCRIPTION:${escapeICS(description)}`);
+    if (task.location) lines.push(`LOCATION:${escapeICS(task.location)}`);
+    if (task.links?.length) lines.push(`URL:${task.links[0].url}`);
+    for (const file of task.attachments || []) {
+      if (file.url) lines.push(`ATTACH;FMTTYPE=${file.type || 'application/octet-stream'}:${file.url}`);
+    }
+    if (recurring) lines.push(`RRULE:${exportRRule(task)}`);
+    lines.push(`END:${component}`);
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICSLine).join('\r\n') + '\r\n';
+};
+
+// Flattens VEVENT/VTODO components into task-shaped objects
+const parseICS = (content) => {
+  const lines = content.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const items = [];
+  let current = null;
+  // Components nested in the current one, such as a VALARM, whose properties
+  // aren't the event's own
+  let nested = 0;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT' || line === 'BEGIN:VTODO') {
+      current = { zones: {} };
+      nested = 0;
+      continue;
+    }
+    if (line === 'END:VEVENT' || line === 'END:VTODO') {
+      if (current?.SUMMARY) items.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+    if (/^BEGIN:/i.test(line)) nested++;
+    else if (/^END:/i.test(line)) nested = Math.max(0, nested - 1);
+    if (nested > 0 || /^END:/i.test(line)) continue;
+
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const [property, ...params] = line.slice(0, colon).split(';');
+    const name = property.toUpperCase();
+    if (name in current) continue;
+    current[name] = line.slice(colon + 1);
+    const tzid = params.find(param => /^TZID=/i.test(param));
+    if (tzid) current.zones[name] = tzid.slice(5).replace(/^"|"$/g, '');
+  }
+
+  return items.map(item => {
+    const priority = parseInt(item.PRIORITY, 10);
+    const rule = parseRRule(item.RRULE);
+    const { notes, links } = fromICSDescription(item.DESCRIPTION);
+    const url = item.URL && normalizeURL(item.URL);
+    if (links.length === 0 && url) links.push({ label: '', url });
+    return {
+      uid: item.UID || null,
+      text: unescapeICS(item.SUMMARY).replace(/^✓ /, ''),
+      dueDate: item.DUE ? fromICSDate(item.DUE, item.zones.DUE) : fromICSDate(item.DTSTART || '', item.zones.DTSTART),
+      priority: !priority ? 'medium' : priority <= 4 ? 'high' : priority === 5 ? 'medium' : 'low',
+      completed: item.STATUS === 'COMPLETED' || unescapeICS(item.SUMMARY).startsWith('✓ '),
+      recurrence: rule ? buildRRule(rule) : null,
+      notes,
+      links,
+      location: item.LOCATION ? unescapeICS(item.LOCATION) : null,
+      estimate: fromICSDuration(item['ESTIMATED-DURATION'] || item.DURATION)
+    };
+  });
+};
+
+// A published feed is re-uploaded this long after the last change
+const FEED_PUBLISH_DELAY = 10 * 1000;
+
+// DTSTAMP changes on every build, so it's left out when comparing feeds
+const feedContentKey = (content) => content.replace(/^DTSTAMP:.*$/gm, '');
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- Backup ---
+const BACKUP_FORMAT = 'student-planner-backup';
+const BACKUP_VERSION = 1;
+const PRIORITIES = ['low', 'medium', 'high'];
+// Firestore Timestamps travel as ISO strings and are converted back on restore
+const TIMESTAMP_FIELDS = ['createdAt', 'completedAt'];
+const CSV_COLUMNS = ['id', 'text', 'completed', 'priority', 'dueDate', 'parentId', 'courseId', 'tags', 'order', 'recurrence', 'seriesStart', 'occurrence', 'reminders', 'notes', 'links', 'attachments', 'estimate', 'location', 'gradeCategory', 'weight', 'pointsPossible', 'pointsEarned', 'createdAt', 'completedAt'];
+const CSV_NUMBER_COLUMNS = ['occurrence', 'estimate', 'weight', 'pointsPossible', 'pointsEarned'];
+// Lists of objects don't fit a flat cell, so these columns hold JSON
+const CSV_JSON_COLUMNS = ['links', 'attachments'];
+// Other lists are joined with ';'. An empty cell means null, so an empty
+// list is written as '[]'.
+const CSV_EMPTY_LIST = '[]';
+
+const generateId = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from(crypto.getRandomValues(new Uint8Array(20)), b => chars[b % chars.length]).join('');
+};
+
+const serializeRecord = (record) => {
+  const result = { ...record };
+  for (const field of TIMESTAMP_FIELDS) {
+    const value = record[field];
+    result[field] = value?.toDate ? value.toDate().toISOString() : value ?? null;
+  }
+  return result;
+};
+
+// `toTimestamp` is the target repository's timestamp()
+const deserializeRecord = (record, toTimestamp) => {
+  const data = { ...record };
+  delete data.id;
+  for (const field of TIMESTAMP_FIELDS) {
+    if (data[field]) data[field] = toTimestamp(new Date(data[field]));
+  }
+  // Lists are ordered by createdAt, and Firestore leaves out documents without it
+  if (!data.createdAt) data.createdAt = toTimestamp();
+  return data;
+};
+
+const buildBackupJSON = (tasks, courses, settings) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  tasks: tasks.map(serializeRecord),
+  courses: courses.map(serializeRecord),
+  settings
+}, null, 2);
+
+const toCSVCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? (value.length ? value.join(';') : CSV_EMPTY_LIST) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildBackupCSV = (tasks) => [
+  CSV_COLUMNS.join(','),
+  ...tasks.map(serializeRecord).map(t => CSV_COLUMNS.map(col => toCSVCell(
+    CSV_JSON_COLUMNS.includes(col) && Array.isArray(t[col]) ? JSON.stringify(t[col]) : t[col]
+  )).join(','))
+].join('\r\n');
+
+const parseCSV = (content) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) rows.push([...row, cell]);
+  return rows.filter(r => r.some(c => c !== ''));
+};
+
+const csvRowToTask = (header, cells) => {
+  const raw = Object.fromEntries(header.map((col, i) => [col, cells[i] ?? '']));
+  const task = {};
+  for (const col of header) {
+    const value = raw[col];
+    if (value === '') task[col] = null;
+    else if (col === 'completed') task[col] = value === 'true' ? true : value === 'false' ? false : value;
+    else if (CSV_NUMBER_COLUMNS.includes(col)) task[col] = Number(value);
+    else if (col === 'reminders') task[col] = value === CSV_EMPTY_LIST ? [] : value.split(';').map(Number);
+    else if (col === 'tags') task[col] = value === CSV_EMPTY_LIST ? [] : value.split(';').map(normalizeTag).filter(Boolean);
+    else if (CSV_JSON_COLUMNS.includes(col)) {
+      try {
+        task[col] = JSON.parse(value);
+      } catch (error) {
+        // Hand-written sheets may just list URLs
+        task[col] = col === 'links' ? value.split(';').map(url => ({ label: '', url: url.trim() })) : value;
+      }
+    }
+    else task[col] = value;
+  }
+  return task;
+};
+
+const isOptionalString = (value) => value === null || value === undefined || typeof value === 'string';
+const isOptionalDate = (value) => isOptionalString(value) && (!value || !isNaN(new Date(value)));
+
+const validateTask = (t) => {
+  if (!t || typeof t !== 'object') return 'not an object';
+  if (typeof t.id !== 'string' || !t.id) return 'missing id';
+  if (typeof t.text !== 'string' || !t.text.trim()) return 'missing text';
+  if (typeof t.completed !== 'boolean') return 'completed must be true or false';
+  if (!PRIORITIES.includes(t.priority)) return `priority must be one of ${PRIORITIES.join(', ')}`;
+  if (!isOptionalDate(t.dueDate)) return 'dueDate is not a date';
+  if (!isOptionalString(t.parentId) || !isOptionalString(t.courseId)) return 'parentId and courseId must be ids';
+  if (!isOptionalString(t.recurrence)) return 'recurrence must be an RRULE string';
+  if (t.tags != null && (!Array.isArray(t.tags) || t.tags.some(tag => typeof tag !== 'string'))) return 'tags must be a list of words';
+  if (!isOptionalString(t.order)) return 'order must be a sort key';
+  if (t.reminders != null && (!Array.isArray(t.reminders) || t.reminders.some(m => !Number.isFinite(m)))) return 'reminders must be minute offsets';
+  if (!isOptionalString(t.notes) || !isOptionalString(t.location)) return 'notes and location must be text';
+  if (t.estimate != null && !(Number.isFinite(t.estimate) && t.estimate > 0)) return 'estimate must be a number of minutes';
+  if (t.links != null && (!Array.isArray(t.links) || t.links.some(l => typeof l?.url !== 'string' || !normalizeURL(l.url)))) return 'links must be a list of { label, url } with web addresses';
+  if (t.attachments != null && (!Array.isArray(t.attachments) || t.attachments.some(a => typeof a?.path !== 'string'))) return 'attachments must be a list of stored files';
+  if (t.gradeCategory != null && !(t.gradeCategory in GRADE_CATEGORIES)) return `gradeCategory must be one of ${Object.keys(GRADE_CATEGORIES).join(', ')}`;
+  if (['weight', 'pointsPossible', 'pointsEarned'].some(f => t[f] != null && !(Number.isFinite(t[f]) && t[f] >= 0))) return 'weight and points must be positive numbers';
+  if (!TIMESTAMP_FIELDS.every(f => isOptionalDate(t[f]))) return 'timestamps must be ISO dates';
+  return null;
+};
+
+const validateCourse = (c) => {
+  if (!c || typeof c !== 'object') return 'not an object';
+  if (typeof c.id !== 'string' || !c.id) return 'missing id';
+  if (typeof c.name !== 'string' || !c.name.trim()) return 'missing name';
+  return null;
+};
+
+// Reads a JSON or CSV backup into { tasks, courses, settings, errors }.
+// CSV only holds tasks, so its courses are null rather than an empty list.
+const parseBackup = (content, filename) => {
+  if (/\.csv$/i.test(filename)) {
+    const [header = [], ...rows] = parseCSV(content);
+    if (!header.includes('id') || !header.includes('text')) {
+      return { tasks: [], courses: [], settings: null, errors: ['CSV needs at least "id" and "text" columns.'] };
+    }
+    return { tasks: rows.map(cells => csvRowToTask(header, cells)), courses: null, settings: null, errors: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { tasks: [], courses: [], settings: null, errors: ['File is not valid JSON.'] };
+  }
+  if (data?.format !== BACKUP_FORMAT) {
+    return { tasks: [], courses: [], settings: null, errors: ['This is not a Student Planner backup.'] };
+  }
+  if (data.version > BACKUP_VERSION) {
+    return { tasks: [], courses: [], settings: null, errors: [`Backup version ${data.version} is newer than this app supports.`] };
+  }
+  return {
+    tasks: Array.isArray(data.tasks) ? data.tasks : [],
+    courses: Array.isArray(data.courses) ? data.courses : [],
+    settings: data.settings || null,
+    errors: []
+  };
+};
+
+const planRecords = (records, existing, validate, { mode, onConflict }, label) => {
+  const existingIds = new Set(existing.map(r => r.id));
+  const plan = { write: [], skipped: 0, conflicts: 0, invalid: [], idMap: {} };
+
+  records.forEach((record, index) => {
+    const error = validate(record);
+    if (error) {
+      plan.invalid.push(`${label} ${index + 1}: ${error}`);
+      return;
+    }
+    if (mode === 'merge' && existingIds.has(record.id)) {
+      plan.conflicts++;
+      if (onConflict === 'skip') {
+        plan.skipped++;
+        return;
+      }
+      if (onConflict === 'keep-both') plan.idMap[record.id] = generateId();
+    }
+    plan.write.push(record);
+  });
+  return plan;
+};
+
+// Works out what a restore would do without touching any data (the dry run).
+// Replacing only removes the courses when the backup brings its own.
+const planImport = (backup, current, options) => {
+  const tasks = planRecords(backup.tasks, current.tasks, validateTask, options, 'Task');
+  const courses = planRecords(backup.courses || [], current.courses, validateCourse, options, 'Course');
+  const idMap = { ...tasks.idMap, ...courses.idMap };
+  const remap = (id) => (id && idMap[id]) || id || null;
+
+  return {
+    mode: options.mode,
+    tasks: tasks.write.map(t => ({ ...t, id: remap(t.id), parentId: remap(t.parentId), courseId: remap(t.courseId), nextOccurrenceId: remap(t.nextOccurrenceId) })),
+    courses: courses.write.map(c => ({ ...c, id: remap(c.id) })),
+    settings: backup.settings,
+    remove: options.mode === 'replace' ? { tasks: current.tasks, courses: backup.courses ? current.courses : [] } : { tasks: [], courses: [] },
+    conflicts: tasks.conflicts + courses.conflicts,
+    skipped: tasks.skipped + courses.skipped,
+    errors: [...backup.errors, ...tasks.invalid, ...courses.invalid]
+  };
+};
+
+// Full class names so Tailwind picks them up at build time
+const COURSE_COLORS = {
+  indigo: { dot: 'bg-indigo-500', chip: 'bg-indigo-100 text-indigo-700', bar: 'bg-indigo-500' },
+  emerald: { dot: 'bg-emerald-500', chip: 'bg-emerald-100 text-emerald-700', bar: 'bg-emerald-500' },
+  rose: { dot: 'bg-rose-500', chip: 'bg-rose-100 text-rose-700', bar: 'bg-rose-500' },
+  amber: { dot: 'bg-amber-500', chip: 'bg-amber-100 text-amber-700', bar: 'bg-amber-500' },
+  sky: { dot: 'bg-sky-500', chip: 'bg-sky-100 text-sky-700', bar: 'bg-sky-500' },
+  violet: { dot: 'bg-violet-500', chip: 'bg-violet-100 text-violet-700', bar: 'bg-violet-500' },
+  teal: { dot: 'bg-teal-500', chip: 'bg-teal-100 text-teal-700', bar: 'bg-teal-500' },
+  orange: { dot: 'bg-orange-500', chip: 'bg-orange-100 text-orange-700', bar: 'bg-orange-500' }
+};
+
+const courseColor = (course) => COURSE_COLORS[course?.color] || COURSE_COLORS.indigo;
+
+const courseLabel = (course) => course ? (course.code || course.name) : '';
+
+// --- AI Review ---
+// AI suggestions are staged as proposals the user can edit, accept or reject
+// before anything is written. Each proposal remembers the line it came from
+// so the review can show how the model reworded it.
+const wordsOf = (text) => (text || '').split(/\s+/).filter(Boolean);
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// Word-level diff (longest common subsequence) of `before` against `after`
+const diffWords = (before, after) => {
+  const a = wordsOf(before);
+  const b = wordsOf(after);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = normalizeWord(a[i]) === normalizeWord(b[j])
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && normalizeWord(a[i]) === normalizeWord(b[j])) {
+      parts.push({ word: b[j], type: 'same' });
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      parts.push({ word: b[j++], type: 'added' });
+    } else {
+      parts.push({ word: a[i++], type: 'removed' });
+    }
+  }
+  return parts;
+};
+
+// Pairs each AI item with the input line it most likely came from
+const matchSourceLines = (items, lines) => {
+  const used = new Set();
+  return items.map(item => {
+    const words = new Set(wordsOf(item.text).map(normalizeWord).filter(Boolean));
+    let best = null;
+    let bestScore = 0;
+    lines.forEach((line, index) => {
+      if (used.has(index)) return;
+      const lineWords = new Set(wordsOf(line).map(normalizeWord).filter(Boolean));
+      const shared = [...words].filter(w => lineWords.has(w)).length;
+      const score = shared / (new Set([...words, ...lineWords]).size || 1);
+      if (score > bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    });
+    if (best === null) return null;
+    used.add(best);
+    return lines[best];
+  });
+};
+
+const toProposal = (item, index) => ({
+  key: `proposal-${index}`,
+  text: item.text,
+  source: item.source ?? null,
+  priority: PRIORITIES.includes(item.priority) ? item.priority : 'medium',
+  dueDate: item.dueDate ? toLocalInputValue(new Date(item.dueDate)) : '',
+  courseId: item.courseId || null,
+  tags: item.tags || [],
+  parentId: item.parentId || null,
+  unmatched: Boolean(item.unmatched),
+  accepted: true
+});
+
+// --- Markdown ---
+// Just enough Markdown for task notes: headings, bullet and numbered lists,
+// **bold**, *italic*, `code` and links. Output is built from React elements,
+// never HTML strings, so notes cannot inject markup.
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+const INLINE_MARKDOWN = /(\*\*[^*]+\*\*|\*[^*\s][^*]*\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\)|https?:\/\/[^\s)]+)/g;
+
+const renderInline = (text, keyPrefix) => text.split(INLINE_MARKDOWN).map((part, i) => {
+  const key = `${keyPrefix}-${i}`;
+  if (!part) return null;
+  if (part.startsWith('**') && part.endsWith('**') && part.length > 4) return <strong key={key}>{part.slice(2, -2)}</strong>;
+  if (part.startsWith('`') && part.endsWith('`') && part.length > 2) {
+    return <code key={key} className="px-1 rounded bg-slate-100 text-[0.9em]">{part.slice(1, -1)}</code>;
+  }
+  const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+  const url = link ? link[2] : part.match(/^https?:\/\//) ? part : null;
+  if (url) {
+    if (!SAFE_LINK.test(url)) return link ? link[1] : part;
+    return (
+      <a key={key} href={url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 underline hover:text-indigo-800 break-all">
+        {link ? link[1] : url}
+      </a>
+    );
+  }
+  if (part.startsWith('*') && part.endsWith('*') && part.length > 2) return <em key={key}>{part.slice(1, -1)}</em>;
+  return part;
+});
+
+const renderMarkdown = (source) => {
+  const blocks = [];
+  let list = null;
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length === 0) return;
+    const key = `p${blocks.length}`;
+    blocks.push(<p key={key}>{paragraph.flatMap((line, i) => [i > 0 && <br key={`${key}-br${i}`} />, ...renderInline(line, `${key}-${i}`)])}</p>);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (!list) return;
+    const key = `l${blocks.length}`;
+    const items = list.items.map((item, i) => <li key={i}>{renderInline(item, `${key}-${i}`)}</li>);
+    blocks.push(list.ordered
+      ? <ol key={key} className="list-decimal pl-5">{items}</ol>
+      : <ul key={key} className="list-disc pl-5">{items}</ul>);
+    list = null;
+  };
+
+  for (const line of String(source || '').split(/\r?\n/)) {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (heading) {
+      flushParagraph();
+      flushList();
+      const key = `h${blocks.length}`;
+      const size = heading[1].length === 1 ? 'text-base' : 'text-sm';
+      blocks.push(<p key={key} className={`${size} font-bold text-slate-800`}>{renderInline(heading[2], key)}</p>);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const ordered = Boolean(numbered);
+      if (list && list.ordered !== ordered) flushList();
+      list = list || { ordered, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+  flushParagraph();
+  flushList();
+  return blocks;
+};
+
+// --- Keyboard Shortcuts ---
+// Single-key shortcuts act on the task highlighted with j/k and stand aside
+// while typing. settings.shortcuts holds the user's rebindings by id.
+const SHORTCUTS = [
+  { id: 'palette', label: 'Command palette', keys: 'mod+k' },
+  { id: 'help', label: 'Keyboard shortcuts', keys: '?' },
+  { id: 'newTask', label: 'New task', keys: 'n' },
+  { id: 'next', label: 'Next task', keys: 'j' },
+  { id: 'previous', label: 'Previous task', keys: 'k' },
+  { id: 'toggle', label: 'Complete or reopen', keys: 'x' },
+  { id: 'high', label: 'High priority', keys: '1' },
+  { id: 'medium', label: 'Medium priority', keys: '2' },
+  { id: 'low', label: 'Low priority', keys: '3' },
+  { id: 'date', label: 'Set due date', keys: 'd' },
+  { id: 'edit', label: 'Edit text', keys: 'e' },
+  { id: 'delete', label: 'Delete', keys: 'delete' }
+];
+
+// Built in, so listed on the help overlay but not rebindable
+const FIXED_SHORTCUTS = [
+  { label: 'Undo', keys: 'mod+z' },
+  { label: 'Redo', keys: 'mod+shift+z' },
+  { label: 'Move task up or down', keys: 'alt+↑/↓' },
+  { label: 'Clear selection', keys: 'escape' }
+];
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+// A keydown as 'mod+k', 'shift+x' or '?'. Mod is Ctrl, or Cmd on a Mac.
+// Symbols already say whether Shift was held, so it's only named for letters
+// and keys like Delete, and Caps Lock doesn't change a letter's combo.
+const keyComboOf = (e) => {
+  if (['Control', 'Meta', 'Alt', 'Shift'].includes(e.key)) return null;
+  const printable = e.key.length === 1;
+  const key = e.key === ' ' ? 'space' : e.key.toLowerCase();
+  return [
+    (e.ctrlKey || e.metaKey) && 'mod',
+    e.altKey && 'alt',
+    e.shiftKey && (!printable || /[a-z]/i.test(e.key)) && 'shift',
+    key
+  ].filter(Boolean).join('+');
+};
+
+const COMBO_NAMES = { mod: IS_MAC ? '⌘' : 'Ctrl', alt: IS_MAC ? '⌥' : 'Alt', shift: 'Shift', escape: 'Esc', arrowup: '↑', arrowdown: '↓' };
+
+const formatCombo = (combo) => combo.split('+').map(part =>
+  COMBO_NAMES[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1))
+).join(IS_MAC ? '' : '+');
+
+const shortcutKeys = (overrides) => Object.fromEntries(SHORTCUTS.map(s => [s.id, overrides?.[s.id] || s.keys]));
+
+// The query's characters must appear in order. Runs of consecutive matches and
+// matches at the start of a word score higher, and shorter text breaks ties;
+// null means no match.
+const fuzzyScore = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let streak = 0;
+  let from = 0;
+  for (const ch of needle) {
+    const index = haystack.indexOf(ch, from);
+    if (index === -1) return null;
+    streak = index === from && from > 0 ? streak + 1 : 1;
+    score += streak + (index === 0 || /[^a-z0-9]/.test(haystack[index - 1]) ? 3 : 0);
+    from = index + 1;
+  }
+  return score - haystack.length / 100;
+};
+
+// --- Components ---
+
+const PriorityBadge = ({ priority, onClick }) => {
+  const styles = {
+    high: "bg-red-100 text-red-700 border-red-200 hover:bg-red-200",
+    medium: "bg-yellow-100 text-yellow-700 border-yellow-200 hover:bg-yellow-200",
+    low: "bg-blue-100 text-blue-700 border-blue-200 hover:bg-blue-200"
+  };
+
+  const labels = { high: "High", medium: "Medium", low: "Low" };
+
+  return (
+    <button 
+      onClick={onClick}
+      aria-label={`${labels[priority]} priority, change`}
+      title="Change priority"
+      className={`text-xs font-semibold px-2 py-1 rounded-full border transition-colors ${styles[priority]}`}
+    >
+      {labels[priority]}
+    </button>
+  );
+};
+
+const CourseSelect = ({ courses, value, onChange, className = "" }) => {
+  if (courses.length === 0) return null;
+
+  return (
+    <select
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value || null)}
+      aria-label="Course"
+      className={`text-xs font-medium rounded-lg border border-slate-200 bg-white text-slate-600 focus:outline-none focus:border-indigo-300 ${className}`}
+    >
+      <option value="">No course</option>
+      {courses.map(c => (
+        <option key={c.id} value={c.id}>{courseLabel(c)}</option>
+      ))}
+    </select>
+  );
+};
+
+const RecurrenceEditor = ({ value, onChange }) => {
+  const rule = parseRRule(value) || { freq: 'WEEKLY', interval: 1, byDay: [], until: null, count: null };
+  const mode = !value ? 'none' : rule.freq === 'WEEKLY' ? 'weekly' : rule.interval > 1 ? 'interval' : 'daily';
+  const end = rule.until ? 'until' : rule.count ? 'count' : 'never';
+
+  const update = (changes) => onChange(buildRRule({ ...rule, ...changes }));
+
+  const setMode = (nextMode) => {
+    if (nextMode === 'none') return onChange(null);
+    if (nextMode === 'daily') return update({ freq: 'DAILY', interval: 1 });
+    if (nextMode === 'interval') return update({ freq: 'DAILY', interval: Math.max(2, rule.interval) });
+    update({ freq: 'WEEKLY', interval: 1, byDay: rule.byDay.length ? rule.byDay : [WEEKDAYS[new Date().getDay()]] });
+  };
+
+  const toggleDay = (day) => {
+    const byDay = rule.byDay.includes(day) ? rule.byDay.filter(d => d !== day) : [...rule.byDay, day];
+    if (byDay.length > 0) update({ byDay: WEEKDAYS.filter(d => byDay.includes(d)) });
+  };
+
+  const setEnd = (nextEnd) => {
+    if (nextEnd === 'never') update({ until: null, count: null });
+    if (nextEnd === 'until') update({ until: toLocalInputValue(addDays(new Date(), 90)).slice(0, 10), count: null });
+    if (nextEnd === 'count') update({ until: null, count: 10 });
+  };
+
+  const inputClass = "p-1.5 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300";
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+      <Repeat size={14} className="text-slate-400" />
+      <select value={mode} onChange={(e) => setMode(e.target.value)} className={inputClass}>
+        <option value="none">Does not repeat</option>
+        <option value="daily">Daily</option>
+        <option value="weekly">Weekly on…</option>
+        <option value="interval">Every N days</option>
+      </select>
+
+      {mode === 'weekly' && (
+        <div className="flex gap-1">
+          {WEEKDAYS.map((day, i) => (
+            <button
+              key={day}
+              type="button"
+              onClick={() => toggleDay(day)}
+              aria-label={WEEKDAY_LABELS[i]}
+              aria-pressed={rule.byDay.includes(day)}
+              className={`w-7 h-7 rounded-full text-xs font-bold transition-colors ${rule.byDay.includes(day) ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-500 hover:bg-slate-200'}`}
+            >
+              {WEEKDAY_LABELS[i][0]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {mode === 'interval' && (
+        <input
+          type="number"
+          min="2"
+          value={rule.interval}
+          onChange={(e) => update({ interval: Math.max(2, parseInt(e.target.value, 10) || 2) })}
+          className={`${inputClass} w-16`}
+        />
+      )}
+
+      {mode !== 'none' && (
+        <>
+          <select value={end} onChange={(e) => setEnd(e.target.value)} className={inputClass}>
+            <option value="never">Forever</option>
+            <option value="until">Until</option>
+            <option value="count">For N times</option>
+          </select>
+          {end === 'until' && (
+            <input
+              type="date"
+              value={rule.until}
+              onChange={(e) => e.target.value && update({ until: e.target.value })}
+              className={inputClass}
+            />
+          )}
+          {end === 'count' && (
+            <input
+              type="number"
+              min="1"
+              value={rule.count}
+              onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className={`${inputClass} w-16`}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const ReminderPicker = ({ value, onChange, onReset }) => (
+  <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+    <Bell size={14} className="text-slate-400" />
+    {REMINDER_OPTIONS.map(({ minutes, label }) => {
+      const active = value.includes(minutes);
+      return (
+        <button
+          key={minutes}
+          type="button"
+          onClick={() => onChange(active ? value.filter(m => m !== minutes) : [...value, minutes].sort((a, b) => a - b))}
+          className={`px-2.5 py-1 rounded-full text-xs font-medium transition-colors ${active ? 'bg-amber-500 text-white' : 'bg-slate-100 text-slate-500 hover:bg-slate-200'}`}
+        >
+          {label}
+        </button>
+      );
+    })}
+    {onReset && (
+      <button type="button" onClick={onReset} className="text-xs text-indigo-600 hover:underline">
+        Use default
+      </button>
+    )}
+  </div>
+);
+
+const PRIORITY_SECTIONS = [
+  { key: 'high', label: 'High Priority', dot: 'bg-red-500' },
+  { key: 'medium', label: 'Medium Priority', dot: 'bg-yellow-400' },
+  { key: 'low', label: 'Low Priority', dot: 'bg-blue-400' }
+];
+
+const SelectAllToggle = ({ ids, selectedIds, onToggle }) => {
+  const allSelected = ids.length > 0 && ids.every(id => selectedIds.includes(id));
+  return (
+    <button
+      onClick={() => onToggle(ids, !allSelected)}
+      className="ml-auto text-[10px] font-semibold normal-case tracking-normal text-slate-400 hover:text-indigo-600 transition-colors"
+    >
+      {allSelected ? 'Deselect' : 'Select all'}
+    </button>
+  );
+};
+
+const BulkActionBar = ({ count, courses, onApply, onClear }) => {
+  const [shiftDays, setShiftDays] = useState(1);
+  const [tag, setTag] = useState("");
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const controlClass = "p-1.5 text-xs rounded-lg bg-slate-800 border border-slate-700 text-slate-100 focus:outline-none focus:border-indigo-400";
+  const buttonClass = "flex items-center gap-1 px-2 py-1.5 rounded-lg hover:bg-slate-800 transition-colors";
+
+  const handleTag = (e) => {
+    e.preventDefault();
+    const cleaned = normalizeTag(tag);
+    if (!cleaned) return;
+    onApply('tag', cleaned);
+    setTag("");
+  };
+
+  return (
+    <div className="sticky top-2 z-20 mb-4 p-3 bg-slate-900 text-white rounded-2xl shadow-lg flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-semibold mr-1">{count} selected</span>
+
+      <button onClick={() => onApply('complete', true)} className={buttonClass} title="Mark complete">
+        <CheckCircle size={14} /> Complete
+      </button>
+      <button onClick={() => onApply('complete', false)} className={buttonClass} title="Mark not done">
+        <Circle size={14} /> Reopen
+      </button>
+
+      <select
+        value=""
+        onChange={(e) => e.target.value && onApply('priority', e.target.value)}
+        aria-label="Set priority"
+        className={controlClass}
+      >
+        <option value="">Priority…</option>
+        <option value="high">High</option>
+        <option value="medium">Medium</option>
+        <option value="low">Low</option>
+      </select>
+
+      <input
+        type="datetime-local"
+        value=""
+        onChange={(e) => e.target.value && onApply('due', e.target.value)}
+        title="Set due date"
+        aria-label="Set due date"
+        className={controlClass}
+      />
+
+      <div role="group" aria-label="Move due dates" className="flex items-center gap-1" title="Move due dates by a number of days">
+        <button onClick={() => onApply('shift', -shiftDays)} aria-label={`Earlier by ${shiftDays} days`} className={buttonClass}>−</button>
+        <input
+          type="number"
+          min="1"
+          value={shiftDays}
+          onChange={(e) => setShiftDays(Math.max(1, parseInt(e.target.value, 10) || 1))}
+          aria-label="Days"
+          className={`${controlClass} w-14 text-center`}
+        />
+        <button onClick={() => onApply('shift', shiftDays)} aria-label={`Later by ${shiftDays} days`} className={buttonClass}>+</button>
+        <span className="text-xs text-slate-400">days</span>
+      </div>
+
+      {courses.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onApply('course', e.target.value === 'none' ? null : e.target.value)}
+          aria-label="Set course"
+          className={controlClass}
+        >
+          <option value="">Course…</option>
+          <option value="none">No course</option>
+          {courses.map(c => (
+            <option key={c.id} value={c.id}>{courseLabel(c)}</option>
+          ))}
+        </select>
+      )}
+
+      <form onSubmit={handleTag} className="flex items-center">
+        <input
+          type="text"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          placeholder="#tag"
+          aria-label="Add tag to selected"
+          className={`${controlClass} w-20`}
+        />
+      </form>
+
+      <div className="flex-grow"></div>
+
+      {confirmDelete ? (
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => { onApply('delete'); setConfirmDelete(false); }}
+            className="px-2 py-1.5 rounded-lg bg-red-500 hover:bg-red-600 transition-colors"
+          >
+            Delete {count}
+          </button>
+          <button onClick={() => setConfirmDelete(false)} aria-label="Cancel" className="p-1 text-slate-400 hover:text-white">
+            <X size={14} />
+          </button>
+        </div>
+      ) : (
+        <button onClick={() => setConfirmDelete(true)} className={`${buttonClass} text-red-300`} title="Delete selected">
+          <Trash2 size={14} /> Delete
+        </button>
+      )}
+
+      <button onClick={onClear} className="p-1.5 text-slate-400 hover:text-white" title="Clear selection (Esc)">
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
+// Accepts "example.com/page" as well as full URLs; null when it isn't a web link
+const normalizeURL = (input) => {
+  const text = input.trim();
+  if (!text) return null;
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`);
+    return SAFE_LINK.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// readOnly is for viewers of a shared list. onWatchHistory(taskId, onChange)
+// subscribes to the task's history entries, oldest first.
+const TaskDetails = ({ task, readOnly = false, onChange, onUpload, onOpenAttachment, onRemoveAttachment, onWatchHistory }) => {
+  const [editingNotes, setEditingNotes] = useState(!task.notes && !readOnly);
+  const [notes, setNotes] = useState(task.notes || "");
+  const [location, setLocation] = useState(task.location || "");
+  const [estimate, setEstimate] = useState(formatDuration(task.estimate));
+  const [estimateError, setEstimateError] = useState(false);
+  const [newLink, setNewLink] = useState({ url: "", label: "" });
+  const [linkError, setLinkError] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [fileError, setFileError] = useState(null);
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [grading, setGrading] = useState({});
+
+  // The score prompt can fill these in while the drawer is open
+  useEffect(() => {
+    setGrading({ weight: task.weight ?? '', pointsEarned: task.pointsEarned ?? '', pointsPossible: task.pointsPossible ?? '' });
+  }, [task.weight, task.pointsEarned, task.pointsPossible]);
+
+  useEffect(() => {
+    if (!onWatchHistory) return;
+    return onWatchHistory(task.id, setHistoryEntries);
+  }, [task.id]);
+
+  const links = task.links || [];
+  const attachments = task.attachments || [];
+
+  const saveNotes = () => {
+    const value = notes.trim() ? notes : null;
+    if (value !== (task.notes || null)) onChange({ notes: value });
+    if (value) setEditingNotes(false);
+  };
+
+  const saveLocation = () => {
+    const value = location.trim() || null;
+    if (value !== (task.location || null)) onChange({ location: value });
+  };
+
+  const saveEstimate = () => {
+    const minutes = estimate.trim() ? parseDuration(estimate) : null;
+    if (estimate.trim() && !minutes) {
+      setEstimateError(true);
+      return;
+    }
+    setEstimateError(false);
+    setEstimate(formatDuration(minutes));
+    if (minutes !== (task.estimate || null)) onChange({ estimate: minutes });
+  };
+
+  const saveGrading = (field) => {
+    const text = String(grading[field]).trim();
+    const value = text === '' ? null : Number(text);
+    if (value !== null && !(value >= 0)) {
+      setGrading({ ...grading, [field]: task[field] ?? '' });
+      return;
+    }
+    if (value !== (task[field] ?? null)) onChange({ [field]: value });
+  };
+
+  const gradingInput = (field, placeholder) => (
+    <input
+      type="number"
+      min="0"
+      step="any"
+      value={grading[field] ?? ''}
+      onChange={(e) => setGrading({ ...grading, [field]: e.target.value })}
+      onBlur={() => saveGrading(field)}
+      onKeyDown={(e) => e.key === 'Enter' && saveGrading(field)}
+      readOnly={readOnly}
+      placeholder={placeholder}
+      className="w-16 p-1.5 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-200"
+    />
+  );
+
+  const addLink = (e) => {
+    e.preventDefault();
+    const url = normalizeURL(newLink.url);
+    if (!url) {
+      setLinkError(true);
+      return;
+    }
+    onChange({ links: [...links, { url, label: newLink.label.trim() }] });
+    setNewLink({ url: "", label: "" });
+    setLinkError(false);
+  };
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = "";
+    setUploading(true);
+    setFileError(null);
+    const failed = await onUpload(files);
+    if (failed.length > 0) setFileError(failed.map(f => `${f.name}: ${f.message}`).join(' '));
+    setUploading(false);
+  };
+
+  const openFile = async (file) => {
+    setFileError(null);
+    try {
+      await onOpenAttachment(file);
+    } catch (error) {
+      setFileError(error.message);
+    }
+  };
+
+  const label = "text-xs font-bold text-slate-400 uppercase tracking-wider";
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="grid sm:grid-cols-2 gap-3">
+        <label className="block">
+          <span className={label}>Estimate</span>
+          <div className="mt-1 flex items-center gap-2">
+            <Clock size={14} className="text-slate-400 flex-shrink-0" />
+            <input
+              type="text"
+              value={estimate}
+              onChange={(e) => { setEstimate(e.target.value); setEstimateError(false); }}
+              onBlur={saveEstimate}
+              onKeyDown={(e) => e.key === 'Enter' && saveEstimate()}
+              readOnly={readOnly}
+              placeholder="e.g. 1h 30m"
+              className={`w-full p-1.5 border rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-200 ${estimateError ? 'border-red-300' : 'border-slate-200'}`}
+            />
+          </div>
+          {estimateError && <span className="text-xs text-red-600">Try a duration like 45m or 2h.</span>}
+        </label>
+        <label className="block">
+          <span className={label}>Location</span>
+          <div className="mt-1 flex items-center gap-2">
+            <MapPin size={14} className="text-slate-400 flex-shrink-0" />
+            <input
+              type="text"
+              value={location}
+              onChange={(e) => setLocation(e.target.value)}
+              onBlur={saveLocation}
+              onKeyDown={(e) => e.key === 'Enter' && saveLocation()}
+              readOnly={readOnly}
+              placeholder="Room or building"
+              className="w-full p-1.5 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-200"
+            />
+          </div>
+        </label>
+      </div>
+
+      <div>
+        <span className={label}>Grading</span>
+        <div className="mt-1 flex flex-wrap items-center gap-2 text-slate-500">
+          <Award size={14} className="text-slate-400 flex-shrink-0" />
+          <select
+            value={task.gradeCategory || ""}
+            onChange={(e) => onChange({ gradeCategory: e.target.value || null })}
+            disabled={readOnly}
+            className="p-1.5 border border-slate-200 rounded-lg bg-white text-slate-600 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+          >
+            <option value="">No category</option>
+            {Object.entries(GRADE_CATEGORIES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <span className="flex items-center gap-1">{gradingInput('weight', '0')} % of grade</span>
+          <span className="flex items-center gap-1">
+            Score {gradingInput('pointsEarned', '–')} / {gradingInput('pointsPossible', 'pts')}
+          </span>
+          {scoreOf(task) !== null && (
+            <span className="font-medium text-slate-700">{formatPercent(scoreOf(task))} · {letterGrade(scoreOf(task))}</span>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between">
+          <span className={label}>Notes</span>
+          {!editingNotes && !readOnly && (
+            <button onClick={() => setEditingNotes(true)} className="p-1 text-slate-400 hover:text-indigo-600" title="Edit notes">
+              <Pencil size={12} />
+            </button>
+          )}
+        </div>
+        {editingNotes ? (
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            onBlur={saveNotes}
+            rows={4}
+            placeholder="Markdown supported: **bold**, *italic*, - lists, [links](https://...)"
+            className="mt-1 w-full p-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-200 font-mono text-xs"
+          />
+        ) : (
+          <div onDoubleClick={() => !readOnly && setEditingNotes(true)} className="mt-1 space-y-2 text-slate-700 break-words">
+            {renderMarkdown(task.notes)}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <span className={label}>Links</span>
+        <ul className="mt-1 space-y-1">
+          {links.map((link, i) => (
+            <li key={`${link.url}-${i}`} className="flex items-center gap-2">
+              <Link2 size={14} className="text-slate-400 flex-shrink-0" />
+              {SAFE_LINK.test(link.url) ? (
+                <a href={link.url} target="_blank" rel="noopener noreferrer" className="flex-grow min-w-0 truncate text-indigo-600 hover:underline">
+                  {link.label || link.url}
+                </a>
+              ) : (
+                <span className="flex-grow min-w-0 truncate text-slate-600">{link.label || link.url}</span>
+              )}
+              {!readOnly && (
+                <button onClick={() => onChange({ links: links.filter((_, j) => j !== i) })} title="Remove link" className="p-1 text-slate-400 hover:text-red-500">
+                  <X size={12} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {!readOnly && (
+          <form onSubmit={addLink} className="mt-1 flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              value={newLink.url}
+              onChange={(e) => { setNewLink({ ...newLink, url: e.target.value }); setLinkError(false); }}
+              placeholder="Assignment page URL"
+              className={`flex-grow min-w-[10rem] p-1.5 border rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-200 ${linkError ? 'border-red-300' : 'border-slate-200'}`}
+            />
+            <input
+              type="text"
+              value={newLink.label}
+              onChange={(e) => setNewLink({ ...newLink, label: e.target.value })}
+              placeholder="Label (optional)"
+              className="w-36 p-1.5 border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-200"
+            />
+            <button type="submit" disabled={!newLink.url.trim()} className="p-1.5 rounded-lg bg-indigo-50 text-indigo-600 hover:bg-indigo-100 disabled:opacity-40">
+              <Plus size={14} />
+            </button>
+          </form>
+        )}
+        {linkError && <span className="text-xs text-red-600">That doesn't look like a web address.</span>}
+      </div>
+
+      <div>
+        <span className={label}>Attachments</span>
+        <ul className="mt-1 space-y-1">
+          {attachments.map(file => (
+            <li key={file.id} className="flex items-center gap-2">
+              <Paperclip size={14} className="text-slate-400 flex-shrink-0" />
+              <button onClick={() => openFile(file)} className="flex-grow min-w-0 truncate text-left text-indigo-600 hover:underline">
+                {file.name}
+              </button>
+              <span className="text-xs text-slate-400 whitespace-nowrap">{formatFileSize(file.size)}</span>
+              {!readOnly && (
+                <button onClick={() => onRemoveAttachment(file)} title="Delete attachment" className="p-1 text-slate-400 hover:text-red-500">
+                  <X size={12} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {!readOnly && (
+          <label className={`mt-1 inline-flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg border border-dashed border-slate-300 text-xs text-slate-500 cursor-pointer hover:border-indigo-300 hover:text-indigo-600 ${uploading ? 'pointer-events-none opacity-60' : ''}`}>
+            {uploading ? <Loader2 size={12} className="animate-spin" /> : <Upload size={12} />}
+            {uploading ? 'Uploading...' : 'Attach files'}
+            <input type="file" multiple onChange={handleFiles} className="hidden" />
+          </label>
+        )}
+        {fileError && <p className="mt-1 text-xs text-red-600">{fileError}</p>}
+      </div>
+
+      {historyEntries.length > 0 && (
+        <div>
+          <span className={label}>History</span>
+          <ol className="mt-1 ml-1.5 pl-3 border-l-2 border-slate-100 space-y-1">
+            {historyEntries.map(entry => (
+              <li key={entry.id} className="text-xs text-slate-500">
+                <span className="font-medium text-slate-700">{entry.actorName}</span> {describeHistoryEntry(entry)}
+                <span className="text-slate-400"> · {formatTimeAgo(toDateValue(entry.at))}</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TaskItem = ({ task, courses = [], defaultReminders = [], childrenByParent = {}, syncStates = {}, selectedIds = [], onSelect, onMove, onDragStart, onDragEnd, onUpdate, onDelete, onBreakdown, onAddTasks, onAttach, onOpenAttachment, onRemoveAttachment, timeSpent = {}, timingId = null, onToggleTimer, lists = [], currentUid = null, othersFocusing = {}, onWatchHistory, onPromptScore, focusedId = null, command = null }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState(task.text);
+  const [isBreakingDown, setIsBreakingDown] = useState(false);
+  const [breakdownError, setBreakdownError] = useState(null);
+  const [breakdownProposals, setBreakdownProposals] = useState(null);
+  const [showSubtasks, setShowSubtasks] = useState(true);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [showRecurrence, setShowRecurrence] = useState(false);
+  const [showReminders, setShowReminders] = useState(false);
+  const [showTags, setShowTags] = useState(false);
+  const [showDetails, setShowDetails] = useState(false);
+  const [showDueDate, setShowDueDate] = useState(false);
+  const [dueDraft, setDueDraft] = useState("");
+  const [newTag, setNewTag] = useState("");
+  const [pendingUpdate, setPendingUpdate] = useState(null);
+  const rowRef = useRef(null);
+  const handledCommand = useRef(command);
+
+  const subtasks = childrenByParent[task.id] || [];
+  const doneSubtasks = subtasks.filter(t => t.completed).length;
+  const course = courses.find(c => c.id === task.courseId);
+  const syncState = syncStates[task.id];
+  const selected = selectedIds.includes(task.id);
+  const extras = (task.links?.length || 0) + (task.attachments?.length || 0);
+  const spent = Math.round(timeSpent[task.id] || 0);
+  const timing = timingId === task.id;
+  const hasDetails = Boolean(task.notes || task.location || task.estimate || extras);
+  const list = lists.find(l => l.id === task.listId);
+  const readOnly = Boolean(list) && !canEditList(list, currentUid);
+  const nameOf = (uid) => uid === currentUid ? 'You' : list?.memberNames?.[uid] || 'Someone';
+  const focusingNames = othersFocusing[task.id] || [];
+  const score = scoreOf(task);
+  const prioritySuggestion = readOnly ? null : suggestedPriority(task);
+  const focused = focusedId === task.id;
+
+  const toggleStatus = () => {
+    onUpdate(task.id, { completed: !task.completed });
+    // Handing in graded work asks for the score
+    if (!task.completed && isGraded(task) && task.pointsEarned == null) onPromptScore?.(task.id);
+  };
+
+  // Edits to an open recurring task ask whether they apply to the rest of the series
+  const applyUpdate = (data) => {
+    if (task.recurrence && !task.completed) {
+      setPendingUpdate(data);
+    } else {
+      onUpdate(task.id, data);
+    }
+  };
+
+  const confirmUpdate = (scope) => {
+    onUpdate(task.id, pendingUpdate, { scope });
+    setPendingUpdate(null);
+  };
+
+  const cyclePriority = () => {
+    const priorities = ['low', 'medium', 'high'];
+    const currentIndex = priorities.indexOf(task.priority || 'medium');
+    const nextPriority = priorities[(currentIndex + 1) % priorities.length];
+    applyUpdate({ priority: nextPriority });
+  };
+
+  const handleSaveEdit = () => {
+    if (editText.trim() && editText.trim() !== task.text) {
+      applyUpdate({ text: editText.trim() });
+    }
+    setIsEditing(false);
+  };
+
+  const addTag = (e) => {
+    e.preventDefault();
+    const tag = normalizeTag(newTag);
+    if (tag && !(task.tags || []).includes(tag)) onUpdate(task.id, { tags: [...(task.tags || []), tag] });
+    setNewTag("");
+  };
+
+  const removeTag = (tag) => {
+    onUpdate(task.id, { tags: (task.tags || []).filter(t => t !== tag) });
+  };
+
+  const handleBreakdown = async () => {
+    setIsBreakingDown(true);
+    setBreakdownError(null);
+    try {
+      setBreakdownProposals(await onBreakdown(task));
+    } catch (error) {
+      setBreakdownError(error.message || 'Magic Breakdown failed. Please try again.');
+    }
+    setIsBreakingDown(false);
+  };
+
+  const handleDelete = () => {
+    if (subtasks.length > 0) {
+      setConfirmDelete(true);
+    } else {
+      onDelete(task.id);
+    }
+  };
+
+  const openDueDate = () => {
+    setDueDraft(task.dueDate ? toLocalInputValue(new Date(task.dueDate)) : "");
+    setShowDueDate(true);
+  };
+
+  // Like a drop on the calendar, a new date only moves this occurrence
+  const saveDueDate = (dueDate) => {
+    if (dueDate !== (task.dueDate || null)) onUpdate(task.id, { dueDate }, { scope: 'this' });
+    setShowDueDate(false);
+  };
+
+  useEffect(() => {
+    if (focused) rowRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [focused]);
+
+  // Shortcuts on the highlighted task arrive as a new command object, so they
+  // go through the same paths as the buttons. One already handled when the row
+  // mounted is ignored.
+  useEffect(() => {
+    if (!command || command === handledCommand.current) return;
+    handledCommand.current = command;
+    if (command.taskId !== task.id || readOnly) return;
+    switch (command.action) {
+      case 'toggle':
+        toggleStatus();
+        break;
+      case 'high':
+      case 'medium':
+      case 'low':
+        if (command.action !== (task.priority || 'medium')) applyUpdate({ priority: command.action });
+        break;
+      case 'date':
+        openDueDate();
+        break;
+      case 'edit':
+        setEditText(task.text);
+        setIsEditing(true);
+        break;
+      case 'delete':
+        handleDelete();
+        break;
+      default:
+        break;
+    }
+  }, [command]);
+
+  const overdue = !task.completed && isOverdue(task.dueDate);
+  const today = !task.completed && isDueToday(task.dueDate);
+
+  // Alt+Up / Alt+Down moves the task from anywhere inside its row
+  const handleKeyDown = (e) => {
+    if (!onMove || !e.altKey || task.completed || readOnly) return;
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      onMove(task.id, e.key === 'ArrowUp' ? -1 : 1);
+    }
+  };
+
+  return (
+    <div>
+      <div
+        ref={rowRef}
+        onKeyDown={handleKeyDown}
+        className={`group flex items-start gap-3 p-3 bg-white border rounded-xl shadow-sm hover:shadow-md focus-within:shadow-md transition-all ${selected ? 'ring-2 ring-indigo-300' : focused ? 'ring-2 ring-slate-400' : ''} ${task.completed ? 'opacity-60 border-slate-100' : overdue ? 'border-red-200 bg-red-50/30' : 'border-slate-100'}`}
+      >
+        {onDragStart && !task.completed && !readOnly && (
+          <span
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.setData('text/plain', task.id);
+              e.dataTransfer.effectAllowed = 'move';
+              onDragStart(task.id);
+            }}
+            onDragEnd={onDragEnd}
+            title="Drag to reorder"
+            aria-hidden="true"
+            className="flex-shrink-0 mt-1 -ml-1 -mr-2 text-slate-300 hover:text-slate-500 cursor-grab active:cursor-grabbing sm:opacity-0 sm:group-hover:opacity-100 sm:group-focus-within:opacity-100 transition-opacity"
+          >
+            <GripVertical size={16} />
+          </span>
+        )}
+        {onSelect && (
+          <input
+            type="checkbox"
+            checked={selected}
+            readOnly
+            onClick={(e) => onSelect(task.id, { range: e.shiftKey })}
+            title="Select (Shift-click for a range)"
+            aria-label={`Select "${task.text}"`}
+            className={`flex-shrink-0 mt-1 rounded border-slate-300 text-indigo-600 focus:ring-indigo-200 cursor-pointer transition-opacity ${selected || selectedIds.length > 0 ? '' : 'sm:opacity-0 sm:group-hover:opacity-100 sm:group-focus-within:opacity-100'}`}
+          />
+        )}
+        <button 
+          onClick={toggleStatus}
+          disabled={readOnly}
+          aria-label={`Complete "${task.text}"`}
+          aria-pressed={Boolean(task.completed)}
+          className={`flex-shrink-0 mt-0.5 rounded-full transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-400 disabled:cursor-default ${task.completed ? 'text-emerald-500' : 'text-slate-300 hover:text-emerald-400'}`}
+        >
+          {task.completed ? <CheckCircle size={22} className="fill-current" /> : <Circle size={22} />}
+        </button>
+
+        <div className="flex-grow min-w-0">
+          <div className="flex flex-wrap gap-2 mb-1">
+            {syncState === 'pending' && (
+              <span title="Saved on this device, waiting to sync" role="img" aria-label="Waiting to sync" className="inline-flex items-center text-slate-400">
+                <CloudOff size={12} />
+              </span>
+            )}
+            {syncState === 'failed' && (
+              <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-red-600 bg-red-100 px-1.5 py-0.5 rounded">
+                <AlertCircle size={10} /> Not saved
+              </span>
+            )}
+            {course && (
+              <span className={`inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide px-1.5 py-0.5 rounded ${courseColor(course).chip}`}>
+                <GraduationCap size={10} /> {courseLabel(course)}
+              </span>
+            )}
+            {isGraded(task) && (
+              <span
+                title={task.weight ? `${task.weight}% of the course grade` : 'Graded'}
+                className={`inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide px-1.5 py-0.5 rounded ${score !== null ? 'text-emerald-600 bg-emerald-100' : 'text-slate-500 bg-slate-100'}`}
+              >
+                <Award size={10} />
+                {[GRADE_CATEGORIES[task.gradeCategory], task.weight > 0 && `${task.weight}%`].filter(Boolean).join(' · ') || 'Graded'}
+                {score !== null && ` · ${formatPercent(score)}`}
+              </span>
+            )}
+            {prioritySuggestion && (
+              <button
+                onClick={() => applyUpdate({ priority: prioritySuggestion })}
+                title={`Worth ${task.weight}% of the grade`}
+                className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-red-600 bg-red-50 hover:bg-red-100 px-1.5 py-0.5 rounded transition-colors"
+              >
+                <ArrowUp size={10} /> Make {prioritySuggestion}
+              </button>
+            )}
+            {list && (
+              <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-sky-700 bg-sky-100 px-1.5 py-0.5 rounded">
+                <Users size={10} /> {list.name}
+              </span>
+            )}
+            {list && task.assigneeId && (
+              <span title="Assigned to" className="inline-flex items-center gap-1 text-[10px] font-bold tracking-wide text-sky-700 bg-sky-50 px-1.5 py-0.5 rounded">
+                <UserCircle size={10} /> {nameOf(task.assigneeId)}
+              </span>
+            )}
+            {list && task.completed && task.completedBy && (
+              <span className="inline-flex items-center gap-1 text-[10px] font-bold tracking-wide text-emerald-600 bg-emerald-100 px-1.5 py-0.5 rounded">
+                <CheckCircle size={10} /> Done by {nameOf(task.completedBy)}
+              </span>
+            )}
+            {focusingNames.length > 0 && (
+              <span className="inline-flex items-center gap-1 text-[10px] font-bold tracking-wide text-emerald-700 bg-emerald-50 px-1.5 py-0.5 rounded">
+                <span className="w-1.5 h-1.5 rounded-full bg-emerald-500 animate-pulse"></span>
+                {focusingNames.join(', ')} working on this
+              </span>
+            )}
+            {(task.tags || []).map(tag => (
+              <span key={tag} className="inline-flex items-center text-[10px] font-bold tracking-wide text-slate-500 bg-slate-100 px-1.5 py-0.5 rounded">
+                #{tag}
+              </span>
+            ))}
+            {overdue && (
+              <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-red-600 bg-red-100 px-1.5 py-0.5 rounded">
+                <AlertCircle size={10} /> Overdue
+              </span>
+            )}
+            {today && (
+               <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-amber-600 bg-amber-100 px-1.5 py-0.5 rounded">
+                <Bell size={10} /> Due Today
+              </span>
+            )}
+            {task.dueDate && !overdue && !today && (
+               <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-slate-500 bg-slate-100 px-1.5 py-0.5 rounded">
+                <CalendarIcon size={10} /> {formatDate(task.dueDate)}
+              </span>
+            )}
+            {task.recurrence && (
+              <span className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-violet-600 bg-violet-100 px-1.5 py-0.5 rounded">
+                <Repeat size={10} /> {describeRecurrence(task.recurrence)}
+              </span>
+            )}
+            {(task.estimate > 0 || spent > 0) && (
+              <span
+                title={task.estimate ? 'Time spent / estimate' : 'Time spent'}
+                className={`inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide px-1.5 py-0.5 rounded ${task.estimate && spent > task.estimate ? 'text-red-600 bg-red-100' : timing ? 'text-indigo-600 bg-indigo-100' : 'text-slate-500 bg-slate-100'}`}
+              >
+                <Clock size={10} />
+                {spent > 0 && (formatDuration(spent))}
+                {spent > 0 && task.estimate > 0 && ' / '}
+                {task.estimate > 0 && formatDuration(task.estimate)}
+              </span>
+            )}
+            {task.location && (
+              <span className="inline-flex items-center gap-1 text-[10px] font-bold tracking-wide text-slate-500 bg-slate-100 px-1.5 py-0.5 rounded max-w-[10rem] truncate">
+                <MapPin size={10} className="flex-shrink-0" /> {task.location}
+              </span>
+            )}
+            {(task.notes || extras > 0) && (
+              <button
+                onClick={() => setShowDetails(!showDetails)}
+                title="Show details"
+                aria-expanded={showDetails}
+                className="inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide text-slate-500 bg-slate-100 hover:bg-slate-200 px-1.5 py-0.5 rounded transition-colors"
+              >
+                {task.notes && <FileText size={10} />}
+                {extras > 0 && <><Paperclip size={10} /> {extras}</>}
+              </button>
+            )}
+            {subtasks.length > 0 && (
+              <button
+                onClick={() => setShowSubtasks(!showSubtasks)}
+                aria-expanded={showSubtasks}
+                className={`inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide px-1.5 py-0.5 rounded transition-colors ${doneSubtasks === subtasks.length ? 'text-emerald-600 bg-emerald-100' : 'text-indigo-600 bg-indigo-50 hover:bg-indigo-100'}`}
+              >
+                {showSubtasks ? <ChevronDown size={10} /> : <ChevronRight size={10} />}
+                {doneSubtasks}/{subtasks.length} subtasks
+              </button>
+            )}
+          </div>
+
+          {isEditing ? (
+            <form 
+              onSubmit={(e) => { e.preventDefault(); handleSaveEdit(); }}
+              className="flex items-center gap-2"
+            >
+              <input
+                type="text"
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                aria-label="Task"
+                className="w-full text-slate-700 border-b border-blue-500 focus:outline-none bg-transparent py-1"
+                autoFocus
+                onBlur={handleSaveEdit}
+              />
+            </form>
+          ) : (
+            <p 
+              onClick={() => !readOnly && setIsEditing(true)}
+              onKeyDown={(e) => {
+                if (readOnly || (e.key !== 'Enter' && e.key !== ' ')) return;
+                e.preventDefault();
+                setIsEditing(true);
+              }}
+              role={readOnly ? undefined : 'button'}
+              tabIndex={readOnly ? undefined : 0}
+              title={readOnly ? undefined : 'Edit'}
+              className={`text-slate-700 truncate rounded ${readOnly ? '' : 'cursor-text focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-300'} ${task.completed ? 'line-through text-slate-400' : ''}`}
+            >
+              {task.text}
+            </p>
+          )}
+        </div>
+
+        <div className="flex items-center gap-2 opacity-100 sm:opacity-0 sm:group-hover:opacity-100 sm:group-focus-within:opacity-100 transition-opacity self-start">
+          {onMove && !task.completed && !readOnly && (
+            <div className="flex flex-col -my-1">
+              <button onClick={() => onMove(task.id, -1)} title="Move up (Alt+↑)" className="p-0.5 text-slate-400 hover:text-slate-700 hover:bg-slate-100 rounded">
+                <ArrowUp size={12} />
+              </button>
+              <button onClick={() => onMove(task.id, 1)} title="Move down (Alt+↓)" className="p-0.5 text-slate-400 hover:text-slate-700 hover:bg-slate-100 rounded">
+                <ArrowDown size={12} />
+              </button>
+            </div>
+          )}
+
+          {onToggleTimer && (
+            <button
+              onClick={() => onToggleTimer(task.id)}
+              disabled={task.completed && !timing}
+              title={timing ? 'Stop timer' : 'Start focus timer'}
+              aria-pressed={timing}
+              className={`p-1.5 rounded-lg transition-colors disabled:opacity-30 ${timing ? 'text-indigo-600 bg-indigo-50 hover:bg-indigo-100' : 'text-slate-400 hover:text-indigo-600 hover:bg-indigo-50'}`}
+            >
+              {timing ? <Square size={16} /> : <Timer size={16} />}
+            </button>
+          )}
+
+          {!readOnly && (
+            <>
+              <button
+                onClick={handleBreakdown}
+                disabled={isBreakingDown || task.completed}
+                title="Magic Breakdown"
+                aria-label={`Magic Breakdown: split "${task.text}" into subtasks`}
+                aria-busy={isBreakingDown}
+                className="p-1.5 text-indigo-400 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors disabled:opacity-30"
+              >
+                {isBreakingDown ? <Loader2 size={16} className="animate-spin" /> : <Sparkles size={16} />}
+              </button>
+
+              <button
+                onClick={() => setShowRecurrence(!showRecurrence)}
+                disabled={task.completed}
+                title="Repeat"
+                aria-expanded={showRecurrence}
+                className={`p-1.5 rounded-lg transition-colors disabled:opacity-30 ${task.recurrence ? 'text-violet-500 hover:bg-violet-50' : 'text-slate-400 hover:text-violet-600 hover:bg-violet-50'}`}
+              >
+                <Repeat size={16} />
+              </button>
+
+              <button
+                onClick={() => setShowTags(!showTags)}
+                title="Tags"
+                aria-expanded={showTags}
+                className={`p-1.5 rounded-lg transition-colors ${task.tags?.length ? 'text-slate-600 hover:bg-slate-100' : 'text-slate-400 hover:text-slate-600 hover:bg-slate-100'}`}
+              >
+                <Hash size={16} />
+              </button>
+
+              <button
+                onClick={() => showDueDate ? setShowDueDate(false) : openDueDate()}
+                title="Due date"
+                aria-expanded={showDueDate}
+                className={`p-1.5 rounded-lg transition-colors ${showDueDate ? 'text-slate-600 bg-slate-100' : 'text-slate-400 hover:text-slate-600 hover:bg-slate-100'}`}
+              >
+                <CalendarIcon size={16} />
+              </button>
+            </>
+          )}
+
+          <button
+            onClick={() => setShowDetails(!showDetails)}
+            title="Details"
+            aria-expanded={showDetails}
+            className={`p-1.5 rounded-lg transition-colors ${showDetails || hasDetails ? 'text-slate-600 hover:bg-slate-100' : 'text-slate-400 hover:text-slate-600 hover:bg-slate-100'}`}
+          >
+            <MoreHorizontal size={16} />
+          </button>
+
+          {readOnly ? (
+            <span className="text-[10px] font-bold uppercase tracking-wide text-slate-400 whitespace-nowrap">View only</span>
+          ) : (
+            <>
+              <button
+                onClick={() => setShowReminders(!showReminders)}
+                disabled={task.completed || !task.dueDate}
+                title={task.dueDate ? "Reminders" : "Set a due date to add reminders"}
+                aria-expanded={showReminders}
+                className={`p-1.5 rounded-lg transition-colors disabled:opacity-30 ${task.reminders?.length ? 'text-amber-500 hover:bg-amber-50' : 'text-slate-400 hover:text-amber-600 hover:bg-amber-50'}`}
+              >
+                <Bell size={16} />
+              </button>
+
+              {list && (
+                <select
+                  value={task.assigneeId || ""}
+                  onChange={(e) => onUpdate(task.id, { assigneeId: e.target.value || null })}
+                  title="Assignee"
+                  aria-label="Assignee"
+                  className="text-xs font-medium rounded-lg border border-slate-200 bg-white text-slate-600 focus:outline-none focus:border-indigo-300 py-1 max-w-[7rem]"
+                >
+                  <option value="">Unassigned</option>
+                  {Object.entries(list.members || {}).filter(([, role]) => role !== 'viewer').map(([uid]) => (
+                    <option key={uid} value={uid}>{nameOf(uid)}</option>
+                  ))}
+                </select>
+              )}
+
+              <CourseSelect
+                courses={courses}
+                value={task.courseId}
+                onChange={(courseId) => applyUpdate({ courseId })}
+                className="py-1 max-w-[7rem]"
+              />
+
+              <PriorityBadge priority={task.priority || 'medium'} onClick={cyclePriority} />
+        
+              {confirmDelete ? (
+                <div className="flex items-center gap-1 text-xs">
+                  <button
+                    onClick={() => onDelete(task.id, { withSubtasks: true })}
+                    className="px-2 py-1 rounded-lg bg-red-500 text-white hover:bg-red-600 transition-colors"
+                  >
+                    Delete all
+                  </button>
+                  <button
+                    onClick={() => onDelete(task.id, { withSubtasks: false })}
+                    className="px-2 py-1 rounded-lg bg-slate-100 text-slate-600 hover:bg-slate-200 transition-colors whitespace-nowrap"
+                  >
+                    Keep subtasks
+                  </button>
+                  <button onClick={() => setConfirmDelete(false)} aria-label="Cancel" className="p-1 text-slate-400 hover:text-slate-600">
+                    <X size={14} />
+                  </button>
+                </div>
+              ) : (
+                <button 
+                  onClick={handleDelete}
+                  title="Delete"
+                  aria-label={`Delete "${task.text}"`}
+                  className="p-1.5 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+                >
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {breakdownError && (
+        <div role="alert" className="mt-2 flex items-center gap-2 px-3 py-2 bg-red-50 border border-red-100 rounded-xl text-sm text-red-700">
+          <AlertCircle size={14} className="flex-shrink-0" />
+          <span className="flex-grow">{breakdownError}</span>
+          <button onClick={() => setBreakdownError(null)} aria-label="Dismiss" className="p-1 text-red-400 hover:text-red-700">
+            <X size={14} />
+          </button>
+        </div>
+      )}
+
+      {breakdownProposals && (
+        <div className="mt-2 p-3 bg-indigo-50 border border-indigo-100 rounded-xl">
+          <p className="text-xs font-bold text-indigo-400 uppercase tracking-wider mb-2">Suggested subtasks</p>
+          <ProposalReview
+            proposals={breakdownProposals}
+            courses={courses}
+            onChange={setBreakdownProposals}
+            onCommit={async (items) => {
+              await onAddTasks(items);
+              setBreakdownProposals(null);
+            }}
+            onCancel={() => setBreakdownProposals(null)}
+          />
+        </div>
+      )}
+
+      {pendingUpdate && (
+        <div className="mt-2 flex flex-wrap items-center gap-2 px-3 py-2 bg-violet-50 border border-violet-100 rounded-xl text-sm text-violet-800">
+          <span className="flex-grow">Apply this change to</span>
+          <button
+            onClick={() => confirmUpdate('this')}
+            className="px-3 py-1 rounded-lg bg-white border border-violet-200 hover:bg-violet-100 transition-colors"
+          >
+            This one
+          </button>
+          <button
+            onClick={() => confirmUpdate('all')}
+            className="px-3 py-1 rounded-lg bg-violet-600 text-white hover:bg-violet-700 transition-colors"
+          >
+            All future
+          </button>
+          <button onClick={() => { setPendingUpdate(null); setEditText(task.text); }} aria-label="Cancel" className="p-1 text-violet-400 hover:text-violet-700">
+            <X size={14} />
+          </button>
+        </div>
+      )}
+
+      {showRecurrence && (
+        <div className="mt-2 px-3 py-2 bg-white border border-slate-100 rounded-xl shadow-sm">
+          <RecurrenceEditor
+            value={task.recurrence || null}
+            onChange={(recurrence) => onUpdate(task.id, { recurrence })}
+          />
+        </div>
+      )}
+
+      {showDueDate && (
+        <form
+          onSubmit={(e) => { e.preventDefault(); saveDueDate(dueDraft || null); }}
+          className="mt-2 px-3 py-2 bg-white border border-slate-100 rounded-xl shadow-sm flex flex-wrap items-center gap-2"
+        >
+          <CalendarIcon size={14} className="text-slate-400" />
+          <input
+            type="datetime-local"
+            value={dueDraft}
+            onChange={(e) => setDueDraft(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setShowDueDate(false)}
+            aria-label="Due date"
+            autoFocus
+            className="p-1.5 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300"
+          />
+          <button type="submit" className="px-3 py-1 rounded-lg bg-slate-900 text-white text-xs font-medium hover:bg-slate-800 transition-colors">
+            Save
+          </button>
+          {task.dueDate && (
+            <button type="button" onClick={() => saveDueDate(null)} className="text-xs text-slate-500 hover:text-red-500">
+              Clear date
+            </button>
+          )}
+          <button type="button" onClick={() => setShowDueDate(false)} aria-label="Cancel" className="p-1 text-slate-400 hover:text-slate-600">
+            <X size={14} />
+          </button>
+        </form>
+      )}
+
+      {showTags && (
+        <div className="mt-2 px-3 py-2 bg-white border border-slate-100 rounded-xl shadow-sm flex flex-wrap items-center gap-2">
+          {(task.tags || []).map(tag => (
+            <span key={tag} className="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded bg-slate-100 text-xs font-medium text-slate-600">
+              #{tag}
+              <button onClick={() => removeTag(tag)} title={`Remove #${tag}`} className="p-0.5 text-slate-400 hover:text-red-500">
+                <X size={10} />
+              </button>
+            </span>
+          ))}
+          <form onSubmit={addTag}>
+            <input
+              type="text"
+              value={newTag}
+              onChange={(e) => setNewTag(e.target.value)}
+              placeholder="Add tag"
+              aria-label="Add tag"
+              className="p-1 text-xs border-0 border-b border-slate-200 focus:outline-none focus:border-indigo-300 bg-transparent w-24"
+            />
+          </form>
+        </div>
+      )}
+
+      {showDetails && (
+        <div className="mt-2 px-3 py-3 bg-white border border-slate-100 rounded-xl shadow-sm">
+          <TaskDetails
+            task={task}
+            readOnly={readOnly}
+            onChange={applyUpdate}
+            onUpload={(files) => onAttach(task.id, files)}
+            onOpenAttachment={onOpenAttachment}
+            onRemoveAttachment={(file) => onRemoveAttachment(task.id, file)}
+            onWatchHistory={onWatchHistory}
+          />
+        </div>
+      )}
+
+      {showReminders && (
+        <div className="mt-2 px-3 py-2 bg-white border border-slate-100 rounded-xl shadow-sm">
+          <ReminderPicker
+            value={task.reminders ?? defaultReminders}
+            onChange={(reminders) => onUpdate(task.id, { reminders, snoozedUntil: null })}
+            onReset={task.reminders ? () => onUpdate(task.id, { reminders: null }) : null}
+          />
+        </div>
+      )}
+
+      {/* Subtasks */}
+      {subtasks.length > 0 && showSubtasks && (
+        <div className="ml-6 mt-2 pl-3 border-l-2 border-slate-100 space-y-2">
+          {subtasks.map(sub => (
+            <TaskItem
+              key={sub.id}
+              task={sub}
+              courses={courses}
+              defaultReminders={defaultReminders}
+              childrenByParent={childrenByParent}
+              syncStates={syncStates}
+              selectedIds={selectedIds}
+              onSelect={onSelect}
+              onUpdate={onUpdate}
+              onDelete={onDelete}
+              onBreakdown={onBreakdown}
+              onAddTasks={onAddTasks}
+              onAttach={onAttach}
+              onOpenAttachment={onOpenAttachment}
+              onRemoveAttachment={onRemoveAttachment}
+              timeSpent={timeSpent}
+              timingId={timingId}
+              onToggleTimer={onToggleTimer}
+              lists={lists}
+              currentUid={currentUid}
+              othersFocusing={othersFocusing}
+              onWatchHistory={onWatchHistory}
+              onPromptScore={onPromptScore}
+              focusedId={focusedId}
+              command={command}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PRIORITY_CHIPS = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-blue-100 text-blue-700'
+};
+
+// Week view rows: early-morning tasks share one row, and date-only tasks
+// (stored as due at 23:59) land in "End of day"
+const WEEK_SLOTS = [
+  { key: 'early', label: 'Before 7', hour: 6, minute: 0, matches: (h) => h < 7 },
+  ...Array.from({ length: 16 }, (_, i) => {
+    const hour = i + 7;
+    return {
+      key: `h${hour}`,
+      label: new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric' }),
+      hour,
+      minute: 0,
+      matches: (h) => h === hour
+    };
+  }),
+  { key: 'late', label: 'End of day', hour: 23, minute: 59, matches: (h) => h >= 23 }
+];
+
+const AGENDA_RANGES = [7, 14, 30];
+
+// Sunday first, as the month grid lays them out
+const WEEKDAY_LONG_NAMES = Array.from({ length: 7 }, (_, i) => new Date(2000, 0, 2 + i).toLocaleDateString([], { weekday: 'long' }));
+
+// What a month cell shows, read out in words: "Tuesday, March 3: 2 open
+// (1 high priority), 1 done, 1h study"
+const describeDay = (date, dayTasks, { projected = 0, studyMinutes = 0, isToday = false } = {}) => {
+  const open = dayTasks.filter(t => !t.completed);
+  const high = open.filter(t => t.priority === 'high').length;
+  const parts = [
+    open.length > 0 && `${open.length} open${high ? ` (${high} high priority)` : ''}`,
+    open.length < dayTasks.length && `${dayTasks.length - open.length} done`,
+    projected > 0 && `${projected} repeating`,
+    studyMinutes > 0 && `${formatDuration(studyMinutes)} study`
+  ].filter(Boolean);
+  const name = `${isToday ? 'Today, ' : ''}${date.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}`;
+  return `${name}: ${parts.length ? parts.join(', ') : 'nothing due'}`;
+};
+
+// Study blocks ({ key, taskId, start, minutes, draft }) come from the planner;
+// draft blocks belong to a plan that hasn't been accepted yet
+const CalendarWidget = ({ tasks, courses = [], blocks = [], focusDate = null, onSelectDate, selectedDate, onReschedule, onMoveBlock, onPlan }) => {
+  const [mode, setMode] = useState('month');
+  const [anchor, setAnchor] = useState(() => startOfDay(new Date()));
+  const [agendaDays, setAgendaDays] = useState(7);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [cursor, setCursor] = useState(null);
+  const gridRef = useRef(null);
+  const focusCursor = useRef(false);
+
+  // A new plan is shown in the week it starts
+  useEffect(() => {
+    if (!focusDate) return;
+    setMode('week');
+    setAnchor(startOfDay(focusDate));
+  }, [focusDate?.getTime()]);
+
+  const today = startOfDay(new Date());
+  const monthStart = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const weekStart = startOfWeek(anchor);
+
+  // First and last (exclusive) day shown by the current mode
+  const [rangeStart, rangeEnd] = mode === 'month'
+    ? [monthStart, new Date(anchor.getFullYear(), anchor.getMonth() + 1, 1)]
+    : mode === 'week'
+      ? [weekStart, addDays(weekStart, 7)]
+      : [today, addDays(today, agendaDays)];
+
+  // One pass over the tasks, keyed by local day, each day sorted by time
+  const tasksByDay = useMemo(() => {
+    const map = {};
+    for (const t of tasks) {
+      if (!t.dueDate) continue;
+      const key = dayKey(new Date(t.dueDate));
+      (map[key] = map[key] || []).push(t);
+    }
+    for (const list of Object.values(map)) {
+      list.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    }
+    return map;
+  }, [tasks]);
+
+  // Future occurrences of recurring tasks, computed on the fly rather than stored
+  const projectedByDay = useMemo(() => {
+    const map = {};
+    for (const t of tasks) {
+      if (!t.recurrence || t.nextOccurrenceId) continue;
+      const dates = listOccurrences(t.recurrence, t.seriesStart || t.dueDate, { skip: t.occurrence || 1, after: rangeStart, before: rangeEnd });
+      for (const date of dates) {
+        const key = dayKey(date);
+        (map[key] = map[key] || []).push(t);
+      }
+    }
+    return map;
+  }, [tasks, rangeStart.getTime(), rangeEnd.getTime()]);
+
+  const blocksByDay = useMemo(() => {
+    const map = {};
+    for (const b of blocks) {
+      const key = dayKey(new Date(b.start));
+      (map[key] = map[key] || []).push(b);
+    }
+    return map;
+  }, [blocks]);
+
+  // The month grid is one tab stop: the arrow keys move between days (and
+  // across into the next month), Home/End go to the ends of the week and
+  // Page Up/Down change month
+  const inMonth = (date) => date && date.getFullYear() === anchor.getFullYear() && date.getMonth() === anchor.getMonth();
+  const tabDay = [cursor, selectedDate, today].find(inMonth) || monthStart;
+
+  useEffect(() => {
+    if (!focusCursor.current) return;
+    focusCursor.current = false;
+    gridRef.current?.querySelector('[tabindex="0"]')?.focus();
+  }, [cursor, anchor]);
+
+  const handleGridKeyDown = (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    const delta = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[e.key];
+    let next;
+    if (delta) next = addDays(tabDay, delta);
+    else if (e.key === 'Home') next = addDays(tabDay, -tabDay.getDay());
+    else if (e.key === 'End') next = addDays(tabDay, 6 - tabDay.getDay());
+    else if (e.key === 'PageUp' || e.key === 'PageDown') {
+      const month = tabDay.getMonth() + (e.key === 'PageUp' ? -1 : 1);
+      const lastDay = new Date(tabDay.getFullYear(), month + 1, 0).getDate();
+      next = new Date(tabDay.getFullYear(), month, Math.min(tabDay.getDate(), lastDay));
+    } else return;
+
+    e.preventDefault();
+    focusCursor.current = true;
+    setCursor(next);
+    if (!inMonth(next)) setAnchor(new Date(next.getFullYear(), next.getMonth(), 1));
+  };
+
+  const step = (direction) => {
+    if (mode === 'month') setAnchor(new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1));
+    else if (mode === 'week') setAnchor(addDays(anchor, 7 * direction));
+  };
+
+  const title = mode === 'month'
+    ? anchor.toLocaleString('default', { month: 'long', year: 'numeric' })
+    : mode === 'week'
+      ? `${weekStart.toLocaleDateString([], { month: 'short', day: 'numeric' })} – ${addDays(weekStart, 6).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' })}`
+      : `Next ${agendaDays} days`;
+
+  const toggleDate = (date) => {
+    onSelectDate(selectedDate && selectedDate.toDateString() === date.toDateString() ? null : date);
+  };
+
+  // Moving to another day keeps the time of day; dropping on a week slot sets it
+  const moveTo = (dragged, day, slot = null) => {
+    if (dragged.startsWith('block:')) {
+      const block = blocks.find(b => b.key === dragged.slice(6));
+      if (!block) return;
+      const start = new Date(block.start);
+      const next = new Date(day);
+      next.setHours(slot ? slot.hour : start.getHours(), slot ? slot.minute : start.getMinutes(), 0, 0);
+      if (next.getTime() !== start.getTime()) onMoveBlock(block, toLocalInputValue(next));
+      return;
+    }
+    const taskId = dragged;
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    const previous = task.dueDate ? new Date(task.dueDate) : null;
+    const next = new Date(day);
+    if (slot) next.setHours(slot.hour, slot.minute, 0, 0);
+    else if (previous) next.setHours(previous.getHours(), previous.getMinutes(), 0, 0);
+    else next.setHours(23, 59, 0, 0);
+    if (previous && next.getTime() === previous.getTime()) return;
+    onReschedule(task.id, toLocalInputValue(next));
+  };
+
+  const dropProps = (key, day, slot) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      if (dropTarget !== key) setDropTarget(key);
+    },
+    onDragLeave: () => setDropTarget(prev => prev === key ? null : prev),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      moveTo(e.dataTransfer.getData('text/plain'), day, slot);
+    }
+  });
+
+  const dragProps = (task) => ({
+    draggable: !task.completed,
+    onDragStart: (e) => {
+      e.dataTransfer.setData('text/plain', task.id);
+      e.dataTransfer.effectAllowed = 'move';
+    }
+  });
+
+  const taskChip = (task, { showTime = false } = {}) => {
+    const course = courses.find(c => c.id === task.courseId);
+    return (
+      <div
+        key={task.id}
+        {...dragProps(task)}
+        title={`${task.text}${task.dueDate ? ` · ${formatDate(task.dueDate)}` : ''}`}
+        className={`flex items-center gap-1 px-1.5 py-0.5 rounded text-[11px] font-medium truncate ${task.completed ? 'bg-slate-100 text-slate-400 line-through' : `${PRIORITY_CHIPS[task.priority || 'medium']} cursor-grab active:cursor-grabbing`}`}
+      >
+        {course && <span className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${courseColor(course).dot}`}></span>}
+        {showTime && <span className="opacity-70">{new Date(task.dueDate).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}</span>}
+        <span className="truncate">{task.text}</span>
+      </div>
+    );
+  };
+
+  const blockChip = (block) => {
+    const task = tasks.find(t => t.id === block.taskId);
+    const start = new Date(block.start);
+    return (
+      <div
+        key={block.key}
+        draggable={Boolean(onMoveBlock)}
+        onDragStart={(e) => {
+          e.dataTransfer.setData('text/plain', `block:${block.key}`);
+          e.dataTransfer.effectAllowed = 'move';
+        }}
+        title={`Study: ${task?.text || 'Deleted task'} · ${start.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}, ${formatDuration(block.minutes)}`}
+        className={`flex items-center gap-1 px-1.5 py-0.5 rounded text-[11px] font-medium truncate border cursor-grab active:cursor-grabbing ${block.draft ? 'border-dashed border-indigo-300 bg-indigo-50/50 text-indigo-600' : 'border-indigo-200 bg-indigo-50 text-indigo-700'} ${task?.completed ? 'opacity-50 line-through' : ''}`}
+      >
+        <Timer size={10} className="flex-shrink-0" />
+        <span className="truncate">{task?.text || 'Deleted task'}</span>
+        <span className="opacity-70 flex-shrink-0">{formatDuration(block.minutes)}</span>
+      </div>
+    );
+  };
+
+  const renderMonth = () => {
+    const daysInMonth = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0).getDate();
+    const firstDay = monthStart.getDay();
+    const cells = [
+      ...Array.from({ length: firstDay }, () => null),
+      ...Array.from({ length: daysInMonth }, (_, i) => new Date(anchor.getFullYear(), anchor.getMonth(), i + 1))
+    ];
+    const weeks = Array.from({ length: Math.ceil(cells.length / 7) }, (_, i) => cells.slice(i * 7, i * 7 + 7));
+
+    return (
+      <div ref={gridRef} role="grid" aria-label={title} onKeyDown={handleGridKeyDown} className="space-y-1">
+        <div role="row" className="grid grid-cols-7 gap-1 text-center mb-2">
+          {WEEKDAY_LONG_NAMES.map(name => (
+            <div key={name} role="columnheader" aria-label={name} className="text-xs font-bold text-slate-400">{name[0]}</div>
+          ))}
+        </div>
+        {weeks.map((week, w) => (
+          <div key={w} role="row" className="grid grid-cols-7 gap-1">
+            {week.map((date, i) => {
+              if (!date) return <div key={`empty-${i}`} role="gridcell" className="h-16"></div>;
+              const key = dayKey(date);
+              const dayTasks = tasksByDay[key] || [];
+              const open = dayTasks.filter(t => !t.completed);
+              const counts = ['high', 'medium', 'low'].map(p => [p, open.filter(t => (t.priority || 'medium') === p).length]).filter(([, n]) => n > 0);
+              const dayCourses = courses.filter(c => dayTasks.some(t => t.courseId === c.id));
+              const projected = projectedByDay[key] || [];
+              const dayBlocks = blocksByDay[key] || [];
+              const studyMinutes = dayBlocks.reduce((sum, b) => sum + b.minutes, 0);
+              const selected = selectedDate && selectedDate.toDateString() === date.toDateString();
+              const isToday = date.getTime() === today.getTime();
+
+              return (
+                <div key={key} role="gridcell" aria-selected={Boolean(selected)}>
+                  <button
+                    onClick={() => { setCursor(date); toggleDate(date); }}
+                    {...dropProps(key, date)}
+                    tabIndex={date.getTime() === tabDay.getTime() ? 0 : -1}
+                    aria-label={describeDay(date, dayTasks, { projected: projected.length, studyMinutes, isToday })}
+                    aria-current={isToday ? 'date' : undefined}
+                    title={dayTasks.map(t => t.text).join('\n')}
+                    className={`w-full h-16 rounded-lg flex flex-col items-center justify-start pt-1 gap-0.5 relative transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-1 focus-visible:ring-indigo-500
+                      ${selected ? 'bg-indigo-600 text-white' : dropTarget === key ? 'bg-indigo-50 ring-2 ring-indigo-300' : 'hover:bg-slate-50 text-slate-700'}
+                    `}
+                  >
+                    <span className={`text-sm font-medium ${isToday && !selected ? 'text-indigo-600 font-bold' : ''}`}>{date.getDate()}</span>
+                    <div className="flex gap-0.5">
+                      {counts.map(([p, n]) => (
+                        <span key={p} className={`px-1 rounded text-[10px] font-bold leading-4 ${selected ? 'bg-indigo-500 text-white' : PRIORITY_CHIPS[p]}`}>{n}</span>
+                      ))}
+                      {open.length === 0 && dayTasks.length > 0 && (
+                        <CheckCircle size={12} className={selected ? 'text-indigo-200' : 'text-emerald-400'} />
+                      )}
+                    </div>
+                    <div className="flex gap-0.5">
+                      {dayCourses.slice(0, 4).map(c => (
+                        <div key={c.id} className={`w-1 h-1 rounded-full ${selected ? 'bg-indigo-300' : courseColor(c).dot}`}></div>
+                      ))}
+                      {projected.length > 0 && (
+                        <div title={projected.map(t => t.text).join(', ')} className={`w-1.5 h-1.5 rounded-full border ${selected ? 'border-indigo-300' : 'border-violet-400'}`}></div>
+                      )}
+                    </div>
+                    {studyMinutes > 0 && (
+                      <span className={`text-[9px] font-bold leading-3 ${selected ? 'text-indigo-200' : 'text-indigo-500'}`}>
+                        {formatDuration(studyMinutes)}
+                      </span>
+                    )}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderWeek = () => {
+    const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+    return (
+      <div className="overflow-x-auto">
+        <div className="min-w-[640px]">
+          <div className="grid grid-cols-[4.5rem_repeat(7,minmax(0,1fr))] gap-1 mb-1">
+            <div></div>
+            {days.map(date => {
+              const selected = selectedDate && selectedDate.toDateString() === date.toDateString();
+              return (
+                <button
+                  key={dayKey(date)}
+                  onClick={() => toggleDate(date)}
+                  aria-pressed={Boolean(selected)}
+                  className={`py-1 rounded-lg text-xs font-bold transition-colors ${selected ? 'bg-indigo-600 text-white' : date.getTime() === today.getTime() ? 'text-indigo-600 hover:bg-slate-50' : 'text-slate-500 hover:bg-slate-50'}`}
+                >
+                  {date.toLocaleDateString([], { weekday: 'short' })} {date.getDate()}
+                </button>
+              );
+            })}
+          </div>
+          <div className="max-h-[28rem] overflow-y-auto">
+            {WEEK_SLOTS.map(slot => (
+              <div key={slot.key} className="grid grid-cols-[4.5rem_repeat(7,minmax(0,1fr))] gap-1 border-t border-slate-100">
+                <div className="text-[10px] text-slate-400 text-right pr-2 pt-1">{slot.label}</div>
+                {days.map(date => {
+                  const key = `${dayKey(date)}-${slot.key}`;
+                  const slotTasks = (tasksByDay[dayKey(date)] || []).filter(t => slot.matches(new Date(t.dueDate).getHours()));
+                  const slotBlocks = (blocksByDay[dayKey(date)] || []).filter(b => slot.matches(new Date(b.start).getHours()));
+                  return (
+                    <div
+                      key={key}
+                      {...dropProps(key, date, slot)}
+                      className={`min-h-[2rem] p-0.5 space-y-0.5 rounded transition-colors ${dropTarget === key ? 'bg-indigo-50 ring-2 ring-indigo-300' : ''}`}
+                    >
+                      {slotBlocks.map(blockChip)}
+                      {slotTasks.map(t => taskChip(t, { showTime: slot.key === 'early' }))}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderAgenda = () => {
+    const overdue = tasks
+      .filter(t => !t.completed && t.dueDate && new Date(t.dueDate) < today)
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    const days = Array.from({ length: agendaDays }, (_, i) => addDays(today, i));
+
+    const row = (task) => (
+      <div key={task.id} {...dragProps(task)} className="flex items-center gap-2 py-1">
+        <span className="w-16 flex-shrink-0 text-xs text-slate-400">
+          {new Date(task.dueDate).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+        </span>
+        {taskChip(task)}
+      </div>
+    );
+
+    return (
+      <div className="space-y-3 max-h-[28rem] overflow-y-auto">
+        {overdue.length > 0 && (
+          <div>
+            <p className="text-xs font-bold text-red-500 uppercase tracking-wider mb-1">Overdue</p>
+            {overdue.map(row)}
+          </div>
+        )}
+        {days.map(date => {
+          const key = dayKey(date);
+          const dayTasks = tasksByDay[key] || [];
+          const projected = projectedByDay[key] || [];
+          const dayBlocks = blocksByDay[key] || [];
+          const selected = selectedDate && selectedDate.toDateString() === date.toDateString();
+          return (
+            <div
+              key={key}
+              {...dropProps(key, date)}
+              className={`rounded-lg px-2 py-1 transition-colors ${dropTarget === key ? 'bg-indigo-50 ring-2 ring-indigo-300' : ''}`}
+            >
+              <button
+                onClick={() => toggleDate(date)}
+                aria-pressed={Boolean(selected)}
+                className={`text-xs font-bold uppercase tracking-wider mb-1 ${selected ? 'text-indigo-600' : 'text-slate-400 hover:text-slate-600'}`}
+              >
+                {date.getTime() === today.getTime() ? 'Today' : date.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })}
+              </button>
+              {dayBlocks.map(b => (
+                <div key={b.key} className="flex items-center gap-2 py-1">
+                  <span className="w-16 flex-shrink-0 text-xs text-indigo-400">
+                    {new Date(b.start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                  </span>
+                  {blockChip(b)}
+                </div>
+              ))}
+              {dayTasks.map(row)}
+              {projected.map(t => (
+                <div key={`${t.id}-projected`} className="flex items-center gap-2 py-1 text-xs text-violet-500">
+                  <span className="w-16 flex-shrink-0"><Repeat size={12} /></span>
+                  <span className="truncate">{t.text}</span>
+                </div>
+              ))}
+              {dayTasks.length === 0 && projected.length === 0 && dayBlocks.length === 0 && (
+                <p className="text-xs text-slate-300 py-1">Nothing due</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-2xl border border-slate-200 shadow-sm mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h3 aria-live="polite" className="font-bold text-slate-700">{title}</h3>
+        <div className="flex items-center gap-2">
+          {onPlan && (
+            <button
+              onClick={onPlan}
+              title="Time-block open tasks before their deadlines"
+              className="flex items-center gap-1 px-2.5 py-1 rounded-lg text-xs font-medium text-indigo-600 bg-indigo-50 hover:bg-indigo-100 transition-colors"
+            >
+              <CalendarClock size={14} /> Plan my week
+            </button>
+          )}
+          <div role="group" aria-label="Calendar view" className="flex rounded-lg border border-slate-200 overflow-hidden text-xs font-medium">
+            {['month', 'week', 'agenda'].map(m => (
+              <button
+                key={m}
+                onClick={() => setMode(m)}
+                aria-pressed={mode === m}
+                className={`px-2.5 py-1 capitalize transition-colors ${mode === m ? 'bg-slate-900 text-white' : 'text-slate-600 hover:bg-slate-50'}`}
+              >
+                {m}
+              </button>
+            ))}
+          </div>
+          {mode === 'agenda' ? (
+            <select
+              value={agendaDays}
+              onChange={(e) => setAgendaDays(parseInt(e.target.value, 10))}
+              aria-label="Days to show"
+              className="p-1 text-xs bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300"
+            >
+              {AGENDA_RANGES.map(n => <option key={n} value={n}>{n} days</option>)}
+            </select>
+          ) : (
+            <>
+              <button onClick={() => step(-1)} aria-label={`Previous ${mode}`} title={`Previous ${mode}`} className="p-1 hover:bg-slate-100 rounded-lg"><ChevronLeft size={20} /></button>
+              <button onClick={() => { setAnchor(today); setCursor(today); }} className="px-2 py-1 text-xs font-medium text-slate-600 hover:bg-slate-100 rounded-lg">Today</button>
+              <button onClick={() => step(1)} aria-label={`Next ${mode}`} title={`Next ${mode}`} className="p-1 hover:bg-slate-100 rounded-lg"><ChevronRight size={20} /></button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {mode === 'month' && renderMonth()}
+      {mode === 'week' && renderWeek()}
+      {mode === 'agenda' && renderAgenda()}
+    </div>
+  );
+};
+
+const ProposalReview = ({ proposals, courses = [], onChange, onCommit, onCancel, commitLabel = 'Add' }) => {
+  const [isCommitting, setIsCommitting] = useState(false);
+  const accepted = proposals.filter(p => p.accepted);
+
+  const updateProposal = (key, data) => {
+    onChange(proposals.map(p => p.key === key ? { ...p, ...data } : p));
+  };
+
+  const setAll = (value) => onChange(proposals.map(p => ({ ...p, accepted: value })));
+
+  const handleCommit = async () => {
+    setIsCommitting(true);
+    await onCommit(accepted);
+    setIsCommitting(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs text-slate-500">
+        <span>{accepted.length} of {proposals.length} selected</span>
+        <div className="flex gap-3">
+          <button type="button" onClick={() => setAll(true)} className="hover:text-indigo-700">Accept all</button>
+          <button type="button" onClick={() => setAll(false)} className="hover:text-indigo-700">Reject all</button>
+        </div>
+      </div>
+
+      {proposals.map(p => {
+        const diff = p.source !== null && p.source.trim() !== p.text.trim() ? diffWords(p.source, p.text) : null;
+        const course = courses.find(c => c.id === p.courseId);
+        return (
+          <div
+            key={p.key}
+            className={`p-3 rounded-xl border bg-white transition-opacity ${p.accepted ? 'border-indigo-100' : 'border-slate-100 opacity-50'}`}
+          >
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="checkbox"
+                checked={p.accepted}
+                onChange={(e) => updateProposal(p.key, { accepted: e.target.checked })}
+                title={p.accepted ? 'Reject' : 'Accept'}
+                className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-200"
+              />
+              <input
+                type="text"
+                value={p.text}
+                onChange={(e) => updateProposal(p.key, { text: e.target.value })}
+                className="flex-grow min-w-[10rem] p-1.5 text-sm border border-slate-200 rounded-lg text-slate-700 focus:outline-none focus:border-indigo-300"
+              />
+              <select
+                value={p.priority}
+                onChange={(e) => updateProposal(p.key, { priority: e.target.value })}
+                className="p-1.5 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300"
+              >
+                <option value="high">High</option>
+                <option value="medium">Medium</option>
+                <option value="low">Low</option>
+              </select>
+              <input
+                type="datetime-local"
+                value={p.dueDate}
+                onChange={(e) => updateProposal(p.key, { dueDate: e.target.value })}
+                className="p-1.5 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300"
+              />
+              {course && (
+                <span className={`inline-flex items-center gap-1 text-[10px] font-bold uppercase tracking-wide px-1.5 py-0.5 rounded ${courseColor(course).chip}`}>
+                  <GraduationCap size={10} /> {courseLabel(course)}
+                </span>
+              )}
+            </div>
+            {diff && (
+              <p className="mt-1.5 ml-6 text-xs text-slate-400">
+                <span className="mr-1">Changed:</span>
+                {diff.map((part, i) => (
+                  <span
+                    key={i}
+                    className={part.type === 'added' ? 'bg-amber-100 text-amber-800 rounded px-0.5' : part.type === 'removed' ? 'line-through text-red-400' : ''}
+                  >
+                    {part.word}{' '}
+                  </span>
+                ))}
+              </p>
+            )}
+            {p.unmatched && (
+              <p className="mt-1.5 ml-6 text-xs text-amber-700">Not found in your original text.</p>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="flex justify-end gap-3 pt-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg text-sm text-slate-500 hover:text-slate-700"
+        >
+          Discard
+        </button>
+        <button
+          type="button"
+          onClick={handleCommit}
+          disabled={accepted.length === 0 || accepted.some(p => !p.text.trim()) || isCommitting}
+          className="flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+        >
+          {isCommitting && <Loader2 size={16} className="animate-spin" />}
+          {commitLabel} {accepted.length} task{accepted.length === 1 ? '' : 's'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const BrainDump = ({ courses = [], feed, canPublishFeed, onSubmit, onSmartSubmit, onCommit, onImportICS, onExportICS, onPublishFeed, onStopFeed, onClose }) => {
+  const [text, setText] = useState("");
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [importStatus, setImportStatus] = useState(null);
+  const [aiError, setAiError] = useState(null);
+  const [proposals, setProposals] = useState(null);
+  const [exportAs, setExportAs] = useState('VEVENT');
+  const [feedStatus, setFeedStatus] = useState(null);
+
+  const handlePublishFeed = async () => {
+    setFeedStatus(null);
+    try {
+      await onPublishFeed(exportAs);
+    } catch (error) {
+      console.error("Error publishing calendar feed:", error);
+      setFeedStatus("Couldn't publish the feed. Check your connection and try again.");
+    }
+  };
+
+  const copyFeedURL = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setFeedStatus("Feed URL copied.");
+    } catch (error) {
+      console.error("Error copying feed URL:", error);
+      setFeedStatus("Couldn't copy the URL. Select it and copy it instead.");
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setIsAnalyzing(true);
+    try {
+      const result = await onImportICS(await file.text());
+      setImportStatus(result.imported + result.skipped === 0
+        ? "No events with a title were found in that file."
+        : `Imported ${result.imported} task${result.imported === 1 ? '' : 's'}${result.skipped ? `, skipped ${result.skipped} already in your planner` : ''}.`);
+    } catch (error) {
+      console.error("Error importing calendar file:", error);
+      setImportStatus(`Couldn't import ${file.name}. Check that it's an .ics file and try again.`);
+    }
+    setIsAnalyzing(false);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onSubmit(text);
+    setText("");
+    onClose();
+  };
+
+  const handleSmartSubmit = async () => {
+    if (!text.trim()) return;
+    setIsAnalyzing(true);
+    setAiError(null);
+    const result = await onSmartSubmit(text);
+    setIsAnalyzing(false);
+    setProposals(result.proposals);
+    if (result.error) {
+      setAiError(`${result.error} Showing what the offline parser found instead.`);
+    }
+  };
+
+  const handleCommit = async (accepted) => {
+    await onCommit(accepted);
+    setText("");
+    onClose();
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-indigo-50 to-blue-50 p-6 rounded-2xl border border-indigo-100 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-indigo-900 flex items-center gap-2">
+            <Sparkles size={18} className="text-indigo-500" />
+            Brain Dump Mode
+          </h3>
+          <p className="text-sm text-indigo-600 mt-1">
+            Paste your messy list. Use "Smart Sort" to auto-detect priorities and due dates (e.g., "Essay due Friday").
+          </p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-indigo-400 hover:text-indigo-700">
+          <X size={20} />
+        </button>
+      </div>
+      
+      {aiError && (
+        <p className="mb-3 text-sm text-amber-700 flex items-start gap-2">
+          <AlertCircle size={16} className="flex-shrink-0 mt-0.5" /> {aiError}
+        </p>
+      )}
+
+      {proposals ? (
+        <ProposalReview
+          proposals={proposals}
+          courses={courses}
+          onChange={setProposals}
+          onCommit={handleCommit}
+          onCancel={() => { setProposals(null); setAiError(null); }}
+        />
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="- Math homework due tomorrow&#10;- Buy milk (URGENT)&#10;- Study for History on Friday at 4pm..."
+            className="w-full h-32 p-4 rounded-xl border border-indigo-200 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-200 transition-all resize-none text-slate-700 bg-white placeholder:text-slate-400"
+          />
+          {importStatus && (
+            <p className="mt-3 text-sm text-indigo-700">{importStatus}</p>
+          )}
+          {feed && (
+            <div className="mt-3 flex flex-wrap items-center gap-2">
+              <input
+                readOnly
+                value={feed.url}
+                aria-label="Calendar feed URL"
+                onFocus={(e) => e.target.select()}
+                className="flex-grow text-xs p-1.5 border border-indigo-200 rounded-lg bg-white text-slate-600"
+              />
+              <button type="button" onClick={copyFeedURL} className="flex items-center gap-1 text-xs text-indigo-600 hover:text-indigo-800">
+                <Copy size={12} /> Copy
+              </button>
+              <button type="button" onClick={handlePublishFeed} className="text-xs text-indigo-600 hover:text-indigo-800">
+                New URL
+              </button>
+              <button type="button" onClick={onStopFeed} className="text-xs text-red-600 hover:text-red-800">
+                Stop publishing
+              </button>
+              <p className="w-full text-xs text-indigo-500">
+                Subscribe to this URL in your calendar app. It updates as your tasks change, and anyone with it can read your tasks; "New URL" turns the old one off.
+              </p>
+            </div>
+          )}
+          {feedStatus && (
+            <p className="mt-2 text-xs text-indigo-700">{feedStatus}</p>
+          )}
+          <div className="flex flex-wrap justify-end gap-3 mt-4">
+            <label className={`flex items-center gap-2 text-sm text-indigo-600 hover:text-indigo-800 cursor-pointer ${isAnalyzing ? 'opacity-50 pointer-events-none' : ''}`}>
+              <Upload size={16} />
+              Import .ics
+              <input type="file" accept=".ics,text/calendar" onChange={handleImportFile} className="hidden" />
+            </label>
+            <div className="flex items-center gap-1">
+              <button
+                type="button"
+                onClick={() => onExportICS(exportAs)}
+                className="flex items-center gap-2 text-sm text-indigo-600 hover:text-indigo-800"
+              >
+                <Download size={16} />
+                Export .ics
+              </button>
+              <select
+                value={exportAs}
+                onChange={(e) => setExportAs(e.target.value)}
+                aria-label="Export format"
+                title="Calendar apps show events; task apps read to-dos"
+                className="text-xs bg-transparent text-indigo-600 border-0 focus:ring-0"
+              >
+                <option value="VEVENT">as events</option>
+                <option value="VTODO">as to-dos</option>
+              </select>
+            </div>
+            {canPublishFeed && !feed && (
+              <button
+                type="button"
+                onClick={handlePublishFeed}
+                title="Publish a URL that calendar apps can subscribe to"
+                className="flex items-center gap-2 text-sm text-indigo-600 hover:text-indigo-800"
+              >
+                <Link2 size={16} />
+                Publish feed
+              </button>
+            )}
+            <div className="flex-grow"></div>
+            <button
+              type="button"
+              onClick={handleSmartSubmit}
+              disabled={!text.trim() || isAnalyzing}
+              className="flex items-center gap-2 bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700 text-white px-4 py-2 rounded-lg font-medium transition-all shadow-sm disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isAnalyzing ? <Loader2 size={18} className="animate-spin" /> : <Sparkles size={18} />}
+              Smart Sort & Date Detect
+            </button>
+            <button 
+              type="submit"
+              disabled={!text.trim() || isAnalyzing}
+              className="bg-white text-indigo-700 border border-indigo-200 hover:bg-indigo-50 px-6 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Simple Process
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const emptyCourse = { name: "", code: "", color: "indigo", instructor: "", term: "" };
+
+const CourseManager = ({ courses, onAdd, onUpdate, onDelete, onClose }) => {
+  const [form, setForm] = useState(emptyCourse);
+  const [editingId, setEditingId] = useState(null);
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    const course = {
+      name: form.name.trim(),
+      code: form.code.trim(),
+      color: form.color,
+      instructor: form.instructor.trim(),
+      term: form.term.trim()
+    };
+    if (editingId) {
+      onUpdate(editingId, course);
+    } else {
+      onAdd(course);
+    }
+    setForm(emptyCourse);
+    setEditingId(null);
+  };
+
+  const startEdit = (course) => {
+    setEditingId(course.id);
+    setForm({ ...emptyCourse, ...course });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <GraduationCap size={18} className="text-indigo-500" />
+            Courses
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            Group your tasks by course. Colors show up on tasks and in the calendar.
+          </p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {courses.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {courses.map(c => (
+            <div key={c.id} className="flex items-center gap-3 p-2 rounded-xl border border-slate-100">
+              <span className={`w-3 h-3 rounded-full flex-shrink-0 ${courseColor(c).dot}`}></span>
+              <div className="flex-grow min-w-0">
+                <p className="text-sm font-semibold text-slate-700 truncate">
+                  {c.code && <span className="mr-2">{c.code}</span>}
+                  <span className={c.code ? 'font-normal text-slate-500' : ''}>{c.name}</span>
+                </p>
+                {(c.instructor || c.term) && (
+                  <p className="text-xs text-slate-400 truncate">
+                    {[c.instructor, c.term].filter(Boolean).join(' · ')}
+                  </p>
+                )}
+              </div>
+              <button onClick={() => startEdit(c)} className="p-1.5 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors">
+                <Pencil size={14} />
+              </button>
+              <button onClick={() => onDelete(c.id)} className="p-1.5 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <input
+          type="text"
+          placeholder="Course name"
+          value={form.name}
+          onChange={setField('name')}
+          className="p-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:border-indigo-300"
+        />
+        <input
+          type="text"
+          placeholder="Code (e.g. HIST 101)"
+          value={form.code}
+          onChange={setField('code')}
+          className="p-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:border-indigo-300"
+        />
+        <input
+          type="text"
+          placeholder="Instructor"
+          value={form.instructor}
+          onChange={setField('instructor')}
+          className="p-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:border-indigo-300"
+        />
+        <input
+          type="text"
+          placeholder="Term (e.g. Fall 2026)"
+          value={form.term}
+          onChange={setField('term')}
+          className="p-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:border-indigo-300"
+        />
+        <div className="flex items-center gap-1.5 sm:col-span-2">
+          {Object.keys(COURSE_COLORS).map(color => (
+            <button
+              key={color}
+              type="button"
+              onClick={() => setForm({ ...form, color })}
+              title={color}
+              className={`w-6 h-6 rounded-full ${COURSE_COLORS[color].dot} ${form.color === color ? 'ring-2 ring-offset-2 ring-slate-400' : ''}`}
+            />
+          ))}
+          <div className="flex-grow"></div>
+          {editingId && (
+            <button
+              type="button"
+              onClick={() => { setEditingId(null); setForm(emptyCourse); }}
+              className="px-4 py-2 text-sm text-slate-500 hover:text-slate-700"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={!form.name.trim()}
+            className="bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            {editingId ? 'Save Course' : 'Add Course'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const NotificationSettings = ({ settings, permission, onRequestPermission, onChange, onClose }) => {
+  const digest = settings.dailyDigest || { enabled: false, time: '08:00' };
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <BellRing size={18} className="text-amber-500" />
+            Reminders
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            Get notified before tasks are due, even when this tab is in the background.
+          </p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {permission !== 'granted' && (
+        <div className="flex items-center justify-between gap-3 p-3 mb-4 rounded-xl bg-amber-50 border border-amber-100 text-sm text-amber-800">
+          <span>
+            {permission === 'unsupported' && 'This browser does not support notifications.'}
+            {permission === 'denied' && 'Notifications are blocked. Allow them in your browser settings.'}
+            {permission === 'default' && 'Notifications are turned off for this site.'}
+          </span>
+          {permission === 'default' && (
+            <button
+              onClick={onRequestPermission}
+              className="px-3 py-1.5 rounded-lg bg-amber-500 text-white font-medium hover:bg-amber-600 transition-colors whitespace-nowrap"
+            >
+              Enable
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <div>
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Default reminders</p>
+          <ReminderPicker
+            value={settings.defaultReminders || []}
+            onChange={(defaultReminders) => onChange({ defaultReminders })}
+          />
+        </div>
+
+        <div>
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Daily digest</p>
+          <div className="flex items-center gap-3 text-sm text-slate-600">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={digest.enabled}
+                onChange={(e) => onChange({ dailyDigest: { ...digest, enabled: e.target.checked } })}
+                className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-200"
+              />
+              Summarize today's tasks every morning at
+            </label>
+            <input
+              type="time"
+              value={digest.time}
+              onChange={(e) => onChange({ dailyDigest: { ...digest, time: e.target.value } })}
+              className="p-1.5 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300"
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const AISettings = ({ onClose }) => {
+  const [config, setConfig] = useState(loadAIConfig);
+  const [status, setStatus] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+  const provider = AI_PROVIDERS[config.provider];
+
+  const setField = (field) => (e) => {
+    setConfig({ ...config, [field]: e.target.value });
+    setStatus(null);
+  };
+
+  const changeProvider = (e) => {
+    const next = AI_PROVIDERS[e.target.value];
+    setConfig({ ...config, provider: e.target.value, model: next.model, baseUrl: next.baseUrl });
+    setStatus(null);
+  };
+
+  const handleSave = () => {
+    saveAIConfig(config);
+    setStatus({ ok: true, message: 'Saved on this device.' });
+  };
+
+  const handleTest = async () => {
+    setIsTesting(true);
+    try {
+      const steps = await callAI('breakdown', {
+        prompt: 'Break down this task: "Write a lab report"',
+        system: 'Break down the given task into 3 smaller steps. Return JSON: ["step 1", "step 2"]',
+        input: 'Write a lab report'
+      }, { ...config, retries: 0 });
+      setStatus({ ok: true, message: `Connected. Sample reply: ${steps.join(' · ')}` });
+    } catch (error) {
+      setStatus({ ok: false, message: error.message });
+    }
+    setIsTesting(false);
+  };
+
+  const inputClass = "w-full p-2 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300";
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <Bot size={18} className="text-indigo-500" />
+            AI Assistant
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            Choose which model powers Smart Sort and Magic Breakdown. Settings and keys stay in this browser.
+          </p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+          Provider
+          <select value={config.provider} onChange={changeProvider} className={`${inputClass} mt-1 normal-case font-normal tracking-normal`}>
+            {Object.entries(AI_PROVIDERS).map(([id, p]) => (
+              <option key={id} value={id}>{p.label}</option>
+            ))}
+          </select>
+        </label>
+        {config.provider !== 'mock' && (
+          <label className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+            Model
+            <input type="text" value={config.model} onChange={setField('model')} placeholder={provider.model} className={`${inputClass} mt-1 normal-case font-normal tracking-normal`} />
+          </label>
+        )}
+        {config.provider !== 'mock' && (
+          <label className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+            Endpoint
+            <input type="url" value={config.baseUrl} onChange={setField('baseUrl')} placeholder={provider.baseUrl} className={`${inputClass} mt-1 normal-case font-normal tracking-normal`} />
+          </label>
+        )}
+        {(config.provider === 'gemini' || config.provider === 'openai') && (
+          <label className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+            API key
+            <input type="password" value={config.apiKey} onChange={setField('apiKey')} autoComplete="off" className={`${inputClass} mt-1 normal-case font-normal tracking-normal`} />
+          </label>
+        )}
+      </div>
+
+      {status && (
+        <p className={`mt-4 text-sm flex items-start gap-2 ${status.ok ? 'text-emerald-700' : 'text-red-600'}`}>
+          {status.ok ? <CheckCircle size={16} className="flex-shrink-0 mt-0.5" /> : <AlertCircle size={16} className="flex-shrink-0 mt-0.5" />}
+          {status.message}
+        </p>
+      )}
+
+      <div className="flex justify-end gap-3 mt-4">
+        <button
+          onClick={handleTest}
+          disabled={isTesting}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 transition-colors disabled:opacity-50"
+        >
+          {isTesting && <Loader2 size={16} className="animate-spin" />}
+          Test
+        </button>
+        <button
+          onClick={handleSave}
+          className="px-4 py-2 rounded-lg bg-slate-900 text-white font-medium hover:bg-slate-800 transition-colors"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const FilterPanel = ({ filter, tags, savedFilters, activeSaved, onChange, onSave, onUpdateSaved, onDeleteSaved, onClose }) => {
+  const [name, setName] = useState("");
+
+  const toggle = (field, value) => {
+    const values = filter[field];
+    onChange({ ...filter, [field]: values.includes(value) ? values.filter(v => v !== value) : [...values, value] });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName("");
+  };
+
+  const chipClass = (active) => `px-3 py-1 rounded-full text-xs font-medium border transition-colors ${active ? 'bg-slate-900 text-white border-slate-900' : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'}`;
+  const inputClass = "p-1.5 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300";
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-6 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+          <SlidersHorizontal size={18} className="text-indigo-500" />
+          Filters
+        </h3>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Priority</p>
+          <div className="flex flex-wrap gap-2">
+            {['high', 'medium', 'low'].map(p => (
+              <button key={p} onClick={() => toggle('priorities', p)} className={`${chipClass(filter.priorities.includes(p))} capitalize`}>
+                {p}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {tags.length > 0 && (
+          <div>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Tags</p>
+            <div className="flex flex-wrap gap-2">
+              {tags.map(tag => (
+                <button key={tag} onClick={() => toggle('tags', tag)} className={chipClass(filter.tags.includes(tag))}>
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-4">
+          <div>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Due between</p>
+            <div className="flex items-center gap-2 text-sm text-slate-500">
+              <input type="date" value={filter.dueFrom} onChange={(e) => onChange({ ...filter, dueFrom: e.target.value })} className={inputClass} />
+              and
+              <input type="date" value={filter.dueTo} onChange={(e) => onChange({ ...filter, dueTo: e.target.value })} className={inputClass} />
+            </div>
+          </div>
+          <div className="flex flex-col gap-2 text-sm text-slate-600">
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={filter.overdue}
+                onChange={(e) => onChange({ ...filter, overdue: e.target.checked })}
+                className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-200"
+              />
+              Overdue only
+            </label>
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={filter.hasSubtasks}
+                onChange={(e) => onChange({ ...filter, hasSubtasks: e.target.checked })}
+                className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-200"
+              />
+              Has subtasks
+            </label>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 pt-4 border-t border-slate-100">
+          <form onSubmit={handleSave} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name, e.g. This week's exams"
+              className={`${inputClass} w-56`}
+            />
+            <button
+              type="submit"
+              disabled={!name.trim() || !isFilterActive(filter)}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-slate-900 text-white text-sm font-medium hover:bg-slate-800 transition-colors disabled:opacity-50"
+            >
+              <Bookmark size={14} /> Save filter
+            </button>
+          </form>
+          {activeSaved && (
+            <button
+              onClick={onUpdateSaved}
+              className="px-3 py-1.5 rounded-lg border border-slate-200 text-sm text-slate-600 hover:bg-slate-50 transition-colors"
+            >
+              Update "{activeSaved.name}"
+            </button>
+          )}
+          <div className="flex-grow"></div>
+          <button
+            onClick={() => onChange({ ...EMPTY_FILTER, query: filter.query })}
+            className="text-sm text-slate-500 hover:text-slate-700"
+          >
+            Clear criteria
+          </button>
+        </div>
+
+        {savedFilters.length > 0 && (
+          <div>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Saved filters</p>
+            <div className="flex flex-wrap gap-2">
+              {savedFilters.map(f => (
+                <span key={f.id} className="inline-flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-slate-100 text-xs text-slate-600">
+                  {f.name}
+                  <button onClick={() => onDeleteSaved(f.id)} title="Delete saved filter" className="p-0.5 text-slate-400 hover:text-red-500">
+                    <X size={12} />
+                  </button>
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const BackupPanel = ({ onExport, onPlan, onRestore, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [onConflict, setOnConflict] = useState('skip');
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [progress, setProgress] = useState(null);
+  // A restore that failed part-way, which Continue picks up from where it stopped
+  const [stopped, setStopped] = useState(null);
+
+  const plan = useMemo(
+    () => file ? onPlan(file.content, file.name, { mode, onConflict }) : null,
+    [file, mode, onConflict, onPlan]
+  );
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = "";
+    if (!selected) return;
+    setStatus(null);
+    setStopped(null);
+    setFile({ name: selected.name, content: await selected.text() });
+  };
+
+  const changeOptions = (change) => (e) => {
+    change(e.target.value);
+    setStopped(null);
+  };
+
+  // Big restores are written in several batches, so one that fails can
+  // leave part of the backup written
+  const handleRestore = async () => {
+    const summary = stopped?.summary || `Restored ${plan.tasks.length} tasks and ${plan.courses.length} courses.`;
+    setIsRestoring(true);
+    setStatus(null);
+    try {
+      await (stopped ? stopped.resume() : onRestore(plan, (written, total) => setProgress({ written, total })));
+      setStatus(summary);
+      setStopped(null);
+      setFile(null);
+    } catch (error) {
+      console.error("Restore failed:", error);
+      if (error.written && error.resume) {
+        setStopped({ resume: error.resume, summary });
+        setStatus(`Restore stopped after ${error.written} writes. Check your connection, then continue where it left off.`);
+      } else {
+        setStopped(null);
+        setStatus("Restore failed. Check your connection and try again.");
+      }
+    }
+    setProgress(null);
+    setIsRestoring(false);
+  };
+
+  const selectClass = "p-1.5 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300";
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <Archive size={18} className="text-indigo-500" />
+            Backup & Restore
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            Your planner lives in this browser's account. Keep a copy, or move it to another device.
+          </p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        <button
+          onClick={() => onExport('json')}
+          className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+        >
+          <Download size={16} /> Full backup (JSON)
+        </button>
+        <button
+          onClick={() => onExport('csv')}
+          className="flex items-center gap-2 bg-white text-slate-700 border border-slate-200 hover:bg-slate-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+        >
+          <Download size={16} /> Tasks only (CSV)
+        </button>
+      </div>
+
+      <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Restore</p>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm text-slate-600">
+        <label className="flex items-center gap-2 px-3 py-1.5 rounded-lg border border-dashed border-slate-300 hover:bg-slate-50 cursor-pointer">
+          <Upload size={14} />
+          {file ? file.name : 'Choose a .json or .csv file'}
+          <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} className="hidden" />
+        </label>
+        <select value={mode} onChange={changeOptions(setMode)} aria-label="Restore mode" className={selectClass}>
+          <option value="merge">Merge with my tasks</option>
+          <option value="replace">Replace all my tasks</option>
+        </select>
+        {mode === 'merge' && (
+          <select value={onConflict} onChange={changeOptions(setOnConflict)} aria-label="When ids conflict" className={selectClass}>
+            <option value="skip">On id conflict: keep mine</option>
+            <option value="overwrite">On id conflict: use backup</option>
+            <option value="keep-both">On id conflict: keep both</option>
+          </select>
+        )}
+      </div>
+
+      {plan && (
+        <div className="p-3 rounded-xl bg-slate-50 border border-slate-100 text-sm text-slate-600 space-y-1">
+          <p>
+            Will write <strong>{plan.tasks.length}</strong> tasks and <strong>{plan.courses.length}</strong> courses
+            {plan.conflicts > 0 && <> · {plan.conflicts} id conflicts{plan.skipped > 0 && `, ${plan.skipped} skipped`}</>}.
+          </p>
+          {plan.mode === 'replace' && (
+            <p className="text-red-600">
+              Deletes your current {plan.remove.tasks.length} tasks and {plan.remove.courses.length} courses first.
+            </p>
+          )}
+          {plan.errors.length > 0 && (
+            <ul className="text-amber-700 list-disc pl-5 max-h-24 overflow-y-auto">
+              {plan.errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          <div className="flex items-center justify-end gap-3 pt-2">
+            {progress && (
+              <span className="text-xs text-slate-500">{progress.written} of {progress.total} writes</span>
+            )}
+            <button
+              onClick={handleRestore}
+              disabled={isRestoring || (!stopped && plan.tasks.length + plan.courses.length === 0)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-white transition-colors disabled:opacity-50 ${plan.mode === 'replace' ? 'bg-red-500 hover:bg-red-600' : 'bg-indigo-600 hover:bg-indigo-700'}`}
+            >
+              {isRestoring && <Loader2 size={16} className="animate-spin" />}
+              {stopped ? 'Continue restore' : plan.mode === 'replace' ? 'Replace & Restore' : 'Restore'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status && <p className="mt-3 text-sm text-slate-600">{status}</p>}
+    </div>
+  );
+};
+
+const AUTH_ERRORS = {
+  'auth/invalid-email': "That email address doesn't look right.",
+  'auth/weak-password': 'Use a password with at least 6 characters.',
+  'auth/wrong-password': 'Wrong email or password.',
+  'auth/invalid-credential': 'Wrong email or password.',
+  'auth/user-not-found': 'Wrong email or password.',
+  'auth/popup-closed-by-user': 'Sign-in was cancelled.',
+  // Reached only when Firebase can't hand back the Google credential to sign in with
+  'auth/credential-already-in-use': "That Google account already has a planner, but it couldn't be opened from here. Please try again.",
+  'auth/network-request-failed': "Can't reach the sign-in server. Check your connection.",
+  'merge/offline': "You're offline. Connect before merging so none of your tasks get left behind."
+};
+
+const AccountPanel = ({ user, taskCount, pendingMerge, onCreateAccount, onSignIn, onGoogle, onResolveConflict, onRetryMerge, onSignOut, onClose }) => {
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await action();
+      if (result?.conflict) setConflict(result.conflict);
+    } catch (err) {
+      console.error("Auth failed:", err);
+      setError(AUTH_ERRORS[err.code] || 'Something went wrong. Please try again.');
+    }
+    setBusy(false);
+  };
+
+  const inputClass = "p-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:border-indigo-300";
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <UserCircle size={18} className="text-indigo-500" />
+            {user?.isAnonymous ? 'Save your planner' : 'Account'}
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            {user?.isAnonymous
+              ? 'You are using a guest account tied to this browser. Sign in to keep your tasks and use them on other devices.'
+              : `Signed in as ${user?.email || user?.displayName || 'a member'}.`}
+          </p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {pendingMerge && (
+        <div className="p-4 mb-4 rounded-xl bg-amber-50 border border-amber-100 text-sm text-amber-900">
+          <p className="mb-3">
+            {pendingMerge.count} task{pendingMerge.count === 1 ? '' : 's'} from the guest account haven't been copied over yet. They're only kept on this page, so don't close it until they are.
+          </p>
+          <button
+            onClick={() => run(onRetryMerge)}
+            disabled={busy}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-amber-500 text-white font-medium hover:bg-amber-600 transition-colors disabled:opacity-50"
+          >
+            {busy && <Loader2 size={14} className="animate-spin" />}
+            Retry merge
+          </button>
+        </div>
+      )}
+
+      {!user?.isAnonymous && (
+        <button
+          onClick={() => run(onSignOut)}
+          disabled={busy || !!pendingMerge}
+          className="flex items-center gap-2 bg-white text-slate-700 border border-slate-200 hover:bg-slate-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+        >
+          <LogOut size={16} /> Sign out
+        </button>
+      )}
+
+      {user?.isAnonymous && conflict && (
+        <div className="p-4 rounded-xl bg-amber-50 border border-amber-100 text-sm text-amber-900">
+          <p className="mb-3">
+            That account already has its own planner. Bring the {taskCount} task{taskCount === 1 ? '' : 's'} from this device along?
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => run(() => onResolveConflict(conflict, true))}
+              disabled={busy}
+              className="px-3 py-1.5 rounded-lg bg-amber-500 text-white font-medium hover:bg-amber-600 transition-colors disabled:opacity-50"
+            >
+              Merge & sign in
+            </button>
+            <button
+              onClick={() => run(() => onResolveConflict(conflict, false))}
+              disabled={busy}
+              className="px-3 py-1.5 rounded-lg bg-white border border-amber-200 hover:bg-amber-100 transition-colors disabled:opacity-50"
+            >
+              Sign in without merging
+            </button>
+            <button onClick={() => setConflict(null)} className="px-3 py-1.5 text-amber-700 hover:underline">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {user?.isAnonymous && !conflict && (
+        <form onSubmit={(e) => { e.preventDefault(); run(() => onCreateAccount(email, password)); }} className="space-y-2">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} />
+            <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} />
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="submit"
+              disabled={busy || !email || !password}
+              className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              {busy && <Loader2 size={16} className="animate-spin" />}
+              Create account
+            </button>
+            <button
+              type="button"
+              onClick={() => run(() => onSignIn(email, password))}
+              disabled={busy || !email || !password}
+              className="bg-white text-slate-700 border border-slate-200 hover:bg-slate-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              I have an account
+            </button>
+            <span className="text-xs text-slate-400 px-1">or</span>
+            <button
+              type="button"
+              onClick={() => run(onGoogle)}
+              disabled={busy}
+              className="bg-white text-slate-700 border border-slate-200 hover:bg-slate-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              Continue with Google
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+const SharedListsPanel = ({ lists, uid, presence, now, isLocal, onCreate, onInvite, onSetRole, onRemoveMember, onLeave, onDelete, onClose }) => {
+  const [name, setName] = useState("");
+  const [inviteRoles, setInviteRoles] = useState({});
+  const [links, setLinks] = useState({});
+  const [invitingId, setInvitingId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error("Shared list change failed:", err);
+      setError("That didn't work. Check your connection and try again.");
+    }
+  };
+
+  const createInvite = async (listId) => {
+    setInvitingId(listId);
+    await run(async () => {
+      const link = await onInvite(listId, inviteRoles[listId] || 'editor');
+      setLinks(prev => ({ ...prev, [listId]: link }));
+      setCopiedId(null);
+    });
+    setInvitingId(null);
+  };
+
+  const copyLink = (listId) => run(async () => {
+    await navigator.clipboard.writeText(links[listId]);
+    setCopiedId(listId);
+  });
+
+  const selectClass = "text-xs border border-slate-200 rounded-lg px-2 py-1 bg-white focus:outline-none focus:border-indigo-300";
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <Users size={18} className="text-indigo-500" /> Shared lists
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            Plan a group project together. Everyone on a list sees its tasks change live.
+          </p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {isLocal ? (
+        <p className="text-sm text-slate-500 p-4 rounded-xl bg-slate-50 border border-slate-100">
+          Shared lists need the cloud backend. This planner keeps everything in this browser.
+        </p>
+      ) : (
+        <>
+          <form onSubmit={(e) => { e.preventDefault(); if (name.trim()) run(async () => { await onCreate(name.trim()); setName(""); }); }} className="flex gap-2 mb-4">
+            <input
+              type="text"
+              placeholder="New list, e.g. Biology lab report"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="flex-grow p-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:border-indigo-300"
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="flex items-center gap-1 bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              <Plus size={16} /> Create
+            </button>
+          </form>
+
+          {lists.length === 0 && <p className="text-sm text-slate-400">You aren't on any shared lists yet.</p>}
+
+          <div className="space-y-3">
+            {lists.map(list => {
+              const role = list.members?.[uid];
+              const isOwner = role === 'owner';
+              const online = new Set(onlineMembers(presence[list.id], now).map(r => r.id));
+              return (
+                <div key={list.id} className="p-4 rounded-xl border border-slate-100 bg-slate-50/50">
+                  <div className="flex items-center justify-between gap-2 mb-2">
+                    <span className="font-semibold text-slate-800 truncate">{list.name}</span>
+                    <span className="text-xs text-slate-400 flex-shrink-0">{ROLE_LABELS[role]}</span>
+                  </div>
+
+                  <ul className="space-y-1 mb-3">
+                    {Object.entries(list.members || {}).map(([memberId, memberRole]) => (
+                      <li key={memberId} className="flex items-center gap-2 text-sm text-slate-600">
+                        <span className={`w-2 h-2 rounded-full flex-shrink-0 ${online.has(memberId) ? 'bg-emerald-500' : 'bg-slate-300'}`} title={online.has(memberId) ? 'Online' : 'Away'} />
+                        <span className="flex-grow truncate">
+                          {list.memberNames?.[memberId] || 'Member'}{memberId === uid && ' (you)'}
+                        </span>
+                        {isOwner && memberId !== uid ? (
+                          <>
+                            <select value={memberRole} onChange={(e) => run(() => onSetRole(list, memberId, e.target.value))} className={selectClass}>
+                              {LIST_ROLES.filter(r => r !== 'owner').map(r => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                            </select>
+                            <button onClick={() => run(() => onRemoveMember(list, memberId))} className="text-slate-400 hover:text-red-500" title="Remove from list">
+                              <X size={14} />
+                            </button>
+                          </>
+                        ) : (
+                          <span className="text-xs text-slate-400">{ROLE_LABELS[memberRole]}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+
+                  {isOwner && (
+                    <div className="flex flex-wrap items-center gap-2 mb-3">
+                      <select
+                        value={inviteRoles[list.id] || 'editor'}
+                        onChange={(e) => setInviteRoles(prev => ({ ...prev, [list.id]: e.target.value }))}
+                        className={selectClass}
+                      >
+                        <option value="editor">Invite to edit</option>
+                        <option value="viewer">Invite to view</option>
+                      </select>
+                      <button onClick={() => createInvite(list.id)} disabled={invitingId === list.id} className="flex items-center gap-1 text-xs font-medium text-indigo-600 hover:text-indigo-800 disabled:opacity-50">
+                        {invitingId === list.id ? <Loader2 size={14} className="animate-spin" /> : <UserPlus size={14} />} Create invite link
+                      </button>
+                      {links[list.id] && (
+                        <div className="w-full flex items-center gap-2">
+                          <input readOnly value={links[list.id]} onFocus={(e) => e.target.select()} className="flex-grow text-xs p-1.5 border border-slate-200 rounded-lg bg-white text-slate-600" />
+                          <button onClick={() => copyLink(list.id)} className="flex items-center gap-1 text-xs text-slate-600 hover:text-slate-900">
+                            <Copy size={12} /> {copiedId === list.id ? 'Copied' : 'Copy'}
+                          </button>
+                        </div>
+                      )}
+                      {links[list.id] && <p className="w-full text-xs text-slate-400">Anyone with this link can join for the next {INVITE_DAYS} days.</p>}
+                    </div>
+                  )}
+
+                  <div className="flex gap-3 text-xs">
+                    {isOwner ? (
+                      confirmDeleteId === list.id ? (
+                        <>
+                          <span className="text-red-600">Delete the list and its tasks for everyone?</span>
+                          <button onClick={() => run(() => onDelete(list))} className="font-medium text-red-600 hover:underline">Delete</button>
+                          <button onClick={() => setConfirmDeleteId(null)} className="text-slate-500 hover:underline">Cancel</button>
+                        </>
+                      ) : (
+                        <button onClick={() => setConfirmDeleteId(list.id)} className="flex items-center gap-1 text-slate-400 hover:text-red-500">
+                          <Trash2 size={12} /> Delete list
+                        </button>
+                      )
+                    ) : (
+                      <button onClick={() => run(() => onLeave(list))} className="flex items-center gap-1 text-slate-400 hover:text-red-500">
+                        <LogOut size={12} /> Leave list
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+// Shown when the page was opened from an invite link
+const JoinListBanner = ({ invite, onJoin, onDismiss }) => {
+  const [busy, setBusy] = useState(false);
+
+  if (invite.error) {
+    return (
+      <div className="mb-6 p-4 rounded-xl bg-amber-50 border border-amber-100 text-sm text-amber-900 flex items-center justify-between gap-3">
+        <span>{invite.error}</span>
+        <button onClick={onDismiss} className="text-amber-600 hover:text-amber-800"><X size={16} /></button>
+      </div>
+    );
+  }
+
+  if (!invite.record) return null;
+
+  return (
+    <div className="mb-6 p-4 rounded-xl bg-indigo-50 border border-indigo-100 text-sm text-indigo-900 flex flex-wrap items-center gap-3">
+      <Users size={16} className="text-indigo-500" />
+      <span className="flex-grow">
+        You've been invited to <strong>{invite.record.listName}</strong> ({ROLE_LABELS[invite.record.role].toLowerCase()}).
+      </span>
+      <button
+        onClick={async () => { setBusy(true); await onJoin(); setBusy(false); }}
+        disabled={busy}
+        className="flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:opacity-50"
+      >
+        {busy && <Loader2 size={12} className="animate-spin" />} Join list
+      </button>
+      <button onClick={onDismiss} className="text-xs text-indigo-600 hover:underline">Not now</button>
+    </div>
+  );
+};
+
+const SyncStatus = ({ online, pendingCount, failedWrites, onRetry, onDismiss }) => {
+  const [showFailed, setShowFailed] = useState(false);
+
+  if (failedWrites.length > 0) {
+    return (
+      <div className="relative">
+        <button
+          onClick={() => setShowFailed(!showFailed)}
+          className="flex items-center gap-1.5 text-xs font-medium text-red-600 hover:text-red-700"
+        >
+          <AlertCircle size={14} /> {failedWrites.length} change{failedWrites.length === 1 ? '' : 's'} not saved
+        </button>
+        {showFailed && (
+          <div className="absolute right-0 mt-2 w-72 bg-white rounded-xl border border-slate-200 shadow-lg p-3 z-20 text-left">
+            <ul className="space-y-1 mb-3 max-h-40 overflow-y-auto">
+              {failedWrites.map(w => (
+                <li key={w.id} className="text-xs text-slate-600 flex items-center gap-2">
+                  <span className="flex-grow truncate">{w.label}</span>
+                  <button onClick={() => onDismiss(w.id)} className="text-slate-400 hover:text-slate-600">
+                    <X size={12} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={() => { onRetry(); setShowFailed(false); }}
+              className="w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-lg bg-slate-900 text-white text-xs font-medium hover:bg-slate-800 transition-colors"
+            >
+              <RefreshCw size={12} /> Retry all
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (!online || pendingCount > 0) {
+    return (
+      <span className="flex items-center gap-1.5 text-xs font-medium text-amber-600">
+        <CloudOff size={14} />
+        {online ? 'Syncing' : 'Offline'}{pendingCount > 0 && ` · ${pendingCount} pending`}
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-1.5 text-xs font-medium text-emerald-600">
+      <Cloud size={14} /> Synced
+    </span>
+  );
+};
+
+const FocusBar = ({ session, lastBreak, tasks, now, focus, onStop, onSkipBreak, onFocusAgain, onSwitchMode, onDismiss }) => {
+  const current = session || lastBreak;
+  const task = tasks.find(t => t.id === current.taskId);
+  const taskText = task?.text || 'Deleted task';
+
+  // Finished break, waiting for the next round
+  if (!session) {
+    return (
+      <div className="sticky top-2 z-20 mb-6 flex items-center gap-3 px-4 py-3 bg-emerald-50 border border-emerald-200 rounded-2xl shadow-sm">
+        <Coffee size={18} className="text-emerald-600 flex-shrink-0" />
+        <p className="flex-grow min-w-0 text-sm text-emerald-800 truncate">Break's over. Back to <span className="font-semibold">{taskText}</span>?</p>
+        {task && !task.completed && (
+          <button onClick={() => onFocusAgain(task.id)} className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-emerald-600 text-white text-sm font-medium hover:bg-emerald-700 transition-colors">
+            <Play size={14} /> Focus
+          </button>
+        )}
+        <button onClick={onDismiss} className="p-1 text-emerald-500 hover:text-emerald-800">
+          <X size={16} />
+        </button>
+      </div>
+    );
+  }
+
+  const end = sessionEnd(session);
+  const elapsed = now - sessionStart(session);
+  const isBreak = session.kind === 'break';
+  const label = isBreak
+    ? (session.minutes === focus.longBreak ? 'Long break' : 'Short break')
+    : session.mode === 'pomodoro' ? 'Focus' : 'Tracking time';
+
+  return (
+    <div className={`sticky top-2 z-20 mb-6 px-4 py-3 border rounded-2xl shadow-sm ${isBreak ? 'bg-emerald-50 border-emerald-200' : 'bg-white border-indigo-200'}`}>
+      <div className="flex items-center gap-3">
+        {isBreak ? <Coffee size={18} className="text-emerald-600 flex-shrink-0" /> : <Timer size={18} className="text-indigo-600 flex-shrink-0" />}
+        <div className="flex-grow min-w-0">
+          <p className={`text-[10px] font-bold uppercase tracking-wider ${isBreak ? 'text-emerald-600' : 'text-indigo-500'}`}>{label}</p>
+          <p className="text-sm font-medium text-slate-700 truncate">{taskText}</p>
+        </div>
+        <span className="text-2xl font-mono font-bold text-slate-800 tabular-nums">
+          {formatClock(end ? end - now : elapsed)}
+        </span>
+        {!isBreak && (
+          <button
+            onClick={() => onSwitchMode(session.mode === 'pomodoro' ? 'free' : 'pomodoro')}
+            title={session.mode === 'pomodoro' ? 'Switch to a free-running timer' : `Switch to ${focus.focus}-minute pomodoros`}
+            className="px-2 py-1 rounded-lg text-xs font-medium text-slate-500 bg-slate-100 hover:bg-slate-200 transition-colors whitespace-nowrap"
+          >
+            {session.mode === 'pomodoro' ? 'Free timer' : 'Pomodoro'}
+          </button>
+        )}
+        {isBreak ? (
+          <button onClick={onSkipBreak} className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-emerald-600 text-white text-sm font-medium hover:bg-emerald-700 transition-colors whitespace-nowrap">
+            <Play size={14} /> Skip break
+          </button>
+        ) : (
+          <button onClick={onStop} title="Stop timer" className="p-2 rounded-lg text-slate-500 hover:text-red-600 hover:bg-red-50 transition-colors">
+            <Square size={16} />
+          </button>
+        )}
+      </div>
+      {end && (
+        <div className="mt-2 h-1 bg-slate-100 rounded-full overflow-hidden">
+          <div
+            className={`h-full transition-all duration-1000 ${isBreak ? 'bg-emerald-400' : 'bg-indigo-500'}`}
+            style={{ width: `${Math.min(100, (elapsed / (end - sessionStart(session))) * 100)}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const TimeReport = ({ sessions, tasks, courses, focus, onChangeFocus, onClose }) => {
+  const [unit, setUnit] = useState('day');
+  const [selected, setSelected] = useState(null);
+
+  const buckets = useMemo(
+    () => buildTimeReport(sessions, { unit, count: unit === 'day' ? 7 : 6 }),
+    [sessions, unit]
+  );
+  const bucket = buckets[selected ?? buckets.length - 1];
+  const max = Math.max(...buckets.map(b => b.minutes), 1);
+  const total = buckets.reduce((sum, b) => sum + b.minutes, 0);
+  const spentAll = useMemo(() => timeSpentByTask(sessions), [sessions]);
+
+  const rows = Object.entries(bucket.byTask)
+    .map(([taskId, minutes]) => ({ task: tasks.find(t => t.id === taskId), minutes }))
+    .sort((a, b) => b.minutes - a.minutes);
+
+  const bucketLabel = (b) => unit === 'day'
+    ? b.start.toLocaleDateString([], { weekday: 'short' })
+    : b.start.toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+  const lengthInput = (key, label, unitLabel) => (
+    <label className="flex items-center gap-2">
+      {label}
+      <input
+        type="number"
+        min="1"
+        max="180"
+        value={focus[key]}
+        onChange={(e) => {
+          const value = parseInt(e.target.value, 10);
+          if (value > 0) onChangeFocus({ ...focus, [key]: value });
+        }}
+        className="w-16 p-1.5 bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300"
+      />
+      {unitLabel}
+    </label>
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <BarChart3 size={18} className="text-indigo-500" />
+            Time Report
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            {formatDuration(Math.round(total)) || 'No time'} focused in the last {unit === 'day' ? '7 days' : '6 weeks'}.
+          </p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="flex gap-1 mb-4">
+        {[['day', 'Per day'], ['week', 'Per week']].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => { setUnit(key); setSelected(null); }}
+            className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors ${unit === key ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-end gap-2 h-32 mb-2">
+        {buckets.map((b, i) => (
+          <button
+            key={b.start.getTime()}
+            onClick={() => setSelected(i)}
+            title={`${formatDuration(Math.round(b.minutes)) || '0m'}`}
+            className="flex-1 h-full flex flex-col justify-end items-center gap-1 group"
+          >
+            <div
+              className={`w-full rounded-t-lg transition-colors ${b === bucket ? 'bg-indigo-500' : 'bg-indigo-200 group-hover:bg-indigo-300'}`}
+              style={{ height: `${(b.minutes / max) * 100}%`, minHeight: b.minutes > 0 ? 4 : 0 }}
+            />
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2 mb-4">
+        {buckets.map(b => (
+          <span key={b.start.getTime()} className={`flex-1 text-center text-[10px] font-bold uppercase ${b === bucket ? 'text-indigo-600' : 'text-slate-400'}`}>
+            {bucketLabel(b)}
+          </span>
+        ))}
+      </div>
+
+      <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">
+        {unit === 'day'
+          ? bucket.start.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })
+          : `Week of ${bucketLabel(bucket)}`} · {formatDuration(Math.round(bucket.minutes)) || '0m'}
+      </p>
+      {rows.length === 0 ? (
+        <p className="text-sm text-slate-400">No focus sessions.</p>
+      ) : (
+        <ul className="space-y-1.5 text-sm">
+          {rows.map(({ task, minutes }, i) => {
+            const course = courses.find(c => c.id === task?.courseId);
+            const spent = task ? spentAll[task.id] || 0 : 0;
+            return (
+              <li key={task?.id || `deleted-${i}`} className="flex items-center gap-2">
+                {course && <span className={`w-2 h-2 rounded-full flex-shrink-0 ${courseColor(course).dot}`}></span>}
+                <span className={`flex-grow min-w-0 truncate ${task ? 'text-slate-700' : 'text-slate-400 italic'}`}>{task?.text || 'Deleted task'}</span>
+                <span className="font-mono text-slate-600">{formatDuration(Math.round(minutes)) || '<1m'}</span>
+                {task?.estimate > 0 && (
+                  <span className={`text-xs whitespace-nowrap ${spent > task.estimate ? 'text-red-600' : 'text-slate-400'}`}>
+                    {formatDuration(Math.round(spent)) || '0m'} of {formatDuration(task.estimate)} total
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="mt-6 pt-4 border-t border-slate-100">
+        <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Pomodoro</p>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-slate-600">
+          {lengthInput('focus', 'Focus', 'min')}
+          {lengthInput('shortBreak', 'Short break', 'min')}
+          {lengthInput('longBreak', 'Long break', 'min')}
+          {lengthInput('longBreakEvery', 'Long break after', 'rounds')}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ActivityFeed = ({ entries, now, onClose }) => (
+  <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+    <div className="flex justify-between items-start mb-4">
+      <div>
+        <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+          <History size={18} className="text-indigo-500" />
+          Recent Activity
+        </h3>
+        <p className="text-sm text-slate-500 mt-1">Every change to your tasks, newest first.</p>
+      </div>
+      <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+        <X size={20} />
+      </button>
+    </div>
+
+    {entries.length === 0 ? (
+      <p className="text-sm text-slate-400">Nothing yet. Changes show up here as you make them.</p>
+    ) : (
+      <ol className="space-y-2 max-h-96 overflow-y-auto">
+        {entries.map(entry => (
+          <li key={entry.id} className="text-sm text-slate-600 flex items-baseline gap-2">
+            <span className="flex-grow min-w-0">
+              <span className="font-medium text-slate-800">{entry.actorName}</span> {describeHistoryEntry(entry)}
+              {' · '}
+              <span className="text-slate-800">{entry.taskText}</span>
+            </span>
+            <span className="text-xs text-slate-400 whitespace-nowrap">{formatTimeAgo(toDateValue(entry.at), now)}</span>
+          </li>
+        ))}
+      </ol>
+    )}
+  </div>
+);
+
+// Deleted tasks wait here until restored or deleted for good. Subtasks that
+// went with their parent are restored and deleted with it.
+const TrashView = ({ tasks, now, onRestore, onPurge }) => {
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+
+  const trashedIds = new Set(tasks.map(t => t.id));
+  const roots = tasks
+    .filter(t => !trashedIds.has(t.trashedWith))
+    .sort((a, b) => (toDateValue(b.deletedAt) || 0) - (toDateValue(a.deletedAt) || 0));
+  const subtaskCount = (id) => tasks.filter(t => t.trashedWith === id).length;
+
+  if (roots.length === 0) {
+    return (
+      <div className="text-center py-16 bg-white rounded-3xl border border-dashed border-slate-200">
+        <div className="w-16 h-16 bg-slate-50 text-slate-400 rounded-full flex items-center justify-center mx-auto mb-4">
+          <Trash2 size={32} />
+        </div>
+        <h3 className="text-lg font-semibold text-slate-900 mb-1">The Trash is empty</h3>
+        <p className="text-slate-500 max-w-xs mx-auto">Deleted tasks wait here until you restore them or delete them for good.</p>
+      </div>
+    );
+  }
+
+  return (
+    <section>
+      <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-2 px-1">
+        <Trash2 size={14} />
+        Trash
+        <span className="flex-grow"></span>
+        {confirmEmpty ? (
+          <span className="flex items-center gap-2 normal-case tracking-normal font-medium">
+            <span className="text-red-600">Delete {tasks.length} task{tasks.length === 1 ? '' : 's'} for good?</span>
+            <button onClick={() => { onPurge(tasks.map(t => t.id)); setConfirmEmpty(false); }} className="text-red-600 hover:underline">Empty Trash</button>
+            <button onClick={() => setConfirmEmpty(false)} className="text-slate-500 hover:underline">Cancel</button>
+          </span>
+        ) : (
+          <button onClick={() => setConfirmEmpty(true)} className="normal-case tracking-normal font-medium text-slate-500 hover:text-red-600">
+            Empty Trash
+          </button>
+        )}
+      </h2>
+      <div className="space-y-2">
+        {roots.map(task => {
+          const subtasks = subtaskCount(task.id);
+          return (
+            <div key={task.id} className="flex items-center gap-3 p-3 bg-white border border-slate-100 rounded-xl shadow-sm">
+              <div className="flex-grow min-w-0">
+                <p className={`truncate ${task.completed ? 'line-through text-slate-400' : 'text-slate-700'}`}>{task.text}</p>
+                <p className="text-xs text-slate-400">
+                  Deleted {formatTimeAgo(toDateValue(task.deletedAt), now)}
+                  {subtasks > 0 && ` · with ${subtasks} subtask${subtasks === 1 ? '' : 's'}`}
+                </p>
+              </div>
+              <button
+                onClick={() => onRestore(task.id)}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium text-indigo-600 bg-indigo-50 hover:bg-indigo-100 transition-colors"
+              >
+                <Undo2 size={12} /> Restore
+              </button>
+              <button
+                onClick={() => onPurge([task.id])}
+                title="Delete for good"
+                className="p-1.5 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+// Asks for the score once a graded task is marked done
+const ScorePrompt = ({ task, onSave, onSkip }) => {
+  const [earned, setEarned] = useState("");
+  const [possible, setPossible] = useState(task.pointsPossible ?? "");
+
+  const valid = earned !== "" && Number(earned) >= 0 && Number(possible) > 0;
+  const inputClass = "w-16 p-1.5 text-sm bg-white border border-indigo-200 rounded-lg text-slate-700 focus:outline-none focus:border-indigo-400";
+
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); if (valid) onSave(Number(earned), Number(possible)); }}
+      className="mb-6 p-4 rounded-xl bg-indigo-50 border border-indigo-100 text-sm text-indigo-900 flex flex-wrap items-center gap-3"
+    >
+      <Award size={16} className="text-indigo-500" />
+      <span className="flex-grow min-w-0 truncate">How did <strong>{task.text}</strong> go?</span>
+      <span className="flex items-center gap-1">
+        <input type="number" min="0" step="any" value={earned} onChange={(e) => setEarned(e.target.value)} placeholder="Score" autoFocus className={inputClass} />
+        /
+        <input type="number" min="0" step="any" value={possible} onChange={(e) => setPossible(e.target.value)} placeholder="Out of" className={inputClass} />
+        points
+      </span>
+      <button
+        type="submit"
+        disabled={!valid}
+        className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:opacity-50"
+      >
+        Save score
+      </button>
+      <button type="button" onClick={onSkip} className="text-xs text-indigo-600 hover:underline">Not graded yet</button>
+    </form>
+  );
+};
+
+// A course's running grade, and what it takes to finish with the grade you want
+const GradeCalculator = ({ course, tasks }) => {
+  const grade = useMemo(() => courseGrade(tasks), [tasks]);
+  const [goal, setGoal] = useState(90);
+  const [targetId, setTargetId] = useState(null);
+  const [assumed, setAssumed] = useState(null);
+
+  const heaviest = [...grade.remaining].sort((a, b) => b.weight - a.weight)[0];
+  const target = grade.remaining.find(t => t.id === targetId) || heaviest;
+  const others = grade.remaining.length - 1;
+  // Until told otherwise, the rest of the work goes as well as it has so far
+  const assumedPercent = assumed ?? Math.round((grade.current ?? 0.85) * 100);
+  const needed = target ? scoreNeeded(grade, target, goal / 100, assumedPercent / 100) : null;
+
+  const numberInput = (value, onChange) => (
+    <input
+      type="number"
+      min="0"
+      max="100"
+      value={value}
+      onChange={(e) => onChange(Math.max(0, Math.min(100, Number(e.target.value) || 0)))}
+      className="w-16 p-1.5 bg-white border border-slate-200 rounded-lg text-slate-700 focus:outline-none focus:border-indigo-300"
+    />
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <Award size={18} className="text-indigo-500" />
+            {courseLabel(course)} grade
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            {grade.scoredWeight}% of {grade.totalWeight}% of the grade scored so far.
+          </p>
+        </div>
+        <div className="text-right">
+          <span className="text-3xl font-bold text-slate-900">{grade.current === null ? '–' : formatPercent(grade.current)}</span>
+          {grade.current !== null && <span className="ml-2 text-lg font-semibold text-indigo-600">{letterGrade(grade.current)}</span>}
+        </div>
+      </div>
+
+      {grade.byCategory.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {grade.byCategory.map(c => (
+            <span key={c.category} className="text-xs font-medium text-slate-600 bg-slate-100 px-2 py-1 rounded-lg">
+              {GRADE_CATEGORIES[c.category]}: {formatPercent(c.current)} ({c.weight}% of grade)
+            </span>
+          ))}
+        </div>
+      )}
+
+      {target ? (
+        <div className="p-4 rounded-xl bg-slate-50 border border-slate-100 text-sm text-slate-600 space-y-3">
+          <p className="font-bold text-slate-700 flex items-center gap-2"><Calculator size={14} /> What if</p>
+          <div className="flex flex-wrap items-center gap-2">
+            To finish with {numberInput(goal, setGoal)} %, what do I need on
+            <select
+              value={target.id}
+              onChange={(e) => setTargetId(e.target.value)}
+              className="p-1.5 bg-white border border-slate-200 rounded-lg text-slate-700 max-w-[14rem] focus:outline-none focus:border-indigo-300"
+            >
+              {grade.remaining.map(t => <option key={t.id} value={t.id}>{t.text} ({t.weight}%)</option>)}
+            </select>
+            ?
+          </div>
+          {others > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              assuming {numberInput(assumedPercent, setAssumed)} % on the other {others} open assignment{others === 1 ? '' : 's'}
+            </div>
+          )}
+          <p className={`text-base font-semibold ${needed > 1 ? 'text-red-600' : needed <= 0 ? 'text-emerald-600' : 'text-slate-900'}`}>
+            {needed > 1
+              ? `Out of reach: it would take ${formatPercent(needed)}.`
+              : needed <= 0
+                ? 'Already secured, whatever the score.'
+                : `You need ${formatPercent(needed)} (${letterGrade(needed)}).`}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-400">Every weighted assignment has a score. Add weights to upcoming work to plan ahead.</p>
+      )}
+    </div>
+  );
+};
+
+const formatLeadTime = (ms) => {
+  if (ms === null) return '–';
+  const hours = ms / (60 * MINUTE_MS);
+  return hours < 48 ? `${Math.round(hours)}h` : `${(hours / 24).toFixed(1)} days`;
+};
+
+const AnalyticsDashboard = ({ tasks, planner }) => {
+  const [unit, setUnit] = useState('day');
+  const stats = useMemo(() => completionStats(tasks), [tasks]);
+  const forecast = useMemo(() => workloadForecast(tasks, { hours: planner.hours }), [tasks, planner.hours]);
+
+  const series = unit === 'day' ? stats.daily : stats.weekly;
+  const maxCount = Math.max(...series.map(b => b.count), 1);
+  const maxLoad = Math.max(...forecast.days.map(d => d.minutes), 1);
+  const today = startOfDay(new Date());
+
+  const card = (label, value, detail) => (
+    <div className="bg-white p-4 rounded-2xl border border-slate-100 shadow-sm">
+      <p className="text-xs font-bold text-slate-400 uppercase tracking-wider">{label}</p>
+      <p className="mt-1 text-2xl font-extrabold text-slate-900">{value}</p>
+      {detail && <p className="text-xs text-slate-500 mt-0.5">{detail}</p>}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6 mb-8">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {card(
+          <span className="flex items-center gap-1"><Flame size={12} className="text-orange-500" /> Streak</span>,
+          `${stats.streak} day${stats.streak === 1 ? '' : 's'}`,
+          `Best: ${stats.bestStreak}`
+        )}
+        {card(
+          'On time',
+          stats.onTimeRate === null ? '–' : `${Math.round(stats.onTimeRate * 100)}%`,
+          `${stats.onTime} on time · ${stats.late} late`
+        )}
+        {card('Lead time', formatLeadTime(stats.averageLeadMs), 'Average from added to done')}
+        {card('This week', stats.weekly[stats.weekly.length - 1].count, 'Tasks completed')}
+      </div>
+
+      <div className="bg-white p-4 rounded-2xl border border-slate-200 shadow-sm">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-bold text-slate-700">Completions</h3>
+          <div className="flex gap-1">
+            {[['day', 'Daily'], ['week', 'Weekly']].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setUnit(key)}
+                className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors ${unit === key ? 'bg-slate-900 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-end gap-1 h-28">
+          {series.map(b => (
+            <div key={b.start.getTime()} title={`${b.count} completed`} className="flex-1 h-full flex flex-col justify-end">
+              <div className="w-full bg-emerald-400 rounded-t" style={{ height: `${(b.count / maxCount) * 100}%`, minHeight: b.count ? 4 : 0 }} />
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-1 mt-1">
+          {series.map((b, i) => (
+            <span key={b.start.getTime()} className="flex-1 text-center text-[9px] text-slate-400">
+              {unit === 'day'
+                ? (i % 2 === series.length % 2 ? '' : b.start.toLocaleDateString([], { day: 'numeric', month: 'numeric' }))
+                : b.start.toLocaleDateString([], { month: 'short', day: 'numeric' })}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white p-4 rounded-2xl border border-slate-200 shadow-sm">
+        <h3 className="font-bold text-slate-700">Workload ahead</h3>
+        <p className="text-xs text-slate-500 mb-3">
+          Estimated work by due date. Weeks with more than your {formatDuration(forecast.capacity) || '0m'} of study time are crunch weeks.
+        </p>
+        <div className="space-y-3">
+          {forecast.weekly.map((week, w) => (
+            <div key={week.start.getTime()} className={`p-2 rounded-xl ${week.crunch ? 'bg-red-50 ring-1 ring-red-200' : ''}`}>
+              <div className="flex justify-between text-xs mb-1">
+                <span className="font-bold text-slate-500">
+                  Week of {week.start.toLocaleDateString([], { month: 'short', day: 'numeric' })}
+                  {week.crunch && <span className="ml-2 text-red-600 uppercase tracking-wide">Crunch week</span>}
+                </span>
+                <span className="text-slate-400">{week.count} due · {formatDuration(week.minutes) || '0m'}</span>
+              </div>
+              <div className="flex items-end gap-1 h-12">
+                {forecast.days.slice(w * 7, w * 7 + 7).map(day => (
+                  <div
+                    key={day.start.getTime()}
+                    title={`${day.start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}: ${day.count} due, ${formatDuration(day.minutes) || '0m'}`}
+                    className={`flex-1 h-full flex flex-col justify-end ${day.start < today ? 'opacity-40' : ''}`}
+                  >
+                    <div
+                      className={`w-full rounded-t ${week.crunch ? 'bg-red-400' : 'bg-indigo-300'}`}
+                      style={{ height: `${(day.minutes / maxLoad) * 100}%`, minHeight: day.count ? 3 : 0 }}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const PlanPanel = ({ plan, tasks, planner, onReplan, onChangeBlock, onAccept, onDiscard, onExplain }) => {
+  // Hours are edited here and only used once Re-plan is pressed, since a new
+  // draft replaces the blocks and any changes made to them
+  const [options, setOptions] = useState(planner);
+  const [explanation, setExplanation] = useState(null);
+  const [explainError, setExplainError] = useState(null);
+  const [isExplaining, setIsExplaining] = useState(false);
+
+  const taskText = (id) => tasks.find(t => t.id === id)?.text || 'Deleted task';
+  const total = plan.blocks.reduce((sum, b) => sum + b.minutes, 0);
+  const days = [...new Set(plan.blocks.map(b => b.start.slice(0, 10)))].sort();
+
+  const explain = async () => {
+    setIsExplaining(true);
+    setExplainError(null);
+    try {
+      setExplanation(await onExplain());
+    } catch (error) {
+      setExplainError(error.message);
+    }
+    setIsExplaining(false);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-indigo-200 mb-6 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <CalendarClock size={18} className="text-indigo-500" />
+            Study plan
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">
+            {plan.blocks.length} blocks, {formatDuration(total) || 'no time'} in total. Drag blocks in the week view or edit them below.
+          </p>
+        </div>
+        <button onClick={onDiscard} aria-label="Discard plan" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="mb-4">
+        <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Available hours</p>
+        <div className="flex flex-wrap items-end gap-2 text-sm text-slate-600">
+          {WEEKDAY_NAMES.map((name, i) => (
+            <label key={name} className="flex flex-col items-center gap-1 text-xs">
+              {name}
+              <input
+                type="number"
+                min="0"
+                max="16"
+                step="0.5"
+                value={options.hours[i]}
+                onChange={(e) => {
+                  const hours = [...options.hours];
+                  hours[i] = Math.max(0, Math.min(16, parseFloat(e.target.value) || 0));
+                  setOptions({ ...options, hours });
+                }}
+                className="w-14 p-1.5 bg-white border border-slate-200 rounded-lg text-center focus:outline-none focus:border-indigo-300"
+              />
+            </label>
+          ))}
+          <label className="flex flex-col gap-1 text-xs ml-2">
+            Starting at
+            <input
+              type="time"
+              value={options.startTime}
+              onChange={(e) => e.target.value && setOptions({ ...options, startTime: e.target.value })}
+              className="p-1.5 bg-white border border-slate-200 rounded-lg focus:outline-none focus:border-indigo-300"
+            />
+          </label>
+          <button
+            onClick={() => onReplan(options)}
+            disabled={JSON.stringify(options) === JSON.stringify(planner)}
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-indigo-200 text-xs font-medium text-indigo-600 hover:bg-indigo-50 transition-colors disabled:opacity-40"
+          >
+            <RefreshCw size={12} /> Re-plan
+          </button>
+        </div>
+        {plan.edited && JSON.stringify(options) !== JSON.stringify(planner) && (
+          <p className="mt-2 text-xs text-amber-700">Re-planning replaces the changes you made to the blocks below.</p>
+        )}
+      </div>
+
+      {plan.unscheduled.length > 0 && (
+        <div className="mb-4 p-3 rounded-xl bg-red-50 border border-red-100 text-sm text-red-800">
+          <p className="font-medium mb-1">Not enough time before these deadlines:</p>
+          <ul className="list-disc pl-5">
+            {plan.unscheduled.map(u => (
+              <li key={u.taskId}>{taskText(u.taskId)}: {formatDuration(u.minutes)} short</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {plan.assumed.length > 0 && (
+        <p className="mb-4 text-xs text-slate-500">
+          {plan.assumed.length} task{plan.assumed.length === 1 ? ' has' : 's have'} no estimate and {plan.assumed.length === 1 ? 'was' : 'were'} planned as {formatDuration(DEFAULT_ESTIMATE)}.
+        </p>
+      )}
+
+      <div className="space-y-3 max-h-72 overflow-y-auto mb-4">
+        {days.map(day => (
+          <div key={day}>
+            <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-1">
+              {new Date(`${day}T00:00`).toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })}
+            </p>
+            {plan.blocks.filter(b => b.start.startsWith(day)).map(b => (
+              <div key={b.key} className="flex items-center gap-2 py-1 text-sm">
+                <input
+                  type="datetime-local"
+                  value={b.start}
+                  onChange={(e) => e.target.value && onChangeBlock(b.key, { start: e.target.value })}
+                  className="p-1 text-xs bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300"
+                />
+                <input
+                  type="number"
+                  min={MIN_BLOCK}
+                  step={PLAN_STEP}
+                  value={b.minutes}
+                  onChange={(e) => {
+                    const minutes = parseInt(e.target.value, 10);
+                    if (minutes > 0) onChangeBlock(b.key, { minutes });
+                  }}
+                  title="Minutes"
+                  className="w-16 p-1 text-xs bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300"
+                />
+                <span className="flex-grow min-w-0 truncate text-slate-700">{taskText(b.taskId)}</span>
+                <button onClick={() => onChangeBlock(b.key, null)} title="Remove block" className="p-1 text-slate-400 hover:text-red-500">
+                  <X size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+        ))}
+        {plan.blocks.length === 0 && (
+          <p className="text-sm text-slate-400">Nothing to plan: no open tasks with due dates ahead, or no study hours set.</p>
+        )}
+      </div>
+
+      {explanation && (
+        <div className="mb-4 p-3 rounded-xl bg-indigo-50 border border-indigo-100 text-sm text-indigo-900">
+          <p>{explanation.summary}</p>
+          {explanation.tips?.length > 0 && (
+            <ul className="list-disc pl-5 mt-2 space-y-0.5">
+              {explanation.tips.map((tip, i) => <li key={i}>{tip}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+      {explainError && <p className="mb-4 text-sm text-red-600">{explainError}</p>}
+
+      <div className="flex flex-wrap justify-end gap-2">
+        <button
+          onClick={explain}
+          disabled={isExplaining || plan.blocks.length === 0}
+          className="flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium text-indigo-600 hover:bg-indigo-50 transition-colors disabled:opacity-40"
+        >
+          {isExplaining ? <Loader2 size={14} className="animate-spin" /> : <Sparkles size={14} />}
+          Explain with AI
+        </button>
+        <button onClick={onDiscard} className="px-4 py-2 rounded-xl text-sm font-medium text-slate-600 hover:bg-slate-100 transition-colors">
+          Discard
+        </button>
+        <button
+          onClick={onAccept}
+          className="px-4 py-2 rounded-xl text-sm font-medium bg-indigo-600 text-white hover:bg-indigo-700 transition-colors"
+        >
+          Accept plan
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Ctrl+K: fuzzy search over commands and tasks. Items are
+// { key, label, hint, icon, run }; an empty query lists the commands.
+const CommandPalette = ({ commands, tasks, onClose }) => {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const activeRef = useRef(null);
+
+  const results = useMemo(() => {
+    if (!query.trim()) return commands;
+    return [...commands, ...tasks]
+      .map(item => ({ item, score: fuzzyScore(query, item.label) }))
+      .filter(r => r.score !== null)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 30)
+      .map(r => r.item);
+  }, [query, commands, tasks]);
+
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const run = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive(i => results.length ? (i + step + results.length) % results.length : 0);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[active]) run(results[active]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center pt-[15vh] px-4 bg-slate-900/30" onMouseDown={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        className="w-full max-w-lg bg-white rounded-2xl shadow-2xl border border-slate-200 overflow-hidden"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-2 px-4 border-b border-slate-100">
+          <Search size={16} className="text-slate-400" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setActive(0); }}
+            onKeyDown={handleKeyDown}
+            placeholder="Type a command or search tasks"
+            role="combobox"
+            aria-expanded={results.length > 0}
+            aria-controls="command-palette-results"
+            aria-activedescendant={results[active] ? `command-${results[active].key}` : undefined}
+            aria-label="Command or task"
+            autoFocus
+            className="flex-grow py-3 text-sm border-0 focus:ring-0 focus:outline-none text-slate-700 placeholder:text-slate-400"
+          />
+          <kbd className="text-[10px] font-semibold text-slate-400 border border-slate-200 rounded px-1.5 py-0.5">Esc</kbd>
+        </div>
+        {results.length === 0 ? (
+          <p role="status" className="px-4 py-6 text-sm text-center text-slate-400">Nothing matches "{query}".</p>
+        ) : (
+          <ul id="command-palette-results" role="listbox" className="max-h-80 overflow-y-auto py-2">
+            {results.map((item, i) => (
+              // Focus stays in the input, so the options themselves take the clicks
+              <li
+                key={item.key}
+                id={`command-${item.key}`}
+                ref={i === active ? activeRef : null}
+                role="option"
+                aria-selected={i === active}
+                onClick={() => run(item)}
+                onMouseMove={() => setActive(i)}
+                className={`flex items-center gap-3 px-4 py-2 text-sm cursor-pointer transition-colors ${i === active ? 'bg-indigo-50 text-indigo-900' : 'text-slate-700'}`}
+              >
+                <span className="flex-shrink-0 text-slate-400">{item.icon}</span>
+                <span className="flex-grow min-w-0 truncate">{item.label}</span>
+                {item.hint && <span className="flex-shrink-0 text-xs text-slate-400">{item.hint}</span>}
+                {i === active && <CornerDownLeft size={12} className="flex-shrink-0 text-indigo-400" />}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Every shortcut with its keys. Clicking a key waits for the next key press
+// to rebind it; a key already in use swaps over to the old binding.
+const ShortcutHelp = ({ keys, customized, onRebind, onReset, onClose }) => {
+  const [recording, setRecording] = useState(null);
+
+  // Listens ahead of the app's own shortcuts so the key only rebinds
+  useEffect(() => {
+    if (!recording) return;
+    const handleKeyDown = (e) => {
+      const combo = keyComboOf(e);
+      if (!combo) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (combo !== 'escape') onRebind(recording, combo);
+      setRecording(null);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recording]);
+
+  const kbdClass = "text-xs font-semibold border rounded px-1.5 py-0.5 whitespace-nowrap";
+
+  return (
+    <div className="bg-white p-6 rounded-2xl border border-slate-200 mb-8 shadow-sm">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <Keyboard size={18} className="text-indigo-500" />
+            Keyboard Shortcuts
+          </h3>
+          <p className="text-sm text-slate-500 mt-1">Press j and k to highlight a task, then act on it. Click a key to change it.</p>
+        </div>
+        <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-slate-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      <ul className="grid sm:grid-cols-2 gap-x-6 gap-y-2">
+        {SHORTCUTS.map(s => (
+          <li key={s.id} className="flex items-center justify-between gap-2 text-sm text-slate-600">
+            {s.label}
+            <button
+              onClick={() => setRecording(recording === s.id ? null : s.id)}
+              title="Change"
+              aria-label={recording === s.id ? `Press a key for ${s.label}` : `${s.label}: ${formatCombo(keys[s.id])}. Change`}
+              className={`${kbdClass} transition-colors ${recording === s.id ? 'bg-indigo-50 border-indigo-300 text-indigo-600' : 'bg-slate-100 border-slate-200 text-slate-600 hover:border-indigo-300'}`}
+            >
+              {recording === s.id ? 'Press a key…' : formatCombo(keys[s.id])}
+            </button>
+          </li>
+        ))}
+        {FIXED_SHORTCUTS.map(s => (
+          <li key={s.label} className="flex items-center justify-between gap-2 text-sm text-slate-600">
+            {s.label}
+            <kbd className={`${kbdClass} bg-slate-100 border-slate-200 text-slate-600`}>{formatCombo(s.keys)}</kbd>
+          </li>
+        ))}
+      </ul>
+
+      {customized && (
+        <button onClick={onReset} className="mt-4 text-xs text-indigo-600 hover:underline">
+          Reset to defaults
+        </button>
+      )}
+    </div>
+  );
+};
+
+// --- Main App Component ---
+
+// Exported for the accessibility tests in tests/a11y and the unit tests in tests/unit
+export { TaskItem, CalendarWidget, CommandPalette, BrainDump, BackupPanel, completionStats, workloadForecast, planStudyBlocks };
+
+export default function App() {
+  const [user, setUser] = useState(null);
+  const [taskRecords, setTaskRecords] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [presence, setPresence] = useState({});
+  const [listFilter, setListFilter] = useState(null);
+  const [showLists, setShowLists] = useState(false);
+  const [invite, setInvite] = useState(() => parseInviteLink(window.location.search));
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showBrainDump, setShowBrainDump] = useState(false);
+  const [quickInput, setQuickInput] = useState("");
+  const [quickDate, setQuickDate] = useState("");
+  const [quickCourse, setQuickCourse] = useState(null);
+  const [quickRecurrence, setQuickRecurrence] = useState(null);
+  const [showQuickRecurrence, setShowQuickRecurrence] = useState(false);
+  const [showCourses, setShowCourses] = useState(false);
+  const [courseFilter, setCourseFilter] = useState(null);
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [showFilters, setShowFilters] = useState(false);
+  const [savedFilters, setSavedFilters] = useState([]);
+  const [view, setView] = useState("all");
+  const [time, setTime] = useState(new Date());
+  const [selectedCalendarDate, setSelectedCalendarDate] = useState(null);
+  const [settings, setSettings] = useState({
+    autoCompleteParent: false,
+    defaultReminders: [60],
+    dailyDigest: { enabled: false, time: '08:00' }
+  });
+  const [showReminderSettings, setShowReminderSettings] = useState(false);
+  // Bumped to rebuild the reminder schedule as time moves on
+  const [reminderClock, setReminderClock] = useState(0);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showAISettings, setShowAISettings] = useState(false);
+  const [showAccount, setShowAccount] = useState(false);
+  // Guest tasks still to be written into the account signed into, see runMerge
+  const [pendingMerge, setPendingMerge] = useState(null);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [pendingIds, setPendingIds] = useState([]);
+  const [failedWrites, setFailedWrites] = useState([]);
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [toast, setToast] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropSlot, setDropSlot] = useState(null);
+  const [notificationPermission, setNotificationPermission] = useState(
+    typeof Notification !== 'undefined' ? Notification.permission : 'unsupported'
+  );
+  const [swRegistration, setSwRegistration] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [showTimeReport, setShowTimeReport] = useState(false);
+  const [dismissedBreakId, setDismissedBreakId] = useState(null);
+  const [studyBlocks, setStudyBlocks] = useState([]);
+  const [planDraft, setPlanDraft] = useState(null);
+  const [activity, setActivity] = useState([]);
+  const [showActivity, setShowActivity] = useState(false);
+  const [scorePromptId, setScorePromptId] = useState(null);
+  const [focusedId, setFocusedId] = useState(null);
+  const [taskCommand, setTaskCommand] = useState(null);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [quickFocus, setQuickFocus] = useState(0);
+  const [announcement, setAnnouncement] = useState("");
+  const advancingSessions = useRef(new Set());
+  const quickInputRef = useRef(null);
+
+  // Clock
+  useEffect(() => {
+    const timer = setInterval(() => setTime(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const repo = useMemo(() => user ? createRepository(userRoot(user.uid)) : null, [user]);
+
+  // Shared lists and their tasks are Firestore only
+  const appRepo = useMemo(() => user && !user.isLocal ? createRepository(appRoot()) : null, [user]);
+  const listIds = lists.map(l => l.id).join(',');
+  const listRepos = useMemo(
+    () => Object.fromEntries(lists.map(l => [l.id, createRepository(listRoot(l.id))])),
+    [listIds]
+  );
+
+  // 1. Auth Setup
+  useEffect(() => {
+    if (!auth) {
+      setUser(LOCAL_USER);
+      return;
+    }
+
+    const initAuth = async () => {
+      if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
+        await signInWithCustomToken(auth, __initial_auth_token);
+      } else {
+        await signInAnonymously(auth);
+      }
+    };
+    initAuth();
+    
+    const unsubscribe = onAuthStateChanged(auth, (u) => {
+      setUser(u);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // 2. Data Fetching
+  // Personal tasks and every shared list's tasks, merged into one list. Shared
+  // tasks are tagged with their listId so writes can be routed back to it.
+  useEffect(() => {
+    if (!repo) return;
+
+    const sources = {};
+    const publish = () => {
+      const all = Object.values(sources);
+      setTaskRecords(all.flatMap(s => s.tasks));
+      setPendingIds(all.flatMap(s => s.pendingIds));
+    };
+    const watchTasks = (source, listId) => source.subscribe('tasks', { order: ['createdAt', 'desc'] }, (loadedTasks, { pendingIds }) => {
+      sources[listId || ''] = { tasks: listId ? loadedTasks.map(t => ({ ...t, listId })) : loadedTasks, pendingIds };
+      publish();
+      if (!listId) setLoading(false);
+    }, (error) => {
+      console.error(listId ? `Error fetching tasks of list ${listId}:` : "Error fetching tasks:", error);
+      if (!listId) setLoading(false);
+    });
+
+    const unsubscribers = [watchTasks(repo), ...Object.entries(listRepos).map(([listId, source]) => watchTasks(source, listId))];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [repo, listRepos]);
+
+  // Deleted tasks stay in the Trash until purged; everything else only sees the rest
+  const tasks = useMemo(() => taskRecords.filter(t => !t.deletedAt), [taskRecords]);
+  const trashedTasks = useMemo(() => taskRecords.filter(t => t.deletedAt), [taskRecords]);
+
+  // The latest records, for async work and listeners that outlive a render
+  const taskRecordsRef = useRef(taskRecords);
+  taskRecordsRef.current = taskRecords;
+
+  // Recent activity across personal and shared tasks
+  useEffect(() => {
+    if (!repo) return;
+
+    const sources = {};
+    const watchActivity = (source, listId) => source.subscribe('history', { order: ['at', 'desc'], limit: ACTIVITY_LIMIT }, (entries) => {
+      sources[listId || ''] = entries;
+      setActivity(Object.values(sources).flat()
+        .sort((a, b) => (toDateValue(b.at) || 0) - (toDateValue(a.at) || 0))
+        .slice(0, ACTIVITY_LIMIT));
+    }, (error) => {
+      console.error("Error fetching activity:", error);
+    });
+
+    const unsubscribers = [watchActivity(repo), ...Object.entries(listRepos).map(([listId, source]) => watchActivity(source, listId))];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [repo, listRepos]);
+
+  useEffect(() => {
+    if (!appRepo) {
+      setLists([]);
+      return;
+    }
+
+    const unsubscribe = appRepo.subscribe('lists', { where: [`members.${user.uid}`, 'in', LIST_ROLES] }, setLists, (error) => {
+      console.error("Error fetching shared lists:", error);
+    });
+
+    return () => unsubscribe();
+  }, [appRepo]);
+
+  // Presence: who else has each shared list open, and what they're timing
+  useEffect(() => {
+    const entries = Object.entries(listRepos);
+    if (entries.length === 0) return;
+
+    const unsubscribers = entries.map(([listId, source]) => source.subscribe('presence', {}, (records) => {
+      setPresence(prev => ({ ...prev, [listId]: records.filter(r => r.id !== user.uid) }));
+    }, (error) => {
+      console.error(`Error fetching presence of list ${listId}:`, error);
+    }));
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [listRepos]);
+
+  useEffect(() => {
+    if (!repo) return;
+
+    const unsubscribe = repo.subscribe('courses', { order: ['createdAt', 'asc'] }, setCourses, (error) => {
+      console.error("Error fetching courses:", error);
+    });
+
+    return () => unsubscribe();
+  }, [repo]);
+
+  useEffect(() => {
+    if (!repo) return;
+
+    const unsubscribe = repo.subscribe('filters', { order: ['createdAt', 'asc'] }, setSavedFilters, (error) => {
+      console.error("Error fetching saved filters:", error);
+    });
+
+    return () => unsubscribe();
+  }, [repo]);
+
+  useEffect(() => {
+    if (!repo) return;
+
+    const unsubscribe = repo.subscribe('sessions', { order: ['startedAt', 'asc'] }, setSessions, (error) => {
+      console.error("Error fetching focus sessions:", error);
+    });
+
+    return () => unsubscribe();
+  }, [repo]);
+
+  useEffect(() => {
+    if (!repo) return;
+
+    const unsubscribe = repo.subscribe('blocks', { order: ['start', 'asc'] }, setStudyBlocks, (error) => {
+      console.error("Error fetching study blocks:", error);
+    });
+
+    return () => unsubscribe();
+  }, [repo]);
+
+  // Focus timer state is derived from the session log
+  const focus = useMemo(() => ({ ...FOCUS_DEFAULTS, ...settings.focus }), [settings.focus]);
+  const activeSession = useMemo(() => [...sessions].reverse().find(s => !s.endedAt) || null, [sessions]);
+  const timingId = activeSession?.kind === 'focus' ? activeSession.taskId : null;
+  const timeSpent = useMemo(() => timeSpentByTask(sessions, time.getTime()), [sessions, time]);
+
+  // A pomodoro break that ended in the last hour offers the next round
+  const lastSession = sessions[sessions.length - 1];
+  const lastBreak = !activeSession && lastSession?.kind === 'break' && lastSession.id !== dismissedBreakId
+    && time.getTime() - new Date(lastSession.endedAt).getTime() < 60 * MINUTE_MS
+    ? lastSession
+    : null;
+
+  // Heartbeat for the presence of others: refreshed while this tab is visible,
+  // and straight away when the task being timed changes
+  const timingListId = tasks.find(t => t.id === timingId)?.listId || null;
+
+  useEffect(() => {
+    const entries = Object.entries(listRepos);
+    if (entries.length === 0) return;
+
+    const beat = () => {
+      if (document.visibilityState !== 'visible') return;
+      for (const [listId, source] of entries) {
+        source.set('presence', user.uid, {
+          name: memberName(user),
+          lastSeen: source.timestamp(),
+          taskId: listId === timingListId ? timingId : null
+        }).catch(error => console.error(`Presence update failed for list ${listId}:`, error));
+      }
+    };
+    beat();
+    const timer = setInterval(beat, PRESENCE_INTERVAL);
+    document.addEventListener('visibilitychange', beat);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', beat);
+    };
+  }, [listRepos, timingId, timingListId]);
+
+  // Invite links: look the invite up so the banner can say what it's for
+  useEffect(() => {
+    if (!invite || invite.record || invite.error || !user) return;
+    if (user.isLocal) {
+      setInvite({ ...invite, error: "Shared lists need the cloud backend, so this invite can't be used here." });
+      return;
+    }
+
+    const source = createRepository(listRoot(invite.listId));
+    const unsubscribe = source.watch('invites', invite.token, (record) => {
+      const expired = record && toDateValue(record.expiresAt) < new Date();
+      setInvite(prev => prev && (record && !expired
+        ? { ...prev, record }
+        : { ...prev, error: 'This invite link has expired or was withdrawn. Ask the list owner for a new one.' }));
+    }, (error) => {
+      console.error("Error fetching invite:", error);
+      setInvite(prev => prev && { ...prev, error: "This invite link couldn't be opened." });
+    });
+
+    return () => unsubscribe();
+  }, [invite, user]);
+
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  // User preferences
+  useEffect(() => {
+    if (!repo) return;
+
+    const unsubscribe = repo.watch('settings', 'preferences', (preferences) => {
+      if (preferences) {
+        setSettings(prev => ({ ...prev, ...preferences }));
+      }
+    }, (error) => {
+      console.error("Error fetching settings:", error);
+    });
+
+    return () => unsubscribe();
+  }, [repo]);
+
+  // Reminders: register the service worker and accept snoozes from its notifications
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js')
+      .then(() => navigator.serviceWorker.ready)
+      .then(setSwRegistration)
+      .catch(error => console.error("Service worker registration failed:", error));
+  }, []);
+
+  // The listener stays registered across renders, so it reaches this render's
+  // routeOps and taskRecords through a ref instead of the ones it closed over
+  const snoozeReminder = useRef(null);
+  snoozeReminder.current = (taskId, until) => {
+    commit("Snooze reminder", [{ type: 'update', path: 'tasks', id: taskId, data: { snoozedUntil: until } }], { taskId, undoable: false });
+  };
+
+  useEffect(() => {
+    if (!repo || !('serviceWorker' in navigator)) return;
+
+    const handleMessage = (event) => {
+      if (event.data?.type !== 'snooze') return;
+      snoozeReminder.current(event.data.taskId, event.data.until);
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [repo]);
+
+  useEffect(() => {
+    if (notificationPermission !== 'granted') return;
+    const timerTask = tasks.find(t => t.id === activeSession?.taskId);
+    const reminders = [...buildReminders(tasks, settings), ...timerReminders(activeSession, timerTask?.text || 'your task')];
+    const refresh = setTimeout(() => setReminderClock(c => c + 1), nextReminderRefresh(tasks, settings) - Date.now());
+
+    // With Notification Triggers the worker hands the whole schedule to the
+    // browser, which fires it even after every tab is closed
+    const worker = swRegistration?.active;
+    if (worker && typeof window.TimestampTrigger !== 'undefined') {
+      worker.postMessage({ type: 'schedule', reminders });
+      return () => clearTimeout(refresh);
+    }
+
+    // Otherwise this page fires them while it stays open. A service worker's
+    // timers don't last: the browser stops it soon after it goes idle.
+    const show = (r) => {
+      if (swRegistration) {
+        swRegistration.showNotification(r.title, reminderNotification(r))
+          .catch(error => console.error("Error showing reminder:", error));
+        return;
+      }
+      try {
+        new Notification(r.title, { body: r.body, tag: r.id });
+      } catch (error) {
+        console.error("Error showing reminder:", error);
+      }
+    };
+    const timers = reminders.map(r => setTimeout(() => show(r), r.at - Date.now()));
+    return () => {
+      timers.forEach(clearTimeout);
+      clearTimeout(refresh);
+    };
+  }, [tasks, settings, notificationPermission, swRegistration, activeSession, reminderClock]);
+
+  // Close pomodoro phases as they run out, including ones that ended while
+  // the app was closed
+  useEffect(() => {
+    if (!repo || !activeSession || advancingSessions.current.has(activeSession.id)) return;
+    const ops = advanceSessionOps(activeSession, sessions, focus, time.getTime());
+    if (ops.length === 0) return;
+    advancingSessions.current.add(activeSession.id);
+    trackWrite("Finish focus phase", () => repo.batch(ops));
+  }, [time, activeSession]);
+
+  // Undo history belongs to one signed-in user's data
+  useEffect(() => {
+    setHistory({ past: [], future: [] });
+    setToast(null);
+  }, [repo]);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // Drop selected tasks that were deleted, here or elsewhere
+  useEffect(() => {
+    setSelectedIds(prev => {
+      const next = prev.filter(id => tasks.some(t => t.id === id));
+      return next.length === prev.length ? prev : next;
+    });
+  }, [tasks]);
+
+  const requestNotificationPermission = async () => {
+    const permission = await Notification.requestPermission();
+    setNotificationPermission(permission);
+  };
+
+  // 3. Operations
+  // Firestore applies writes to the local cache (and our snapshot listeners) at
+  // once, but only resolves them when the server confirms, which never happens
+  // while offline. So writes are fired without waiting; a write the server
+  // rejects is kept for retry. Concurrent edits from two devices resolve field
+  // by field, last write wins, since updates only send the fields that
+  // changed. An edit to a task deleted elsewhere is dropped, together with the
+  // rest of its batch: delete wins.
+  const trackWrite = (label, run, taskId = null) => {
+    const attempt = () => run().catch(error => {
+      if (error.code === 'not-found') return;
+      console.error(`Write failed (${label}):`, error);
+      setFailedWrites(prev => [...prev, { id: generateId(), label, taskId, retry: attempt }]);
+    });
+    attempt();
+  };
+
+  const retryFailedWrites = () => {
+    const writes = failedWrites;
+    setFailedWrites([]);
+    writes.forEach(w => w.retry());
+  };
+
+  const dismissFailedWrite = (id) => {
+    setFailedWrites(prev => prev.filter(w => w.id !== id));
+  };
+
+  // Undo history: every task change is committed as one batch of ops, and the
+  // entry keeps both the ops that reapply it and the ops that restore each
+  // touched record as it was before.
+  const HISTORY_LIMIT = 50;
+
+  const inverseOps = (ops) => {
+    const seen = new Set();
+    const inverse = [];
+    for (const op of ops) {
+      const key = `${op.path}/${op.id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const before = ({ tasks: taskRecords, courses, blocks: studyBlocks }[op.path] || []).find(r => r.id === op.id);
+      const root = op.root ? { root: op.root } : {};
+      if (before) {
+        const data = { ...before };
+        delete data.id;
+        inverse.push({ type: 'set', path: op.path, id: op.id, data, ...root });
+      } else {
+        inverse.push({ type: 'remove', path: op.path, id: op.id, ...root });
+      }
+    }
+    return inverse;
+  };
+
+  // Tasks of a shared list are written to that list, not the personal folder.
+  // New tasks name their list in data.listId; existing ones are looked up.
+  const routeOps = (ops) => ops.map(op => {
+    if (op.path !== 'tasks' || op.root) return op;
+    const listId = op.data?.listId || taskRecords.find(t => t.id === op.id)?.listId;
+    return listId ? { ...op, root: listRoot(listId) } : op;
+  });
+
+  // Appends a history entry for each task op, stored next to the task. Writes
+  // into another account name its repository, its task records and its user.
+  const withHistory = (ops, { target = repo, records = taskRecords, actor = user } = {}) => [
+    ...ops,
+    ...ops.filter(op => op.path === 'tasks').flatMap(op => {
+      const entry = historyEntry(op, records.find(t => t.id === op.id));
+      if (!entry) return [];
+      return [{
+        type: 'set',
+        path: 'history',
+        id: target.newId('history'),
+        data: { ...entry, actor: actor.uid, actorName: memberName(actor), at: target.timestamp() },
+        ...(op.root ? { root: op.root } : {})
+      }];
+    })
+  ];
+
+  const asSeenByMe = (entry) => entry.actor === user.uid ? { ...entry, actorName: 'You' } : entry;
+
+  // A task's history, oldest first, from wherever the task lives
+  const watchTaskHistory = (taskId, onChange) => {
+    const listId = taskRecords.find(t => t.id === taskId)?.listId;
+    const source = listId ? listRepos[listId] : repo;
+    if (!source) return () => {};
+    return source.subscribe('history', { where: ['taskId', '==', taskId] }, (entries) => {
+      onChange(entries
+        .map(asSeenByMe)
+        .sort((a, b) => (toDateValue(a.at) || 0) - (toDateValue(b.at) || 0)));
+    }, (error) => {
+      console.error("Error fetching task history:", error);
+    });
+  };
+
+  // onWritten runs once the batch is stored, for side effects that can't be undone
+  const commit = (label, ops, { taskId = null, undoable = true, undoToast = false, onWritten } = {}) => {
+    if (!repo || ops.length === 0) return;
+    const routed = routeOps(ops);
+    const writes = withHistory(routed);
+    // One change is one batch, so it's refused rather than half written
+    if (writes.length > BATCH_LIMIT) {
+      const message = `${label}: too many changes at once. Select fewer tasks and try again.`;
+      setToast({ id: generateId(), label: message });
+      announce(message);
+      return;
+    }
+    if (undoable) {
+      const entry = { id: generateId(), label, undo: inverseOps(routed), redo: routed };
+      setHistory(prev => ({ past: [...prev.past, entry].slice(-HISTORY_LIMIT), future: [] }));
+      if (undoToast) setToast(entry);
+    }
+    trackWrite(label, () => repo.batch(writes).then(onWritten), taskId);
+  };
+
+  // Read out by screen readers through the polite live region. A repeat of the
+  // same message still has to change the text to be announced again.
+  const announce = (message) => setAnnouncement(prev => prev === message ? `${message}\u00a0` : message);
+
+  const undoEntry = (entry) => {
+    if (!repo || !entry) return;
+    setHistory(prev => ({ past: prev.past.filter(e => e !== entry), future: [entry, ...prev.future] }));
+    setToast(null);
+    trackWrite(`Undo: ${entry.label}`, () => repo.batch(withHistory(entry.undo)));
+    announce(`Undid: ${entry.label}`);
+  };
+
+  const undo = () => undoEntry(history.past[history.past.length - 1]);
+
+  const redo = () => {
+    const entry = history.future[0];
+    if (!repo || !entry) return;
+    setHistory(prev => ({ past: [...prev.past, entry], future: prev.future.slice(1) }));
+    trackWrite(`Redo: ${entry.label}`, () => repo.batch(withHistory(entry.redo)));
+    announce(`Redid: ${entry.label}`);
+  };
+
+  // `at` backdates the task, which batches use to keep their items in order.
+  // Subtasks go to their parent's shared list, if it has one.
+  const newTaskOp = (text, priority = 'medium', dueDate = null, extra = {}, at = null) => {
+    const listId = extra.listId || tasks.find(t => t.id === extra.parentId)?.listId;
+    return {
+      type: 'set',
+      path: 'tasks',
+      id: repo.newId('tasks'),
+      data: {
+        text: text.trim(),
+        completed: false,
+        priority,
+        dueDate: dueDate || null,
+        parentId: null,
+        courseId: null,
+        recurrence: null,
+        tags: [],
+        order: orderKeyAt((at || new Date()).getTime()),
+        ...extra,
+        ...(listId ? { listId } : {}),
+        createdAt: at ? repo.timestamp(at) : repo.timestamp()
+      }
+    };
+  };
+
+  const addTask = async (text, priority = 'medium', dueDate = null, extra = {}) => {
+    if (!repo || !text.trim()) return;
+    const op = newTaskOp(text, priority, dueDate, extra);
+    commit(`Add "${op.data.text}"`, [op], { taskId: op.id });
+    announce(`Added "${op.data.text}"`);
+    return { id: op.id };
+  };
+
+  // Adds many tasks ({ text, priority, dueDate, extra }) in one batch. Staggered
+  // creation times keep them in the given order at the top of their sections.
+  const addTasks = async (items, label) => {
+    if (!repo) return 0;
+    const now = Date.now();
+    const ops = items
+      .filter(item => item.text.trim())
+      .map((item, i, list) => newTaskOp(item.text, item.priority, item.dueDate, item.extra, new Date(now + list.length - i)));
+    commit(label || `Add ${ops.length} task${ops.length === 1 ? '' : 's'}`, ops);
+    if (ops.length) announce(`Added ${ops.length} task${ops.length === 1 ? '' : 's'}`);
+    return ops.length;
+  };
+
+  const updateSettings = async (data) => {
+    if (!repo) return;
+    setSettings(prev => ({ ...prev, ...data }));
+    trackWrite("Save settings", () => repo.set('settings', 'preferences', data, { merge: true }));
+  };
+
+  const handleBrainDump = async (rawText) => {
+    const lines = rawText.split('\n').filter(line => line.trim());
+    await addTasks(lines.map(line => ({ text: line.replace(/^[-*•]\s*/, '') })));
+  };
+
+  const handleSmartBrainDump = async (rawText) => {
+    const now = new Date().toISOString();
+    const systemPrompt = `Current Date/Time: ${now}. Extract tasks. Identify priority (high/medium/low). Identify due dates/times and convert to ISO format string. Return JSON: [{ "text": string, "priority": string, "dueDate": string | null }]`;
+    const prompt = `Analyze and extract tasks from: \n"${rawText}"`;
+
+    const lines = rawText.split('\n').map(line => line.replace(/^[-*•]\s*/, '').trim()).filter(Boolean);
+
+    // Nothing is written here: BrainDump shows the proposals for review first
+    announce('Sorting your tasks with AI…');
+    try {
+      const result = await callAI('smartSort', { prompt, system: systemPrompt, input: rawText });
+      const sources = matchSourceLines(result, lines);
+      announce(`${result.length} task${result.length === 1 ? '' : 's'} ready to review`);
+      return {
+        proposals: result.map((item, i) => toProposal({ ...item, source: sources[i], unmatched: sources[i] === null }, i))
+      };
+    } catch (error) {
+      // No AI available: read dates, priorities and courses locally instead
+      const proposals = lines.map((line, i) => toProposal({ ...parseQuickAdd(line, { courses }), source: line }, i));
+      announce(`AI unavailable, ${proposals.length} task${proposals.length === 1 ? '' : 's'} read without it and ready to review`);
+      return { proposals, error: error.message };
+    }
+  };
+
+  // Writes the proposals accepted in a review
+  const addProposals = (proposals) => addTasks(proposals.map(p => ({
+    text: p.text,
+    priority: p.priority,
+    dueDate: p.dueDate,
+    extra: { courseId: p.courseId || null, tags: p.tags || [], parentId: p.parentId || null }
+  })));
+
+  const handleImportICS = async (content) => {
+    const known = new Set(tasks.flatMap(t => [t.icsUid, `${t.id}@${ICS_UID_DOMAIN}`]));
+    const items = [];
+    let skipped = 0;
+
+    for (const item of parseICS(content)) {
+      if (item.uid && known.has(item.uid)) {
+        skipped++;
+        continue;
+      }
+      if (item.uid) known.add(item.uid);
+      const series = item.recurrence && item.dueDate
+        ? { recurrence: item.recurrence, seriesStart: item.dueDate, occurrence: 1 }
+        : {};
+      items.push({
+        text: item.text,
+        priority: item.priority,
+        dueDate: item.dueDate,
+        extra: {
+          completed: item.completed,
+          icsUid: item.uid,
+          notes: item.notes,
+          links: item.links,
+          location: item.location,
+          estimate: item.estimate,
+          ...series
+        }
+      });
+    }
+    const imported = await addTasks(items, `Import ${items.length} calendar item${items.length === 1 ? '' : 's'}`);
+    return { imported, skipped };
+  };
+
+  const handleExportICS = (component) => {
+    downloadFile('student-planner.ics', buildICS(tasks, courses, { component }), 'text/calendar');
+  };
+
+  // Calendar feed: the export, kept in Storage at a random path. Its download
+  // URL carries an access token, so the URL is the secret; publishing again
+  // moves the feed to a new path and the old URL stops working.
+  const publishedFeed = useRef(null);
+
+  const publishFeed = async (component) => {
+    const previous = settings.calendarFeed;
+    const path = `feeds/${generateId()}.ics`;
+    const content = buildICS(tasks, courses, { component });
+    const { url } = await repo.upload(path, new Blob([content], { type: 'text/calendar' }));
+    publishedFeed.current = { path, key: feedContentKey(content) };
+    updateSettings({ calendarFeed: { path, url, component } });
+    if (previous) repo.removeFile(previous.path).catch(error => console.error("Error removing old calendar feed:", error));
+    return url;
+  };
+
+  const stopFeed = () => {
+    const feed = settings.calendarFeed;
+    if (!feed) return;
+    updateSettings({ calendarFeed: null });
+    repo.removeFile(feed.path).catch(error => console.error("Error removing calendar feed:", error));
+  };
+
+  useEffect(() => {
+    const feed = settings.calendarFeed;
+    if (!repo || !feed) return;
+    const content = buildICS(tasks, courses, { component: feed.component });
+    const key = feedContentKey(content);
+    if (publishedFeed.current?.path === feed.path && publishedFeed.current.key === key) return;
+    const timer = setTimeout(() => {
+      repo.upload(feed.path, new Blob([content], { type: 'text/calendar' }))
+        .then(() => { publishedFeed.current = { path: feed.path, key }; })
+        .catch(error => console.error("Error updating calendar feed:", error));
+    }, FEED_PUBLISH_DELAY);
+    return () => clearTimeout(timer);
+  }, [repo, tasks, courses, settings.calendarFeed]);
+
+  const handleTaskBreakdown = async (task) => {
+    const systemPrompt = "Break down the given task into 3-5 smaller, actionable subtasks. Return JSON: [\"subtask 1\", \"subtask 2\"]";
+    const prompt = `Break down this task: "${task.text}"`;
+    
+    // Throws an AIError for TaskItem to show; the proposals are reviewed before saving
+    announce(`Breaking down "${task.text}"…`);
+    const subtasks = await callAI('breakdown', { prompt, system: systemPrompt, input: task.text });
+    announce(`${subtasks.length} subtask${subtasks.length === 1 ? '' : 's'} suggested for "${task.text}"`);
+    return subtasks.map((text, i) => toProposal({ text, priority: task.priority, dueDate: task.dueDate, parentId: task.id }, i));
+  };
+
+  // Fields a "this one only" edit keeps for the occurrences that follow
+  const SERIES_FIELDS = ['text', 'priority', 'courseId', ...DETAIL_FIELDS, ...GRADE_FIELDS];
+
+  // Ops for an update plus what it sets off: the next occurrence of a
+  // completed recurring task and the auto-completed parent. `completing` lists
+  // every task completed by the same change, so checking off the last
+  // subtasks together still completes their parent, once.
+  const updateTaskOps = (id, data, { scope = 'all', completing = [id] } = {}) => {
+    const task = tasks.find(t => t.id === id);
+    const changes = { ...data };
+    const ops = [{ type: 'update', path: 'tasks', id, data: changes }];
+
+    // For on-time rates, streaks and lead times; shared lists also show who did it
+    if ('completed' in data && data.completed !== Boolean(task?.completed)) {
+      changes.completedAt = data.completed ? repo.timestamp() : null;
+      if (task?.listId) changes.completedBy = data.completed ? user.uid : null;
+    }
+
+    if ('recurrence' in data && data.recurrence) {
+      // A new or edited rule restarts the series from this task's due date
+      changes.dueDate = task?.dueDate || endOfToday();
+      changes.seriesStart = changes.dueDate;
+      changes.occurrence = 1;
+    } else if (task?.recurrence) {
+      const base = task.template || Object.fromEntries(SERIES_FIELDS.map(f => [f, task[f] ?? null]));
+      if (scope === 'this') {
+        changes.template = base;
+      } else {
+        if (task.template) {
+          changes.template = { ...base, ...Object.fromEntries(SERIES_FIELDS.filter(f => f in data).map(f => [f, data[f]])) };
+        }
+        if (data.dueDate) {
+          changes.seriesStart = data.dueDate;
+          changes.occurrence = 1;
+        }
+      }
+    }
+
+    if (data.completed && task?.recurrence && !task.nextOccurrenceId) {
+      const next = nextOccurrenceOp(task);
+      if (next) {
+        changes.nextOccurrenceId = next.id;
+        ops.push(next);
+      }
+    }
+
+    // Auto-complete the parent once its last open subtask is checked off
+    if (data.completed && settings.autoCompleteParent && task?.parentId && !completing.includes(task.parentId)) {
+      const parent = tasks.find(t => t.id === task.parentId);
+      const siblings = childrenByParent[task.parentId] || [];
+      const allDone = siblings.every(t => t.id === id || t.completed || completing.includes(t.id));
+      const lastCompleted = siblings.filter(t => t.id === id || completing.includes(t.id)).pop();
+      if (parent && !parent.completed && allDone && lastCompleted?.id === id) {
+        ops.push(...updateTaskOps(parent.id, { completed: true }, { completing: [...completing, parent.id] }));
+      }
+    }
+    return ops;
+  };
+
+  const updateTask = async (id, data, options) => {
+    if (!repo) return;
+    const task = tasks.find(t => t.id === id);
+    const name = `"${task?.text || 'task'}"`;
+    const label = 'completed' in data ? `${data.completed ? 'Completed' : 'Reopened'} ${name}` : `Update ${name}`;
+    commit(label, updateTaskOps(id, data, options), { taskId: id, undoToast: data.completed === true });
+    if ('completed' in data) announce(label);
+    if (data.completed && timingId === id) stopTimer();
+  };
+
+  const nextOccurrenceOp = (task) => {
+    const seriesStart = task.seriesStart || task.dueDate;
+    const occurrence = (task.occurrence || 1) + 1;
+    const nextDate = nthOccurrence(task.recurrence, seriesStart, occurrence);
+    if (!nextDate) return null;
+
+    const template = task.template || task;
+    return newTaskOp(template.text, template.priority, toLocalInputValue(nextDate), {
+      ...Object.fromEntries([...DETAIL_FIELDS, ...GRADE_FIELDS].map(f => [f, template[f] ?? null])),
+      parentId: task.parentId || null,
+      courseId: template.courseId || null,
+      ...(task.listId ? { listId: task.listId, assigneeId: task.assigneeId || null } : {}),
+      recurrence: task.recurrence,
+      seriesStart,
+      occurrence
+    });
+  };
+
+  // Deleting moves a task to the Trash. Subtasks that go with it remember
+  // which task took them, so restoring that task brings them back too.
+  const deleteTaskOps = (id, { withSubtasks = true, trashedWith = null } = {}) => {
+    const task = tasks.find(t => t.id === id);
+    const children = childrenByParent[id] || [];
+    const ops = withSubtasks
+      ? children.flatMap(child => deleteTaskOps(child.id, { withSubtasks: true, trashedWith: trashedWith || id }))
+      // Move subtasks up one level so they survive their parent
+      : children.map(child => ({ type: 'update', path: 'tasks', id: child.id, data: { parentId: task?.parentId || null } }));
+    const blocks = studyBlocks.filter(b => b.taskId === id).map(b => ({ type: 'remove', path: 'blocks', id: b.id }));
+    return [...ops, ...blocks, { type: 'update', path: 'tasks', id, data: { deletedAt: repo.timestamp(), trashedWith } }];
+  };
+
+  const deleteTask = async (id, options) => {
+    if (!repo) return;
+    const task = tasks.find(t => t.id === id);
+    commit(`Deleted "${task?.text || 'task'}"`, deleteTaskOps(id, options), { taskId: id, undoToast: true });
+    announce(`Moved "${task?.text || 'task'}" to the Trash`);
+  };
+
+  const restoreTask = (id) => {
+    if (!repo) return;
+    const task = taskRecords.find(t => t.id === id);
+    const group = [task, ...trashedTasks.filter(t => t.trashedWith === id)];
+    const returning = new Set([...tasks, ...group].map(t => t.id));
+    commit(`Restored "${task.text}"`, group.map(t => ({
+      type: 'update',
+      path: 'tasks',
+      id: t.id,
+      data: {
+        deletedAt: null,
+        trashedWith: null,
+        // A parent that is still in the Trash can't hold it
+        ...(t.parentId && !returning.has(t.parentId) ? { parentId: null } : {})
+      }
+    })), { taskId: id });
+  };
+
+  // Deleting from the Trash is for good, attachment files included
+  const purgeTasks = (ids) => {
+    if (!repo) return;
+    const doomed = trashedTasks.filter(t => ids.includes(t.id) || ids.includes(t.trashedWith));
+    // The files go only once the tasks are gone, so a refused or failed batch keeps them
+    const removeFiles = () => {
+      for (const file of doomed.flatMap(t => t.attachments || [])) {
+        repo.removeFile(file.path).catch(error => {
+          if (error.code !== 'not-found' && error.code !== 'storage/object-not-found') console.error("Could not delete attachment file:", error);
+        });
+      }
+    };
+    commit(`Deleted ${doomed.length} task${doomed.length === 1 ? '' : 's'} for good`, doomed.map(t => ({ type: 'remove', path: 'tasks', id: t.id })), { undoable: false, onWritten: removeFiles });
+  };
+
+  // Attachments: the file is stored first, then listed on the task. A task in
+  // the Trash keeps its files so that restoring it brings the task back whole.
+  // Uploads every file first, then appends the ones stored to the task's
+  // attachments as they are by then, in one update. Returns the files that
+  // failed as { name, message }.
+  const attachFiles = async (taskId, files) => {
+    if (!repo) return [];
+    const attached = [];
+    const failed = [];
+    for (const file of files) {
+      try {
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+          throw new Error(`Files can be at most ${formatFileSize(MAX_ATTACHMENT_BYTES)}.`);
+        }
+        const id = generateId();
+        const stored = await repo.upload(`attachments/${taskId}/${id}`, file);
+        attached.push({ id, name: file.name, size: file.size, type: file.type || null, path: stored.path, url: stored.url });
+      } catch (error) {
+        console.error("Upload failed:", error);
+        failed.push({ name: file.name, message: error.message || 'upload failed' });
+      }
+    }
+    if (attached.length > 0) {
+      const task = taskRecordsRef.current.find(t => t.id === taskId);
+      commit(attached.length === 1 ? `Attach "${attached[0].name}"` : `Attach ${attached.length} files`, [{
+        type: 'update',
+        path: 'tasks',
+        id: taskId,
+        data: { attachments: [...(task?.attachments || []), ...attached] }
+      }], { taskId });
+    }
+    return failed;
+  };
+
+  const openAttachment = async (attachment) => {
+    // Open the tab right away; browsers block popups opened after an await
+    const tab = window.open('', '_blank');
+    try {
+      const url = attachment.url || await repo.fileURL(attachment.path);
+      if (tab) tab.location.href = url;
+      else window.open(url, '_blank');
+    } catch (error) {
+      console.error("Could not open attachment:", error);
+      tab?.close();
+      throw new Error(`Could not open ${attachment.name}. It may have been deleted.`);
+    }
+  };
+
+  // Focus timer. Sessions are a log, not task edits, so they stay out of undo.
+  const closeSessionOp = (session, at = Date.now()) => ({
+    type: 'update',
+    path: 'sessions',
+    id: session.id,
+    data: { endedAt: new Date(Math.min(at, sessionEnd(session) ?? at)).toISOString() }
+  });
+
+  const startTimer = (taskId, mode = focus.mode) => {
+    if (!repo) return;
+    const now = Date.now();
+    const ops = activeSession ? [closeSessionOp(activeSession, now)] : [];
+    ops.push({ type: 'set', path: 'sessions', id: repo.newId('sessions'), data: newSessionData(taskId, mode, 'focus', focus.focus, now) });
+    trackWrite("Start timer", () => repo.batch(ops), taskId);
+  };
+
+  const stopTimer = () => {
+    if (!repo || !activeSession) return;
+    trackWrite("Stop timer", () => repo.batch([closeSessionOp(activeSession)]));
+  };
+
+  const toggleTimer = (taskId) => timingId === taskId ? stopTimer() : startTimer(taskId);
+
+  // Remembered as the default for the next timer, too
+  const switchTimerMode = (mode) => {
+    updateSettings({ focus: { ...focus, mode } });
+    startTimer(activeSession.taskId, mode);
+  };
+
+  // Study plan: a draft from the planner is reviewed (and adjusted) before
+  // accepting it replaces the saved blocks from its start onwards
+  const planner = useMemo(() => ({ ...PLANNER_DEFAULTS, ...settings.planner }), [settings.planner]);
+
+  const planWeek = (options = planner) => {
+    const now = new Date();
+    const plan = planStudyBlocks(tasks, { ...options, now, spent: timeSpentByTask(sessions, now.getTime()) });
+    setPlanDraft({ ...plan, blocks: plan.blocks.map(b => ({ ...b, draft: true })), from: toLocalInputValue(now) });
+    selectView('calendar');
+  };
+
+  // The new hours become the defaults, and a fresh draft replaces this one
+  const replan = (next) => {
+    updateSettings({ planner: next });
+    planWeek(next);
+  };
+
+  const changeDraftBlock = (key, data) => {
+    setPlanDraft(prev => ({
+      ...prev,
+      edited: true,
+      blocks: data === null
+        ? prev.blocks.filter(b => b.key !== key)
+        : prev.blocks.map(b => b.key === key ? { ...b, ...data } : b).sort((a, b) => a.start.localeCompare(b.start))
+    }));
+  };
+
+  const moveStudyBlock = (block, start) => {
+    if (block.draft) {
+      changeDraftBlock(block.key, { start });
+      return;
+    }
+    commit("Move study block", [{ type: 'update', path: 'blocks', id: block.id, data: { start } }]);
+  };
+
+  const acceptPlan = () => {
+    if (!repo || !planDraft) return;
+    const from = new Date(planDraft.from);
+    const ops = [
+      ...studyBlocks.filter(b => new Date(b.start) >= from).map(b => ({ type: 'remove', path: 'blocks', id: b.id })),
+      ...planDraft.blocks.map(b => ({
+        type: 'set',
+        path: 'blocks',
+        id: repo.newId('blocks'),
+        data: { taskId: b.taskId, start: b.start, minutes: b.minutes, createdAt: repo.timestamp() }
+      }))
+    ];
+    commit(`Plan ${planDraft.blocks.length} study block${planDraft.blocks.length === 1 ? '' : 's'}`, ops, { undoToast: true });
+    setPlanDraft(null);
+  };
+
+  const explainPlan = async () => {
+    const text = (id) => tasks.find(t => t.id === id)?.text || 'Deleted task';
+    const input = {
+      blocks: planDraft.blocks.map(b => ({ text: text(b.taskId), start: b.start, minutes: b.minutes, due: tasks.find(t => t.id === b.taskId)?.dueDate })),
+      unscheduled: planDraft.unscheduled.map(u => ({ text: text(u.taskId), minutes: u.minutes }))
+    };
+    const systemPrompt = "You review a student's study plan. In two or three sentences explain why the blocks are ordered the way they are, then give up to five short, concrete tips to improve it (spacing, breaks, what to start early). Return JSON: { \"summary\": string, \"tips\": string[] }";
+    return callAI('planReview', { prompt: `Study plan:\n${JSON.stringify(input, null, 2)}`, system: systemPrompt, input });
+  };
+
+  // What the calendar shows: saved blocks, with a draft in place of the ones it would replace
+  const calendarBlocks = useMemo(() => {
+    const saved = studyBlocks
+      .filter(b => !planDraft || new Date(b.start) < new Date(planDraft.from))
+      .map(b => ({ ...b, key: b.id }));
+    return planDraft ? [...saved, ...planDraft.blocks] : saved;
+  }, [studyBlocks, planDraft]);
+
+  // Removing an attachment deletes the stored file too, so it can't be undone
+  const removeAttachment = (taskId, attachment) => {
+    if (!repo) return;
+    const task = tasks.find(t => t.id === taskId);
+    commit(`Remove "${attachment.name}"`, [{
+      type: 'update',
+      path: 'tasks',
+      id: taskId,
+      data: { attachments: (task?.attachments || []).filter(a => a.id !== attachment.id) }
+    }], { taskId, undoable: false });
+    repo.removeFile(attachment.path).catch(error => {
+      if (error.code !== 'not-found' && error.code !== 'storage/object-not-found') console.error("Could not delete attachment file:", error);
+    });
+  };
+
+  // Multi-select: plain clicks toggle one task, Shift-clicks add the range
+  // from the last clicked task in the order the list shows them
+  const handleSelect = (id, { range = false } = {}) => {
+    const from = visibleOrder.indexOf(selectionAnchor);
+    const to = visibleOrder.indexOf(id);
+    if (range && from !== -1 && to !== -1) {
+      const rangeIds = visibleOrder.slice(Math.min(from, to), Math.max(from, to) + 1);
+      setSelectedIds(prev => [...new Set([...prev, ...rangeIds])]);
+    } else {
+      setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+    }
+    setSelectionAnchor(id);
+  };
+
+  const toggleSelection = (ids, select) => {
+    setSelectedIds(prev => select ? [...new Set([...prev, ...ids])] : prev.filter(id => !ids.includes(id)));
+  };
+
+  // Every bulk action is one batch, so it is also one undo step
+  const handleBulkAction = (action, value) => {
+    const selected = tasks.filter(t => selectedIds.includes(t.id));
+    const count = `${selected.length} task${selected.length === 1 ? '' : 's'}`;
+    const bulkUpdate = (label, changesFor) => {
+      const updates = selected.map(t => [t.id, changesFor(t)]).filter(([, changes]) => changes);
+      const completing = updates.filter(([, changes]) => changes.completed).map(([id]) => id);
+      commit(label, updates.flatMap(([id, changes]) => updateTaskOps(id, changes, { completing })), { undoToast: true });
+    };
+
+    switch (action) {
+      case 'complete':
+        bulkUpdate(`${value ? 'Completed' : 'Reopened'} ${count}`, t => t.completed === value ? null : { completed: value });
+        break;
+      case 'priority':
+        bulkUpdate(`Set ${count} to ${value} priority`, () => ({ priority: value }));
+        break;
+      case 'due':
+        bulkUpdate(`Set due date on ${count}`, () => ({ dueDate: value }));
+        break;
+      case 'shift':
+        bulkUpdate(`Moved ${count} by ${value} day${Math.abs(value) === 1 ? '' : 's'}`, t => t.dueDate
+          ? { dueDate: toLocalInputValue(addDays(new Date(t.dueDate), value)) }
+          : null);
+        break;
+      case 'course':
+        bulkUpdate(`Moved ${count} to ${courseLabel(courses.find(c => c.id === value)) || 'no course'}`, () => ({ courseId: value }));
+        break;
+      case 'tag':
+        bulkUpdate(`Tagged ${count} #${value}`, t => (t.tags || []).includes(value) ? null : { tags: [...(t.tags || []), value] });
+        break;
+      case 'delete': {
+        // Subtasks of a selected task go to the Trash with it, marked as taken
+        // by it, so they're left out here rather than deleted on their own
+        const selectedSet = new Set(selectedIds);
+        const hasSelectedAncestor = (task) => {
+          for (let parent = tasks.find(t => t.id === task.parentId); parent; parent = tasks.find(t => t.id === parent.parentId)) {
+            if (selectedSet.has(parent.id)) return true;
+          }
+          return false;
+        };
+        commit(`Deleted ${count}`, selected.filter(t => !hasSelectedAncestor(t)).flatMap(t => deleteTaskOps(t.id)), { undoToast: true });
+        setSelectedIds([]);
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  // Manual ordering. `index` is the slot in the section as shown, counting the
+  // moved task itself; landing in another section changes the priority.
+  const placeTask = (id, priority, index) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task) return;
+    const section = organizedTasks[priority];
+    const from = section.findIndex(t => t.id === id);
+    const list = section.filter(t => t.id !== id);
+    const at = from !== -1 && from < index ? index - 1 : index;
+    if (from !== -1 && from === at) return;
+
+    const prev = list[at - 1];
+    const next = list[at];
+    const changes = priority !== task.priority ? { priority } : {};
+    const label = changes.priority ? `Moved "${task.text}" to ${priority} priority` : `Reordered "${task.text}"`;
+
+    if ((prev && !prev.order) || (next && !next.order) || (prev && next && prev.order >= next.order)) {
+      // Tasks from before manual ordering (or tied keys) get fresh keys, once per section
+      const ordered = [...list.slice(0, at), task, ...list.slice(at)];
+      const keys = spreadKeys(orderKeyAt(Date.now()), ordered.length);
+      commit(label, ordered.map((t, i) => ({
+        type: 'update',
+        path: 'tasks',
+        id: t.id,
+        data: t.id === id ? { ...changes, order: keys[i] } : { order: keys[i] }
+      })), { taskId: id });
+      return;
+    }
+    commit(label, updateTaskOps(id, { ...changes, order: keyBetween(prev?.order ?? null, next?.order ?? null) }), { taskId: id });
+  };
+
+  const moveTask = (id, direction) => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || task.completed) return;
+    const priority = task.priority;
+    const index = (organizedTasks[priority] || []).findIndex(t => t.id === id);
+    if (index === -1) return;
+
+    const target = index + direction;
+    if (target >= 0 && target < organizedTasks[priority].length) {
+      placeTask(id, priority, direction > 0 ? target + 1 : target);
+      return;
+    }
+    // Past either end of a section, continue into the neighbouring priority
+    const priorities = PRIORITY_SECTIONS.map(p => p.key);
+    const neighbour = priorities[priorities.indexOf(priority) + direction];
+    if (neighbour) placeTask(id, neighbour, direction > 0 ? 0 : organizedTasks[neighbour].length);
+  };
+
+  const endDrag = () => {
+    setDraggingId(null);
+    setDropSlot(null);
+  };
+
+  // Hovering the top or bottom half of a task puts the drop slot before or after it
+  const itemDropProps = (priority, index) => ({
+    onDragOver: (e) => {
+      if (!draggingId) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const rect = e.currentTarget.getBoundingClientRect();
+      const slot = e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+      if (dropSlot?.priority !== priority || dropSlot.index !== slot) setDropSlot({ priority, index: slot });
+    }
+  });
+
+  const sectionDropProps = (priority, list) => ({
+    onDragOver: (e) => {
+      if (!draggingId) return;
+      e.preventDefault();
+      if (dropSlot?.priority !== priority) setDropSlot({ priority, index: list.length });
+    },
+    onDrop: (e) => {
+      if (!draggingId) return;
+      e.preventDefault();
+      if (dropSlot?.priority === priority) placeTask(draggingId, priority, dropSlot.index);
+      endDrag();
+    }
+  });
+
+  const addCourse = async (course) => {
+    if (!repo) return;
+    const id = repo.newId('courses');
+    trackWrite(`Add course "${course.name}"`, () => repo.set('courses', id, { ...course, createdAt: repo.timestamp() }));
+  };
+
+  const updateCourse = async (id, data) => {
+    if (!repo) return;
+    trackWrite("Update course", () => repo.update('courses', id, data));
+  };
+
+  const deleteCourse = async (id) => {
+    if (!repo) return;
+    const course = courses.find(c => c.id === id);
+    commit(`Deleted course "${courseLabel(course) || 'course'}"`, [
+      ...tasks.filter(t => t.courseId === id).flatMap(t => updateTaskOps(t.id, { courseId: null })),
+      { type: 'remove', path: 'courses', id }
+    ], { undoToast: true });
+    if (courseFilter === id) setCourseFilter(null);
+    if (quickCourse === id) setQuickCourse(null);
+  };
+
+  // Saved filters: each one is a view button that restores its criteria
+  const activeSaved = savedFilters.find(f => f.id === view);
+  const baseView = activeSaved ? activeSaved.view : view;
+
+  const selectView = (nextView) => {
+    if (activeSaved) setFilter(EMPTY_FILTER);
+    setView(nextView);
+  };
+
+  const selectSavedFilter = (saved) => {
+    setFilter({ ...EMPTY_FILTER, ...saved.filter });
+    setView(saved.id);
+  };
+
+  const saveFilter = (name) => {
+    if (!repo) return;
+    const id = repo.newId('filters');
+    const savedView = ['calendar', 'insights', 'trash'].includes(baseView) ? 'all' : baseView;
+    trackWrite(`Save filter "${name}"`, () => repo.set('filters', id, { name, view: savedView, filter, createdAt: repo.timestamp() }));
+    setView(id);
+  };
+
+  const updateSavedFilter = () => {
+    if (!repo || !activeSaved) return;
+    trackWrite(`Update filter "${activeSaved.name}"`, () => repo.update('filters', activeSaved.id, { filter }));
+  };
+
+  const deleteSavedFilter = (id) => {
+    if (!repo) return;
+    trackWrite("Delete filter", () => repo.remove('filters', id));
+    if (view === id) selectView('all');
+  };
+
+  // Keyboard: j/k highlight a task and single keys act on it. TaskItem runs
+  // the action, so a shortcut does exactly what its button does.
+  const keys = useMemo(() => shortcutKeys(settings.shortcuts), [settings.shortcuts]);
+
+  const rebindShortcut = (id, combo) => {
+    const taken = SHORTCUTS.find(s => s.id !== id && keys[s.id] === combo);
+    updateSettings({ shortcuts: { ...settings.shortcuts, [id]: combo, ...(taken ? { [taken.id]: keys[id] } : {}) } });
+  };
+
+  const moveFocus = (step) => {
+    if (['insights', 'trash'].includes(view) || visibleOrder.length === 0) return;
+    const index = visibleOrder.indexOf(focusedId);
+    const next = index === -1
+      ? (step > 0 ? 0 : visibleOrder.length - 1)
+      : Math.min(Math.max(index + step, 0), visibleOrder.length - 1);
+    setFocusedId(visibleOrder[next]);
+  };
+
+  // Highlights a task, first clearing the view and filters if they hide it
+  const jumpToTask = (id) => {
+    if (!visibleOrder.includes(id) || ['insights', 'trash'].includes(view)) {
+      setView('all');
+      setFilter(EMPTY_FILTER);
+      setCourseFilter(null);
+      setListFilter(null);
+      setSelectedCalendarDate(null);
+    }
+    setFocusedId(id);
+  };
+
+  const startNewTask = () => {
+    setShowBrainDump(false);
+    if (['calendar', 'trash'].includes(view)) selectView('all');
+    setQuickFocus(n => n + 1);
+  };
+
+  const runShortcut = (id) => {
+    if (id === 'help') setShowShortcuts(open => !open);
+    else if (id === 'newTask') startNewTask();
+    else if (id === 'next' || id === 'previous') moveFocus(id === 'next' ? 1 : -1);
+    else if (focusedId) setTaskCommand({ taskId: focusedId, action: id });
+  };
+
+  const paletteCommands = () => {
+    const viewIcons = { calendar: CalendarIcon, insights: TrendingUp, trash: Trash2 };
+    const hint = (id) => formatCombo(keys[id]);
+    return [
+      { key: 'new', label: 'New task', hint: hint('newTask'), icon: <Plus size={16} />, run: startNewTask },
+      { key: 'brain-dump', label: 'Open Brain Dump', icon: <Sparkles size={16} />, run: () => setShowBrainDump(true) },
+      ...['all', 'active', 'completed', 'calendar', 'insights', 'trash'].map(v => {
+        const Icon = viewIcons[v] || AlignLeft;
+        return { key: `view-${v}`, label: `Go to ${v === 'all' ? 'all tasks' : v}`, icon: <Icon size={16} />, run: () => selectView(v) };
+      }),
+      ...savedFilters.map(f => ({ key: `filter-${f.id}`, label: `Go to ${f.name}`, icon: <Bookmark size={16} />, run: () => selectSavedFilter(f) })),
+      ...courses.map(c => ({ key: `course-${c.id}`, label: `Show ${courseLabel(c)}`, icon: <GraduationCap size={16} />, run: () => setCourseFilter(c.id) })),
+      ...lists.map(l => ({ key: `list-${l.id}`, label: `Show ${l.name}`, icon: <Users size={16} />, run: () => setListFilter(l.id) })),
+      { key: 'plan', label: 'Plan my week', icon: <CalendarClock size={16} />, run: () => planWeek() },
+      { key: 'clear-filters', label: 'Clear search and filters', icon: <SlidersHorizontal size={16} />, run: () => { setFilter(EMPTY_FILTER); setCourseFilter(null); setListFilter(null); } },
+      ...(history.past.length ? [{ key: 'undo', label: `Undo: ${history.past[history.past.length - 1].label}`, hint: formatCombo('mod+z'), icon: <Undo2 size={16} />, run: undo }] : []),
+      ...(history.future.length ? [{ key: 'redo', label: `Redo: ${history.future[0].label}`, hint: formatCombo('mod+shift+z'), icon: <Redo2 size={16} />, run: redo }] : []),
+      { key: 'courses', label: 'Manage courses', icon: <GraduationCap size={16} />, run: () => setShowCourses(true) },
+      { key: 'lists', label: 'Shared lists', icon: <Users size={16} />, run: () => setShowLists(true) },
+      { key: 'reminders', label: 'Reminder settings', icon: <BellRing size={16} />, run: () => setShowReminderSettings(true) },
+      { key: 'backup', label: 'Backup & restore', icon: <Archive size={16} />, run: () => setShowBackup(true) },
+      { key: 'activity', label: 'Recent activity', icon: <History size={16} />, run: () => setShowActivity(true) },
+      { key: 'time', label: 'Time report', icon: <BarChart3 size={16} />, run: () => setShowTimeReport(true) },
+      { key: 'ai', label: 'AI assistant settings', icon: <Bot size={16} />, run: () => setShowAISettings(true) },
+      { key: 'account', label: 'Account', icon: <UserCircle size={16} />, run: () => setShowAccount(true) },
+      { key: 'shortcuts', label: 'Keyboard shortcuts', hint: hint('help'), icon: <Keyboard size={16} />, run: () => setShowShortcuts(true) }
+    ];
+  };
+
+  const paletteTasks = () => tasks.map(t => ({
+    key: t.id,
+    label: t.text,
+    hint: t.completed ? 'Done' : t.dueDate ? formatDate(t.dueDate) : courseLabel(courses.find(c => c.id === t.courseId)),
+    icon: t.completed ? <CheckCircle size={16} /> : <Circle size={16} />,
+    run: () => jumpToTask(t.id)
+  }));
+
+  // Shared lists. Membership isn't a task edit, so none of this goes on the undo stack.
+  const withoutKey = (map, key) => Object.fromEntries(Object.entries(map || {}).filter(([k]) => k !== key));
+
+  // The list changes below are made from the Shared lists panel, which
+  // reports a failed write itself, so they're awaited rather than tracked.
+  // An invite link is only handed out once its invite is stored.
+  const createList = async (name) => {
+    if (!appRepo) return;
+    const id = appRepo.newId('lists');
+    await appRepo.set('lists', id, {
+      name,
+      ownerId: user.uid,
+      members: { [user.uid]: 'owner' },
+      memberNames: { [user.uid]: memberName(user) },
+      createdAt: appRepo.timestamp()
+    });
+  };
+
+  const createInvite = async (listId, role) => {
+    const list = lists.find(l => l.id === listId);
+    const token = generateId();
+    const expiresAt = new Date(Date.now() + INVITE_DAYS * 24 * 60 * MINUTE_MS);
+    await listRepos[listId].set('invites', token, {
+      role,
+      listName: list.name,
+      createdBy: user.uid,
+      createdAt: appRepo.timestamp(),
+      expiresAt: appRepo.timestamp(expiresAt)
+    });
+    return inviteLink(listId, token);
+  };
+
+  const dismissInvite = () => {
+    setInvite(null);
+    const url = new URL(window.location.href);
+    url.searchParams.delete('join');
+    window.history.replaceState(null, '', url);
+  };
+
+  // Members can't edit the list, so joining only adds yourself, naming the
+  // invite it came from for the security rules to check
+  const joinList = () => {
+    const { listId, token, record } = invite;
+    trackWrite(`Join "${record.listName}"`, () => appRepo.update('lists', listId, {
+      [`members.${user.uid}`]: record.role,
+      [`memberNames.${user.uid}`]: memberName(user),
+      joinedWith: token
+    }));
+    dismissInvite();
+    setListFilter(listId);
+  };
+
+  const setMemberRole = async (list, memberId, role) => {
+    await appRepo.update('lists', list.id, { members: { ...list.members, [memberId]: role } });
+  };
 
-export default function App() {
-  const [user, setUser] = useState(null);
-  const [tasks, setTasks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [showBrainDump, setShowBrainDump] = useState(false);
-  const [quickInput, setQuickInput] = useState("");
-  const [quickDate, setQuickDate] = useState("");
-  const [view, setView] = useState("all");
-  const [time, setTime] = useState(new Date());
-  const [selectedCalendarDate, setSelectedCalendarDate] = useState(null);
+  const removeMember = (list, memberId) => {
+    trackWrite(memberId === user.uid ? `Leave "${list.name}"` : "Remove member", () => appRepo.update('lists', list.id, {
+      members: withoutKey(list.members, memberId),
+      memberNames: withoutKey(list.memberNames, memberId)
+    }));
+    if (memberId === user.uid && listFilter === list.id) setListFilter(null);
+  };
 
-  // Clock
-  useEffect(() => {
-    const timer = setInterval(() => setTime(new Date()), 1000);
-    return () => clearInterval(timer);
-  }, []);
+  // Tasks in the Trash go too. The list document is removed last, since the
+  // rules check membership on it for every task delete before it. Invites,
+  // presence records and the history log are left behind: Firestore keeps
+  // subcollections of a deleted document, and the rules let no client delete
+  // history. With the list gone the rules let no one read them either.
+  const deleteList = (list) => {
+    const ops = taskRecords
+      .filter(t => t.listId === list.id)
+      .map(t => ({ type: 'remove', path: 'tasks', id: t.id, root: listRoot(list.id) }));
+    trackWrite(`Delete list "${list.name}"`, () => batchInChunks(appRepo, [...ops, { type: 'remove', path: 'lists', id: list.id }]));
+    if (listFilter === list.id) setListFilter(null);
+  };
 
-  // 1. Auth Setup
-  useEffect(() => {
-    const initAuth = async () => {
-      if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-        await signInWithCustomToken(auth, __initial_auth_token);
-      } else {
-        await signInAnonymously(auth);
+  // Who else is focusing on which shared task right now
+  const othersFocusing = useMemo(() => {
+    const map = {};
+    for (const list of lists) {
+      for (const r of onlineMembers(presence[list.id], time.getTime())) {
+        if (r.taskId) (map[r.taskId] = map[r.taskId] || []).push(r.name);
       }
-    };
-    initAuth();
-    
-    const unsubscribe = onAuthStateChanged(auth, (u) => {
-      setUser(u);
-    });
-    return () => unsubscribe();
-  }, []);
+    }
+    return map;
+  }, [lists, presence, time]);
 
-  // 2. Data Fetching
-  useEffect(() => {
-    if (!user) return;
+  // Backup & Restore. Only personal tasks: shared ones belong to their list.
+  const personalTasks = useMemo(() => tasks.filter(t => !t.listId), [tasks]);
 
-    const collectionRef = collection(db, 'artifacts', appId, 'users', user.uid, 'tasks');
-    const q = query(collectionRef, orderBy('createdAt', 'desc'));
+  const handleExportBackup = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      downloadFile(`student-planner-${date}.csv`, buildBackupCSV(personalTasks), 'text/csv');
+    } else {
+      downloadFile(`student-planner-${date}.json`, buildBackupJSON(personalTasks, courses, settings), 'application/json');
+    }
+  };
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const loadedTasks = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
-      setTasks(loadedTasks);
-      setLoading(false);
-    }, (error) => {
-      console.error("Error fetching tasks:", error);
-      setLoading(false);
-    });
+  const handlePlanRestore = useCallback(
+    (content, filename, options) => planImport(parseBackup(content, filename), { tasks: personalTasks, courses }, options),
+    [personalTasks, courses]
+  );
 
-    return () => unsubscribe();
-  }, [user]);
+  const handleRestore = async (plan, onProgress) => {
+    if (!repo) return;
+    await writeImportPlan(repo, plan, { onProgress });
+  };
 
-  // 3. Operations
-  const addTask = async (text, priority = 'medium', dueDate = null) => {
-    if (!user || !text.trim()) return;
-    
-    const collectionRef = collection(db, 'artifacts', appId, 'users', user.uid, 'tasks');
-    await addDoc(collectionRef, {
-      text: text.trim(),
-      completed: false,
-      priority,
-      dueDate: dueDate || null,
-      createdAt: serverTimestamp()
-    });
+  // Restores can be larger than one batch, so they go through batchInChunks.
+  // `records` and `actor` describe the target account for its history log.
+  const writeImportPlan = async (target, plan, { onProgress, records = taskRecords, actor = user } = {}) => {
+    await batchInChunks(target, withHistory([
+      ...plan.remove.tasks.map(t => ({ type: 'remove', path: 'tasks', id: t.id })),
+      ...plan.remove.courses.map(c => ({ type: 'remove', path: 'courses', id: c.id })),
+      ...plan.courses.map(c => ({ type: 'set', path: 'courses', id: c.id, data: deserializeRecord(c, target.timestamp) })),
+      ...plan.tasks.map(t => ({ type: 'set', path: 'tasks', id: t.id, data: deserializeRecord(t, target.timestamp) })),
+      ...(plan.settings ? [{ type: 'set', path: 'settings', id: 'preferences', data: plan.settings, merge: true }] : [])
+    ], { target, records, actor }), onProgress);
   };
 
-  const handleBrainDump = async (rawText) => {
-    const lines = rawText.split('\n');
-    for (const line of lines) {
-      if (line.trim()) {
-        const cleanText = line.replace(/^[-*•]\s*/, '');
-        await addTask(cleanText);
-      }
+  // Account upgrade: linking keeps the anonymous uid, so its tasks stay put
+  const isCredentialInUse = (error) =>
+    error.code === 'auth/credential-already-in-use' || error.code === 'auth/email-already-in-use';
+
+  const handleCreateAccount = async (email, password) => {
+    const credential = EmailAuthProvider.credential(email, password);
+    try {
+      await linkWithCredential(auth.currentUser, credential);
+      setShowAccount(false);
+    } catch (error) {
+      if (isCredentialInUse(error)) return { conflict: credential };
+      throw error;
     }
   };
 
-  const handleSmartBrainDump = async (rawText) => {
-    const now = new Date().toISOString();
-    const systemPrompt = `Current Date/Time: ${now}. Extract tasks. Identify priority (high/medium/low). Identify due dates/times and convert to ISO format string. Return JSON: [{ "text": string, "priority": string, "dueDate": string | null }]`;
-    const prompt = `Analyze and extract tasks from: \n"${rawText}"`;
-    
-    const result = await callGemini(prompt, systemPrompt);
-    
-    if (result && Array.isArray(result)) {
-      for (const item of result.reverse()) {
-        await addTask(item.text, item.priority, item.dueDate);
-      }
-    } else {
-      handleBrainDump(rawText);
+  const handleGoogleSignIn = async () => {
+    try {
+      await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+      setShowAccount(false);
+    } catch (error) {
+      const credential = isCredentialInUse(error) ? GoogleAuthProvider.credentialFromError(error) : null;
+      if (credential) return { conflict: credential };
+      throw error;
     }
   };
 
-  const handleTaskBreakdown = async (task) => {
-    const systemPrompt = "Break down the given task into 3-5 smaller, actionable subtasks. Return JSON: [\"subtask 1\", \"subtask 2\"]";
-    const prompt = `Break down this task: "${task.text}"`;
-    
-    const subtasks = await callGemini(prompt, systemPrompt);
-    
-    if (subtasks && Array.isArray(subtasks)) {
-      for (const subText of subtasks.reverse()) {
-        await addTask(`↳ ${subText}`, task.priority, task.dueDate);
-      }
+  // Signing into an account that already exists leaves this guest's data behind,
+  // so ask whether to merge it over first
+  const handleSignInExisting = async (email, password) => {
+    return { conflict: EmailAuthProvider.credential(email, password) };
+  };
+
+  // Once signed in elsewhere a failed merge can't be redone from the guest account,
+  // so the write is kept (resuming where it stopped) until it goes through
+  const runMerge = async (write, count) => {
+    try {
+      await write();
+      setPendingMerge(null);
+    } catch (error) {
+      setPendingMerge({ count, retry: error.resume || write });
+      throw error;
     }
   };
 
-  const updateTask = async (id, data) => {
-    if (!user) return;
-    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'tasks', id);
-    await updateDoc(docRef, data);
+  const handleResolveConflict = async (credential, merge) => {
+    if (merge && !online) throw Object.assign(new Error('Offline'), { code: 'merge/offline' });
+    // Snapshot now: once signed in elsewhere the guest's documents are out of reach
+    const snapshot = { tasks: personalTasks.map(serializeRecord), courses: courses.map(serializeRecord), settings: null, errors: [] };
+    const { user: signedIn } = await signInWithCredential(auth, credential);
+    if (merge) {
+      const plan = planImport(snapshot, { tasks: [], courses: [] }, { mode: 'merge', onConflict: 'skip' });
+      // The other account's tasks aren't loaded, so its log records each merged task as created
+      await runMerge(() => writeImportPlan(createRepository(userRoot(signedIn.uid)), plan, { records: [], actor: signedIn }), plan.tasks.length);
+    }
+    setShowAccount(false);
+  };
+
+  const handleRetryMerge = async () => {
+    await runMerge(pendingMerge.retry, pendingMerge.count);
+    setShowAccount(false);
   };
 
-  const deleteTask = async (id) => {
-    if (!user) return;
-    const docRef = doc(db, 'artifacts', appId, 'users', user.uid, 'tasks', id);
-    await deleteDoc(docRef);
+  const handleSignOut = async () => {
+    await signOut(auth);
+    await signInAnonymously(auth);
+    setShowAccount(false);
   };
 
+  const syncStates = useMemo(() => {
+    const states = {};
+    for (const id of pendingIds) states[id] = 'pending';
+    for (const w of failedWrites) if (w.taskId) states[w.taskId] = 'failed';
+    return states;
+  }, [pendingIds, failedWrites]);
+
+  // Quick-add preview: what the parser read out of the input, shown as chips
+  const quickParse = useMemo(() => parseQuickAdd(quickInput, { courses }), [quickInput, courses]);
+
+  // While a shared list is filtered, quick-add puts new tasks on it
+  const quickList = lists.find(l => l.id === listFilter && canEditList(l, user?.uid)) || null;
+
+  const quickPreview = useMemo(() => {
+    const chips = [];
+    const priorityStyles = { high: 'bg-red-100 text-red-700', medium: 'bg-yellow-100 text-yellow-700', low: 'bg-blue-100 text-blue-700' };
+    if (quickParse.dueDate && !quickDate) {
+      chips.push({ key: 'due', icon: <CalendarIcon size={12} />, label: formatDate(quickParse.dueDate), className: 'bg-slate-100 text-slate-600' });
+    }
+    if (quickParse.priority) {
+      chips.push({ key: 'priority', icon: <Flag size={12} />, label: quickParse.priority, className: `capitalize ${priorityStyles[quickParse.priority]}` });
+    }
+    const course = courses.find(c => c.id === quickParse.courseId);
+    if (course) {
+      chips.push({ key: 'course', icon: <GraduationCap size={12} />, label: courseLabel(course), className: courseColor(course).chip });
+    }
+    for (const tag of quickParse.tags) {
+      chips.push({ key: `tag-${tag}`, icon: null, label: `#${tag}`, className: 'bg-slate-100 text-slate-500' });
+    }
+    return chips;
+  }, [quickParse, quickDate, courses]);
+
   // 4. Organization Logic
+  const childrenByParent = useMemo(() => {
+    const map = {};
+    for (const t of tasks) {
+      if (!t.parentId) continue;
+      (map[t.parentId] = map[t.parentId] || []).push(t);
+    }
+    Object.values(map).forEach(list => list.sort(compareOrder));
+    return map;
+  }, [tasks]);
+
   const organizedTasks = useMemo(() => {
     let filtered = tasks;
     
     // View Filters
-    if (view === 'active') filtered = tasks.filter(t => !t.completed);
-    if (view === 'completed') filtered = tasks.filter(t => t.completed);
+    if (baseView === 'active') filtered = tasks.filter(t => !t.completed);
+    if (baseView === 'completed') filtered = tasks.filter(t => t.completed);
     if (view === 'calendar' && selectedCalendarDate) {
       filtered = tasks.filter(t => {
         if (!t.dueDate) return false;
         return new Date(t.dueDate).toDateString() === selectedCalendarDate.toDateString();
       });
     }
+    if (courseFilter) filtered = filtered.filter(t => t.courseId === courseFilter);
+    if (listFilter) filtered = filtered.filter(t => listFilter === 'personal' ? !t.listId : t.listId === listFilter);
+    if (isFilterActive(filter)) {
+      filtered = filtered.filter(t => matchesFilter(t, filter, { courses, childrenByParent }));
+    }
 
+    // Subtasks render nested under their parent; only surface them on their
+    // own when the parent itself is filtered out of the current view.
+    const visibleIds = new Set(filtered.map(t => t.id));
+    filtered = filtered.filter(t => !t.parentId || !visibleIds.has(t.parentId));
+
+    filtered = [...filtered].sort(compareOrder);
     const high = filtered.filter(t => t.priority === 'high' && !t.completed);
     const medium = filtered.filter(t => t.priority === 'medium' && !t.completed);
     const low = filtered.filter(t => t.priority === 'low' && !t.completed);
     const done = filtered.filter(t => t.completed);
 
     return { high, medium, low, done };
-  }, [tasks, view, selectedCalendarDate]);
+  }, [tasks, view, baseView, selectedCalendarDate, courseFilter, listFilter, filter, courses, childrenByParent]);
+
+  const allTags = useMemo(() => [...new Set(tasks.flatMap(t => t.tags || []))].sort(), [tasks]);
+
+  // Tasks in the order they appear on screen, subtasks after their parent
+  const visibleOrder = useMemo(() => {
+    const order = [];
+    const walk = (t) => {
+      order.push(t.id);
+      (childrenByParent[t.id] || []).forEach(walk);
+    };
+    [...organizedTasks.high, ...organizedTasks.medium, ...organizedTasks.low, ...organizedTasks.done].forEach(walk);
+    return order;
+  }, [organizedTasks, childrenByParent]);
+
+  // Keyboard shortcuts. Apart from the palette, they give way while typing,
+  // where the field's own keys (and its own undo) apply.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setSelectedIds([]);
+      const combo = keyComboOf(e);
+      if (!combo || e.defaultPrevented) return;
+      if (combo === keys.palette) {
+        e.preventDefault();
+        setShowPalette(open => !open);
+        return;
+      }
+      if (showPalette || e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+      if (['mod+z', 'mod+shift+z', 'mod+y', 'mod+shift+y'].includes(combo)) {
+        e.preventDefault();
+        if (combo === 'mod+z') undo();
+        else redo();
+        return;
+      }
+
+      const shortcut = SHORTCUTS.find(s => keys[s.id] === combo);
+      if (!shortcut) return;
+      e.preventDefault();
+      runShortcut(shortcut.id);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [history, repo, keys, showPalette, focusedId, visibleOrder, view]);
+
+  // Forget the highlight once its task leaves the list
+  useEffect(() => {
+    if (focusedId && !visibleOrder.includes(focusedId)) setFocusedId(null);
+  }, [visibleOrder]);
+
+  useEffect(() => {
+    if (quickFocus) quickInputRef.current?.focus();
+  }, [quickFocus]);
 
   const stats = {
     total: tasks.length,
@@ -533,6 +7886,21 @@ export default function App() {
 
   const progress = stats.total === 0 ? 0 : Math.round((stats.done / stats.total) * 100);
 
+  const courseStats = courses.map(course => {
+    const courseTasks = tasks.filter(t => t.courseId === course.id);
+    const done = courseTasks.filter(t => t.completed).length;
+    return {
+      course,
+      tasks: courseTasks,
+      total: courseTasks.length,
+      done,
+      progress: courseTasks.length === 0 ? 0 : Math.round((done / courseTasks.length) * 100),
+      grade: courseGrade(courseTasks).current
+    };
+  }).filter(s => s.total > 0);
+  const filteredCourse = courseStats.find(s => s.course.id === courseFilter && s.tasks.some(t => t.weight > 0));
+  const scoreTask = tasks.find(t => t.id === scorePromptId);
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-slate-50">
@@ -564,6 +7932,30 @@ export default function App() {
               <div className="text-sm font-medium text-slate-500">
                 {time.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}
               </div>
+              {user?.isLocal ? (
+                <span className="mt-1 flex items-center gap-1.5 text-xs font-medium text-slate-500">
+                  <HardDrive size={14} /> Saved on this device
+                </span>
+              ) : (
+                <button
+                  onClick={() => setShowAccount(!showAccount)}
+                  className="mt-1 flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                >
+                  <UserCircle size={14} />
+                  {user?.isAnonymous ? 'Guest · Sign in to sync' : (user?.email || user?.displayName || 'Account')}
+                </button>
+              )}
+              {(!user?.isLocal || failedWrites.length > 0) && (
+                <div className="mt-1">
+                  <SyncStatus
+                    online={online}
+                    pendingCount={pendingIds.length}
+                    failedWrites={failedWrites}
+                    onRetry={retryFailedWrites}
+                    onDismiss={dismissFailedWrite}
+                  />
+                </div>
+              )}
             </div>
           </div>
 
@@ -576,23 +7968,121 @@ export default function App() {
             </div>
             <span className="text-sm font-bold text-slate-700 whitespace-nowrap">{progress}% Done</span>
           </div>
+
+          {courseStats.length > 0 && (
+            <div className="mt-3 grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {courseStats.map(({ course, total, done, progress, grade }) => (
+                <button
+                  key={course.id}
+                  onClick={() => setCourseFilter(courseFilter === course.id ? null : course.id)}
+                  className={`text-left bg-white px-3 py-2 rounded-xl border shadow-sm transition-colors ${courseFilter === course.id ? 'border-indigo-300' : 'border-slate-100 hover:border-slate-200'}`}
+                >
+                  <div className="flex items-center justify-between gap-2 mb-1.5">
+                    <span className="text-xs font-bold text-slate-700 truncate">{courseLabel(course)}</span>
+                    <span className="text-[10px] font-medium text-slate-400 whitespace-nowrap">
+                      {grade !== null && <span className="font-bold text-slate-600">{formatPercent(grade)} {letterGrade(grade)} · </span>}
+                      {done}/{total}
+                    </span>
+                  </div>
+                  <div className="h-1.5 bg-slate-100 rounded-full overflow-hidden">
+                    <div
+                      className={`h-full transition-all duration-500 ${courseColor(course).bar}`}
+                      style={{ width: `${progress}%` }}
+                    />
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
         </header>
 
+        {invite && <JoinListBanner invite={invite} onJoin={joinList} onDismiss={dismissInvite} />}
+
+        {scoreTask && (
+          <ScorePrompt
+            key={scoreTask.id}
+            task={scoreTask}
+            onSave={(pointsEarned, pointsPossible) => {
+              updateTask(scoreTask.id, { pointsEarned, pointsPossible });
+              setScorePromptId(null);
+            }}
+            onSkip={() => setScorePromptId(null)}
+          />
+        )}
+
+        {(activeSession || lastBreak) && (
+          <FocusBar
+            session={activeSession}
+            lastBreak={lastBreak}
+            tasks={tasks}
+            now={time.getTime()}
+            focus={focus}
+            onStop={stopTimer}
+            onSkipBreak={() => startTimer(activeSession.taskId, 'pomodoro')}
+            onFocusAgain={(taskId) => startTimer(taskId, 'pomodoro')}
+            onSwitchMode={switchTimerMode}
+            onDismiss={() => setDismissedBreakId(lastBreak.id)}
+          />
+        )}
+
+        {showLists && (
+          <SharedListsPanel
+            lists={lists}
+            uid={user?.uid}
+            presence={presence}
+            now={time.getTime()}
+            isLocal={!appRepo}
+            onCreate={createList}
+            onInvite={createInvite}
+            onSetRole={setMemberRole}
+            onRemoveMember={removeMember}
+            onLeave={(list) => removeMember(list, user.uid)}
+            onDelete={deleteList}
+            onClose={() => setShowLists(false)}
+          />
+        )}
+
+        {showAccount && (
+          <AccountPanel
+            user={user}
+            taskCount={tasks.length}
+            pendingMerge={pendingMerge}
+            onCreateAccount={handleCreateAccount}
+            onSignIn={handleSignInExisting}
+            onGoogle={handleGoogleSignIn}
+            onResolveConflict={handleResolveConflict}
+            onRetryMerge={handleRetryMerge}
+            onSignOut={handleSignOut}
+            onClose={() => setShowAccount(false)}
+          />
+        )}
+
         {/* Input Area */}
-        {!showBrainDump && view !== 'calendar' && (
+        {!showBrainDump && view !== 'calendar' && view !== 'trash' && (
           <div className="mb-8 relative z-10">
             <form 
               onSubmit={(e) => { 
                 e.preventDefault(); 
-                addTask(quickInput, 'medium', quickDate || null); 
+                const dueDate = quickDate || quickParse.dueDate || (quickRecurrence ? endOfToday() : null);
+                const series = quickRecurrence ? { recurrence: quickRecurrence, seriesStart: dueDate, occurrence: 1 } : {};
+                addTask(quickParse.text, quickParse.priority || 'medium', dueDate, {
+                  courseId: quickParse.courseId || quickCourse,
+                  tags: quickParse.tags,
+                  ...series,
+                  ...(quickList ? { listId: quickList.id } : {})
+                }); 
                 setQuickInput(""); 
                 setQuickDate("");
+                setQuickRecurrence(null);
+                setShowQuickRecurrence(false);
               }}
-              className="relative shadow-lg rounded-2xl bg-white flex flex-col sm:flex-row overflow-hidden border border-slate-100"
+              className="relative shadow-lg rounded-2xl bg-white flex flex-col sm:flex-row overflow-hidden border border-slate-100 focus-within:ring-2 focus-within:ring-indigo-200"
             >
               <input 
+                ref={quickInputRef}
                 type="text" 
-                placeholder="What needs to be done?" 
+                aria-label="New task"
+                placeholder={quickList ? `Add to ${quickList.name}...` : "What needs to be done? e.g. essay due fri 5pm !high #history"}
                 value={quickInput}
                 onChange={(e) => setQuickInput(e.target.value)}
                 className="flex-grow p-4 text-lg border-0 focus:ring-0 text-slate-700 placeholder:text-slate-400 focus:bg-slate-50 transition-colors"
@@ -601,10 +8091,28 @@ export default function App() {
               <div className="flex items-center gap-2 p-2 bg-slate-50 border-t sm:border-t-0 sm:border-l border-slate-100">
                 <input 
                   type="datetime-local" 
+                  aria-label="Due date"
                   value={quickDate}
                   onChange={(e) => setQuickDate(e.target.value)}
                   className="p-2 text-sm bg-white border border-slate-200 rounded-lg text-slate-600 focus:outline-none focus:border-indigo-300 w-full sm:w-auto"
                 />
+
+                <CourseSelect
+                  courses={courses}
+                  value={quickCourse}
+                  onChange={setQuickCourse}
+                  className="p-2 text-sm"
+                />
+
+                <button
+                  type="button"
+                  onClick={() => setShowQuickRecurrence(!showQuickRecurrence)}
+                  aria-expanded={showQuickRecurrence}
+                  className={`p-2 rounded-lg transition-colors flex-shrink-0 ${quickRecurrence ? 'text-violet-600 bg-violet-100' : 'text-slate-500 hover:bg-slate-100'}`}
+                  title="Repeat"
+                >
+                  <Repeat size={20} />
+                </button>
                 
                 <button 
                   type="button"
@@ -617,31 +8125,110 @@ export default function App() {
                 <button 
                   type="submit" 
                   disabled={!quickInput.trim()}
+                  aria-label="Add task"
                   className="bg-slate-900 hover:bg-slate-800 text-white p-2 px-3 rounded-lg transition-colors disabled:opacity-50 flex-shrink-0"
                 >
                   <Plus size={20} />
                 </button>
               </div>
             </form>
+            {quickPreview.length > 0 && (
+              <div className="mt-2 px-2 flex flex-wrap items-center gap-2 text-xs">
+                <span className="text-slate-400">Will add:</span>
+                {quickPreview.map(chip => (
+                  <span key={chip.key} className={`inline-flex items-center gap-1 font-semibold px-2 py-0.5 rounded-full ${chip.className}`}>
+                    {chip.icon} {chip.label}
+                  </span>
+                ))}
+              </div>
+            )}
+            {showQuickRecurrence && (
+              <div className="mt-2 px-4 py-3 bg-white rounded-xl border border-slate-100 shadow-sm">
+                <RecurrenceEditor value={quickRecurrence} onChange={setQuickRecurrence} />
+              </div>
+            )}
           </div>
         )}
 
+        {filteredCourse && view !== 'insights' && view !== 'trash' && (
+          <GradeCalculator key={filteredCourse.course.id} course={filteredCourse.course} tasks={filteredCourse.tasks} />
+        )}
+
+        {/* Course Manager */}
+        {showCourses && (
+          <CourseManager
+            courses={courses}
+            onAdd={addCourse}
+            onUpdate={updateCourse}
+            onDelete={deleteCourse}
+            onClose={() => setShowCourses(false)}
+          />
+        )}
+
         {/* Brain Dump Component */}
         {showBrainDump && (
           <BrainDump 
             onSubmit={handleBrainDump} 
             onSmartSubmit={handleSmartBrainDump}
+            onCommit={addProposals}
+            courses={courses}
+            onImportICS={handleImportICS}
+            onExportICS={handleExportICS}
+            feed={settings.calendarFeed}
+            canPublishFeed={!user?.isLocal}
+            onPublishFeed={publishFeed}
+            onStopFeed={stopFeed}
             onClose={() => setShowBrainDump(false)} 
           />
         )}
 
+        {/* Search */}
+        <div className="flex items-center gap-2 mb-4">
+          <div className="relative flex-grow">
+            <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+            <input
+              type="search"
+              value={filter.query}
+              onChange={(e) => setFilter({ ...filter, query: e.target.value })}
+              placeholder="Search tasks, #tags and courses"
+              aria-label="Search tasks"
+              className="w-full pl-9 pr-3 py-2 text-sm bg-white border border-slate-200 rounded-xl text-slate-700 placeholder:text-slate-400 focus:outline-none focus:border-indigo-300"
+            />
+          </div>
+          <button
+            onClick={() => setShowFilters(!showFilters)}
+            className={`flex items-center gap-1.5 px-3 py-2 rounded-xl text-sm font-medium border transition-colors ${countFilterCriteria(filter) > 0 ? 'bg-indigo-50 text-indigo-700 border-indigo-200' : 'bg-white text-slate-600 border-slate-200 hover:bg-slate-50'}`}
+          >
+            <SlidersHorizontal size={16} />
+            Filters
+            {countFilterCriteria(filter) > 0 && (
+              <span className="px-1.5 rounded-full bg-indigo-600 text-white text-xs">{countFilterCriteria(filter)}</span>
+            )}
+          </button>
+        </div>
+
+        {showFilters && (
+          <FilterPanel
+            filter={filter}
+            tags={allTags}
+            savedFilters={savedFilters}
+            activeSaved={activeSaved}
+            onChange={setFilter}
+            onSave={saveFilter}
+            onUpdateSaved={updateSavedFilter}
+            onDeleteSaved={deleteSavedFilter}
+            onClose={() => setShowFilters(false)}
+          />
+        )}
+
         {/* Navigation / Filters */}
         <div className="flex items-center justify-between mb-6 overflow-x-auto pb-2">
           <div className="flex gap-2">
-            {['all', 'active', 'completed', 'calendar'].map((f) => (
+            {['all', 'active', 'completed', 'calendar', 'insights', 'trash'].map((f) => (
               <button
                 key={f}
-                onClick={() => setView(f)}
+                onClick={() => selectView(f)}
+                aria-pressed={view === f}
                 className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors capitalize whitespace-nowrap flex items-center gap-1.5 ${
                   view === f 
                     ? 'bg-slate-900 text-white shadow-md' 
@@ -649,20 +8236,240 @@ export default function App() {
                 }`}
               >
                 {f === 'calendar' && <CalendarIcon size={14} />}
+                {f === 'insights' && <TrendingUp size={14} />}
+                {f === 'trash' && <Trash2 size={14} />}
                 {f}
+                {f === 'trash' && trashedTasks.length > 0 && (
+                  <span className={`px-1.5 rounded-full text-xs ${view === f ? 'bg-white/20' : 'bg-slate-100'}`}>{trashedTasks.length}</span>
+                )}
+              </button>
+            ))}
+            {savedFilters.map((f) => (
+              <button
+                key={f.id}
+                onClick={() => selectSavedFilter(f)}
+                aria-pressed={view === f.id}
+                className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors whitespace-nowrap flex items-center gap-1.5 ${
+                  view === f.id
+                    ? 'bg-slate-900 text-white shadow-md'
+                    : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
+                }`}
+              >
+                <Bookmark size={14} />
+                {f.name}
+              </button>
+            ))}
+            <span className="w-px bg-slate-200 mx-1"></span>
+            {courses.map(c => (
+              <button
+                key={c.id}
+                onClick={() => setCourseFilter(courseFilter === c.id ? null : c.id)}
+                aria-pressed={courseFilter === c.id}
+                className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors whitespace-nowrap flex items-center gap-1.5 ${
+                  courseFilter === c.id
+                    ? 'bg-slate-900 text-white shadow-md'
+                    : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
+                }`}
+              >
+                <span className={`w-2 h-2 rounded-full ${courseColor(c).dot}`}></span>
+                {courseLabel(c)}
               </button>
             ))}
+            <button
+              onClick={() => setShowCourses(!showCourses)}
+              title="Manage Courses"
+              aria-label="Manage Courses"
+              className="px-3 py-1.5 rounded-full text-sm font-medium transition-colors whitespace-nowrap flex items-center gap-1.5 bg-white text-slate-600 border border-dashed border-slate-300 hover:bg-slate-50"
+            >
+              <GraduationCap size={14} />
+              {courses.length === 0 && 'Add Course'}
+            </button>
+            <span className="w-px bg-slate-200 mx-1"></span>
+            {lists.length > 0 && (
+              <button
+                onClick={() => setListFilter(listFilter === 'personal' ? null : 'personal')}
+                className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors whitespace-nowrap flex items-center gap-1.5 ${
+                  listFilter === 'personal'
+                    ? 'bg-slate-900 text-white shadow-md'
+                    : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
+                }`}
+              >
+                <UserCircle size={14} />
+                Personal
+              </button>
+            )}
+            {lists.map(l => {
+              const here = onlineMembers(presence[l.id], time.getTime());
+              return (
+                <button
+                  key={l.id}
+                  onClick={() => setListFilter(listFilter === l.id ? null : l.id)}
+                  title={here.length ? `Here now: ${here.map(r => r.name).join(', ')}` : undefined}
+                  className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors whitespace-nowrap flex items-center gap-1.5 ${
+                    listFilter === l.id
+                      ? 'bg-slate-900 text-white shadow-md'
+                      : 'bg-white text-slate-600 border border-slate-200 hover:bg-slate-50'
+                  }`}
+                >
+                  <Users size={14} />
+                  {l.name}
+                  {here.length > 0 && <span className="w-2 h-2 rounded-full bg-emerald-500"></span>}
+                </button>
+              );
+            })}
+            <button
+              onClick={() => setShowLists(!showLists)}
+              title="Shared Lists"
+              aria-label="Shared Lists"
+              className="px-3 py-1.5 rounded-full text-sm font-medium transition-colors whitespace-nowrap flex items-center gap-1.5 bg-white text-slate-600 border border-dashed border-slate-300 hover:bg-slate-50"
+            >
+              <Users size={14} />
+              {lists.length === 0 && 'Share'}
+            </button>
           </div>
+          <label className="flex items-center gap-2 text-xs font-medium text-slate-500 whitespace-nowrap ml-4 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.autoCompleteParent}
+              onChange={(e) => updateSettings({ autoCompleteParent: e.target.checked })}
+              className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-200"
+            />
+            Auto-complete parents
+          </label>
+          <button
+            onClick={() => setShowReminderSettings(!showReminderSettings)}
+            title="Reminders"
+            className={`ml-3 p-2 rounded-full transition-colors flex-shrink-0 ${notificationPermission === 'granted' ? 'text-amber-500 hover:bg-amber-50' : 'text-slate-400 hover:bg-slate-100'}`}
+          >
+            <BellRing size={16} />
+          </button>
+          <button
+            onClick={() => setShowBackup(!showBackup)}
+            title="Backup & Restore"
+            className="p-2 rounded-full text-slate-400 hover:bg-slate-100 transition-colors flex-shrink-0"
+          >
+            <Archive size={16} />
+          </button>
+          <button
+            onClick={() => setShowActivity(!showActivity)}
+            title="Recent Activity"
+            className="p-2 rounded-full text-slate-400 hover:bg-slate-100 transition-colors flex-shrink-0"
+          >
+            <History size={16} />
+          </button>
+          <button
+            onClick={() => setShowShortcuts(!showShortcuts)}
+            title={`Keyboard Shortcuts (${formatCombo(keys.help)})`}
+            className="p-2 rounded-full text-slate-400 hover:bg-slate-100 transition-colors flex-shrink-0"
+          >
+            <Keyboard size={16} />
+          </button>
+          <button
+            onClick={() => setShowTimeReport(!showTimeReport)}
+            title="Time Report"
+            className={`p-2 rounded-full transition-colors flex-shrink-0 ${activeSession ? 'text-indigo-500 hover:bg-indigo-50' : 'text-slate-400 hover:bg-slate-100'}`}
+          >
+            <BarChart3 size={16} />
+          </button>
+          <button
+            onClick={undo}
+            disabled={history.past.length === 0}
+            title={history.past.length ? `Undo: ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+            className="p-2 rounded-full text-slate-400 hover:bg-slate-100 transition-colors flex-shrink-0 disabled:opacity-30 disabled:hover:bg-transparent"
+          >
+            <Undo2 size={16} />
+          </button>
+          <button
+            onClick={redo}
+            disabled={history.future.length === 0}
+            title={history.future.length ? `Redo: ${history.future[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            className="p-2 rounded-full text-slate-400 hover:bg-slate-100 transition-colors flex-shrink-0 disabled:opacity-30 disabled:hover:bg-transparent"
+          >
+            <Redo2 size={16} />
+          </button>
+          <button
+            onClick={() => setShowAISettings(!showAISettings)}
+            title="AI Assistant"
+            className="p-2 rounded-full text-slate-400 hover:bg-slate-100 transition-colors flex-shrink-0"
+          >
+            <Bot size={16} />
+          </button>
         </div>
 
+        {showBackup && (
+          <BackupPanel
+            onExport={handleExportBackup}
+            onPlan={handlePlanRestore}
+            onRestore={handleRestore}
+            onClose={() => setShowBackup(false)}
+          />
+        )}
+
+        {showAISettings && (
+          <AISettings onClose={() => setShowAISettings(false)} />
+        )}
+
+        {showActivity && (
+          <ActivityFeed entries={activity.map(asSeenByMe)} now={time.getTime()} onClose={() => setShowActivity(false)} />
+        )}
+
+        {showShortcuts && (
+          <ShortcutHelp
+            keys={keys}
+            customized={Object.keys(settings.shortcuts || {}).length > 0}
+            onRebind={rebindShortcut}
+            onReset={() => updateSettings({ shortcuts: null })}
+            onClose={() => setShowShortcuts(false)}
+          />
+        )}
+
+        {showTimeReport && (
+          <TimeReport
+            sessions={sessions}
+            tasks={tasks}
+            courses={courses}
+            focus={focus}
+            onChangeFocus={(next) => updateSettings({ focus: next })}
+            onClose={() => setShowTimeReport(false)}
+          />
+        )}
+
+        {showReminderSettings && (
+          <NotificationSettings
+            settings={settings}
+            permission={notificationPermission}
+            onRequestPermission={requestNotificationPermission}
+            onChange={updateSettings}
+            onClose={() => setShowReminderSettings(false)}
+          />
+        )}
+
         {/* Calendar View */}
         {view === 'calendar' && (
           <div>
             <CalendarWidget 
               tasks={tasks} 
+              courses={courses}
               onSelectDate={setSelectedCalendarDate} 
               selectedDate={selectedCalendarDate} 
+              onReschedule={(id, dueDate) => updateTask(id, { dueDate }, { scope: 'this' })}
+              blocks={calendarBlocks}
+              focusDate={planDraft ? new Date(planDraft.from) : null}
+              onMoveBlock={moveStudyBlock}
+              onPlan={() => planWeek()}
             />
+            {planDraft && (
+              <PlanPanel
+                plan={planDraft}
+                tasks={tasks}
+                planner={planner}
+                onReplan={replan}
+                onChangeBlock={changeDraftBlock}
+                onAccept={acceptPlan}
+                onDiscard={() => setPlanDraft(null)}
+                onExplain={explainPlan}
+              />
+            )}
             {selectedCalendarDate && (
               <div className="mb-4 flex items-center gap-2">
                 <span className="text-sm font-bold text-slate-500 uppercase tracking-wide">
@@ -680,114 +8487,184 @@ export default function App() {
         )}
 
         {/* Task Lists Grouped by Priority */}
-        <div className="space-y-6">
+        {view === 'insights' ? (
+          <AnalyticsDashboard tasks={tasks} planner={planner} />
+        ) : view === 'trash' ? (
+          <TrashView tasks={trashedTasks} now={time.getTime()} onRestore={restoreTask} onPurge={purgeTasks} />
+        ) : (
+          <div className="space-y-6">
           
-          {/* Empty State */}
-          {tasks.length === 0 && !showBrainDump && view !== 'calendar' && (
-            <div className="text-center py-16 bg-white rounded-3xl border border-dashed border-slate-200">
-              <div className="w-16 h-16 bg-indigo-50 text-indigo-500 rounded-full flex items-center justify-center mx-auto mb-4">
-                <AlignLeft size={32} />
+            {/* Empty State */}
+            {tasks.length === 0 && !showBrainDump && view !== 'calendar' && (
+              <div className="text-center py-16 bg-white rounded-3xl border border-dashed border-slate-200">
+                <div className="w-16 h-16 bg-indigo-50 text-indigo-500 rounded-full flex items-center justify-center mx-auto mb-4">
+                  <AlignLeft size={32} />
+                </div>
+                <h3 className="text-lg font-semibold text-slate-900 mb-1">It's quiet here</h3>
+                <p className="text-slate-500 max-w-xs mx-auto mb-6">
+                  Type a task above or use the Sparkle icon for AI Brain Dump.
+                </p>
               </div>
-              <h3 className="text-lg font-semibold text-slate-900 mb-1">It's quiet here</h3>
-              <p className="text-slate-500 max-w-xs mx-auto mb-6">
-                Type a task above or use the Sparkle icon for AI Brain Dump.
-              </p>
-            </div>
-          )}
-
-          {/* Empty Calendar State */}
-          {view === 'calendar' && selectedCalendarDate && organizedTasks.high.length === 0 && organizedTasks.medium.length === 0 && organizedTasks.low.length === 0 && organizedTasks.done.length === 0 && (
-             <div className="text-center py-12 text-slate-400">
-               <p>No tasks for this date.</p>
-             </div>
-          )}
+            )}
 
-          {/* High Priority */}
-          {organizedTasks.high.length > 0 && (
-            <section>
-              <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-2 px-1">
-                <span className="w-2 h-2 rounded-full bg-red-500"></span>
-                High Priority
-              </h2>
-              <div className="space-y-2">
-                {organizedTasks.high.map(task => (
-                  <TaskItem 
-                    key={task.id} 
-                    task={task} 
-                    onUpdate={updateTask} 
-                    onDelete={deleteTask}
-                    onBreakdown={handleTaskBreakdown}
-                  />
-                ))}
+            {/* No Matches */}
+            {isFilterActive(filter) && visibleOrder.length === 0 && (
+              <div className="text-center py-12 text-slate-400">
+                <p>No tasks match your search and filters.</p>
+                <button onClick={() => setFilter(EMPTY_FILTER)} className="mt-2 text-sm text-indigo-600 hover:text-indigo-800">
+                  Clear search and filters
+                </button>
               </div>
-            </section>
-          )}
+            )}
 
-          {/* Medium Priority */}
-          {organizedTasks.medium.length > 0 && (
-            <section>
-              <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-2 px-1">
-                <span className="w-2 h-2 rounded-full bg-yellow-400"></span>
-                Medium Priority
-              </h2>
-              <div className="space-y-2">
-                {organizedTasks.medium.map(task => (
-                  <TaskItem 
-                    key={task.id} 
-                    task={task} 
-                    onUpdate={updateTask} 
-                    onDelete={deleteTask}
-                    onBreakdown={handleTaskBreakdown}
-                  />
-                ))}
-              </div>
-            </section>
-          )}
+            {/* Empty Calendar State */}
+            {view === 'calendar' && selectedCalendarDate && organizedTasks.high.length === 0 && organizedTasks.medium.length === 0 && organizedTasks.low.length === 0 && organizedTasks.done.length === 0 && (
+               <div className="text-center py-12 text-slate-400">
+                 <p>No tasks for this date.</p>
+               </div>
+            )}
 
-          {/* Low Priority */}
-          {organizedTasks.low.length > 0 && (
-            <section>
-              <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-2 px-1">
-                <span className="w-2 h-2 rounded-full bg-blue-400"></span>
-                Low Priority
-              </h2>
-              <div className="space-y-2">
-                {organizedTasks.low.map(task => (
-                  <TaskItem 
-                    key={task.id} 
-                    task={task} 
-                    onUpdate={updateTask} 
-                    onDelete={deleteTask}
-                    onBreakdown={handleTaskBreakdown}
-                  />
-                ))}
-              </div>
-            </section>
-          )}
+            {/* Bulk Actions */}
+            {selectedIds.length > 0 && (
+              <BulkActionBar
+                count={selectedIds.length}
+                courses={courses}
+                onApply={handleBulkAction}
+                onClear={() => setSelectedIds([])}
+              />
+            )}
 
-          {/* Completed */}
-          {organizedTasks.done.length > 0 && (view === 'all' || view === 'completed' || view === 'calendar') && (
-            <section className="pt-6 border-t border-slate-100 mt-6">
-               <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-2 px-1">
-                <CheckCircle size={14} />
-                Completed
-              </h2>
-              <div className="space-y-2">
-                {organizedTasks.done.map(task => (
-                  <TaskItem 
-                    key={task.id} 
-                    task={task} 
-                    onUpdate={updateTask} 
-                    onDelete={deleteTask}
-                    onBreakdown={handleTaskBreakdown}
-                  />
-                ))}
-              </div>
-            </section>
-          )}
-        </div>
+            {/* Priority Sections */}
+            {PRIORITY_SECTIONS.map(({ key, label, dot }) => {
+              const list = organizedTasks[key];
+              // Empty sections only appear as drop targets while dragging
+              if (list.length === 0 && !draggingId) return null;
+              return (
+                <section key={key} {...sectionDropProps(key, list)}>
+                  <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-2 px-1">
+                    <span className={`w-2 h-2 rounded-full ${dot}`}></span>
+                    {label}
+                    <SelectAllToggle ids={list.map(t => t.id)} selectedIds={selectedIds} onToggle={toggleSelection} />
+                  </h2>
+                  <div className="space-y-2">
+                    {list.map((task, index) => (
+                      <div key={task.id} {...itemDropProps(key, index)}>
+                        {dropSlot?.priority === key && dropSlot.index === index && (
+                          <div className="h-0.5 mb-2 bg-indigo-400 rounded-full"></div>
+                        )}
+                        <TaskItem 
+                          task={task} 
+                          courses={courses}
+                          defaultReminders={settings.defaultReminders}
+                          childrenByParent={childrenByParent}
+                          syncStates={syncStates}
+                          selectedIds={selectedIds}
+                          onSelect={handleSelect}
+                          onMove={moveTask}
+                          onDragStart={setDraggingId}
+                          onDragEnd={endDrag}
+                          onUpdate={updateTask} 
+                          onDelete={deleteTask}
+                          onBreakdown={handleTaskBreakdown}
+                          onAddTasks={addProposals}
+                          onAttach={attachFiles}
+                          onOpenAttachment={openAttachment}
+                          onRemoveAttachment={removeAttachment}
+                          timeSpent={timeSpent}
+                          timingId={timingId}
+                          onToggleTimer={toggleTimer}
+                          lists={lists}
+                          currentUid={user?.uid}
+                          othersFocusing={othersFocusing}
+                          onWatchHistory={watchTaskHistory}
+                          onPromptScore={setScorePromptId}
+                          focusedId={focusedId}
+                          command={taskCommand}
+                        />
+                      </div>
+                    ))}
+                    {dropSlot?.priority === key && dropSlot.index === list.length && list.length > 0 && (
+                      <div className="h-0.5 bg-indigo-400 rounded-full"></div>
+                    )}
+                    {list.length === 0 && (
+                      <div className={`py-4 text-center text-xs rounded-xl border-2 border-dashed ${dropSlot?.priority === key ? 'border-indigo-300 text-indigo-500' : 'border-slate-200 text-slate-400'}`}>
+                        Drop here to make it {key} priority
+                      </div>
+                    )}
+                  </div>
+                </section>
+              );
+            })}
+
+            {/* Completed */}
+            {organizedTasks.done.length > 0 && (baseView === 'all' || baseView === 'completed' || baseView === 'calendar') && (
+              <section className="pt-6 border-t border-slate-100 mt-6">
+                 <h2 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2 flex items-center gap-2 px-1">
+                  <CheckCircle size={14} />
+                  Completed
+                  <SelectAllToggle ids={organizedTasks.done.map(t => t.id)} selectedIds={selectedIds} onToggle={toggleSelection} />
+                </h2>
+                <div className="space-y-2">
+                  {organizedTasks.done.map(task => (
+                    <TaskItem 
+                      key={task.id} 
+                      task={task} 
+                      courses={courses}
+                      defaultReminders={settings.defaultReminders}
+                      childrenByParent={childrenByParent}
+                      syncStates={syncStates}
+                      selectedIds={selectedIds}
+                      onSelect={handleSelect}
+                      onUpdate={updateTask} 
+                      onDelete={deleteTask}
+                      onBreakdown={handleTaskBreakdown}
+                      onAddTasks={addProposals}
+                      onAttach={attachFiles}
+                      onOpenAttachment={openAttachment}
+                      onRemoveAttachment={removeAttachment}
+                      timeSpent={timeSpent}
+                      timingId={timingId}
+                      onToggleTimer={toggleTimer}
+                      lists={lists}
+                      currentUid={user?.uid}
+                      othersFocusing={othersFocusing}
+                      onWatchHistory={watchTaskHistory}
+                      onPromptScore={setScorePromptId}
+                      focusedId={focusedId}
+                      command={taskCommand}
+                    />
+                  ))}
+                </div>
+              </section>
+            )}
+          </div>
+        )}
         
       </div>
+
+      {showPalette && (
+        <CommandPalette commands={paletteCommands()} tasks={paletteTasks()} onClose={() => setShowPalette(false)} />
+      )}
+
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+
+      {/* Undo Toast */}
+      {toast && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 pl-4 pr-2 py-2 bg-slate-900 text-white text-sm rounded-xl shadow-lg max-w-[90vw]">
+          <span className="truncate">{toast.label}</span>
+          {toast.undo && (
+            <button
+              onClick={() => undoEntry(toast)}
+              className="flex items-center gap-1 px-2 py-1 rounded-lg font-semibold text-indigo-300 hover:text-indigo-100 hover:bg-slate-800 transition-colors"
+            >
+              <Undo2 size={14} /> Undo
+            </button>
+          )}
+          <button onClick={() => setToast(null)} aria-label="Dismiss" className="p-1 text-slate-400 hover:text-white">
+            <X size={14} />
+          </button>
+        </div>
+      )}
     </div>
   );
 }
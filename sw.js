@@ -0,0 +1,87 @@
+// --- Reminder Service Worker ---
+// Shows reminder notifications and handles their actions. While a tab is
+// open the page fires reminders itself from its own timers: the browser stops
+// an idle worker after about 30 seconds, so timers can't be kept here. Where
+// Notification Triggers are available the page also posts its full schedule
+// here, and the browser fires those even with every tab closed.
+
+const SNOOZE_ACTIONS = [
+  { action: 'snooze-15', title: 'Snooze 15 min', minutes: 15 },
+  { action: 'snooze-60', title: 'Snooze 1 hour', minutes: 60 }
+];
+
+const supportsTriggers = () => typeof self.TimestampTrigger !== 'undefined';
+
+const showReminder = (reminder, extra = {}) => {
+  return self.registration.showNotification(reminder.title, {
+    tag: reminder.id,
+    body: reminder.body,
+    data: { taskId: reminder.taskId },
+    actions: reminder.taskId ? SNOOZE_ACTIONS.map(({ action, title }) => ({ action, title })) : [],
+    renotify: true,
+    ...extra
+  });
+};
+
+// Replaces every pending trigger, so reminders for tasks that were completed,
+// deleted or moved since the last schedule don't fire
+const schedule = async (reminders) => {
+  if (!supportsTriggers()) return;
+  const now = Date.now();
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  pending.filter(n => n.timestamp > now).forEach(n => n.close());
+
+  await Promise.all(reminders
+    .filter(reminder => reminder.at > now)
+    .map(reminder => showReminder(reminder, { showTrigger: new self.TimestampTrigger(reminder.at) })));
+};
+
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+  return clients;
+};
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'schedule') {
+    event.waitUntil(schedule(event.data.reminders || []));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const notification = event.notification;
+  const { taskId } = notification.data || {};
+  notification.close();
+
+  const snooze = SNOOZE_ACTIONS.find(a => a.action === event.action);
+  if (snooze && taskId) {
+    const until = Date.now() + snooze.minutes * 60 * 1000;
+    // An open tab saves the snooze and reschedules; with none open, only a
+    // trigger can bring the reminder back
+    event.waitUntil(
+      notifyClients({ type: 'snooze', taskId, until: new Date(until).toISOString() }).then((clients) => {
+        if (clients.length > 0 || !supportsTriggers()) return;
+        return showReminder({
+          id: `${taskId}-snooze`,
+          taskId,
+          title: notification.title,
+          body: notification.body
+        }, { showTrigger: new self.TimestampTrigger(until) });
+      })
+    );
+    return;
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      if (clients.length > 0) return clients[0].focus();
+      return self.clients.openWindow('/');
+    })
+  );
+});
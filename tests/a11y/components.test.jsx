@@ -0,0 +1,140 @@
+// @vitest-environment jsdom
+// Accessibility checks (axe) for the task row, the calendar in each of its
+// modes, the command palette and the Brain Dump and Backup panels
+import React from 'react';
+import { afterEach, beforeAll, describe, expect, test } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import { configureAxe } from 'vitest-axe';
+import * as matchers from 'vitest-axe/matchers';
+import { Plus, Sparkles } from 'lucide-react';
+import { BackupPanel, BrainDump, CalendarWidget, CommandPalette, TaskItem } from '../../App.jsx';
+
+expect.extend(matchers);
+
+// jsdom has no layout or canvas, so contrast can't be measured here
+const axe = configureAxe({ rules: { 'color-contrast': { enabled: false } } });
+
+beforeAll(() => {
+  // jsdom doesn't lay anything out
+  Element.prototype.scrollIntoView = () => {};
+});
+
+afterEach(cleanup);
+
+const noop = () => {};
+
+const inDays = (days, hour = 17) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  date.setHours(hour, 0, 0, 0);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:00`;
+};
+
+const courses = [{ id: 'bio', name: 'Biology', code: 'BIO 101', color: 'emerald' }];
+
+const tasks = [
+  { id: 'essay', text: 'History essay', completed: false, priority: 'high', dueDate: inDays(1), tags: ['writing'] },
+  { id: 'lab', text: 'Lab report', completed: false, priority: 'medium', dueDate: inDays(2), courseId: 'bio', estimate: 90 },
+  { id: 'reading', text: 'Chapter 4 reading', completed: true, priority: 'low', dueDate: inDays(0, 9) },
+  { id: 'outline', text: 'Outline', completed: false, priority: 'medium', parentId: 'essay', dueDate: null }
+];
+
+describe('TaskItem', () => {
+  test('has no violations', async () => {
+    const { container } = render(
+      <TaskItem
+        task={tasks[0]}
+        courses={courses}
+        childrenByParent={{ essay: [tasks[3]] }}
+        onSelect={noop}
+        onUpdate={noop}
+        onDelete={noop}
+        onBreakdown={noop}
+        onAddTasks={noop}
+        onAttach={noop}
+        onOpenAttachment={noop}
+        onRemoveAttachment={noop}
+        onToggleTimer={noop}
+        onWatchHistory={() => noop}
+        onPromptScore={noop}
+      />
+    );
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('CalendarWidget', () => {
+  const renderCalendar = () => render(
+    <CalendarWidget
+      tasks={tasks}
+      courses={courses}
+      onSelectDate={noop}
+      selectedDate={null}
+      onReschedule={noop}
+      onMoveBlock={noop}
+      onPlan={noop}
+    />
+  );
+
+  test.each(['month', 'week', 'agenda'])('has no violations in the %s view', async (mode) => {
+    const { container } = renderCalendar();
+    fireEvent.click(screen.getByRole('button', { name: mode }));
+    expect(screen.getByRole('button', { name: mode }).getAttribute('aria-pressed')).toBe('true');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('CommandPalette', () => {
+  const commands = [
+    { key: 'new', label: 'New task', hint: 'N', icon: <Plus size={16} />, run: noop },
+    { key: 'brain-dump', label: 'Open Brain Dump', icon: <Sparkles size={16} />, run: noop }
+  ];
+  const taskResults = tasks.map(t => ({ key: `task-${t.id}`, label: t.text, run: noop }));
+
+  test('has no violations', async () => {
+    const { container } = render(<CommandPalette commands={commands} tasks={taskResults} onClose={noop} />);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('has no violations with no results', async () => {
+    const { container } = render(<CommandPalette commands={commands} tasks={taskResults} onClose={noop} />);
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'zzzz' } });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('BrainDump', () => {
+  const renderBrainDump = (feed) => render(
+    <BrainDump
+      courses={courses}
+      feed={feed}
+      canPublishFeed
+      onSubmit={noop}
+      onSmartSubmit={noop}
+      onCommit={noop}
+      onImportICS={noop}
+      onExportICS={noop}
+      onPublishFeed={noop}
+      onStopFeed={noop}
+      onClose={noop}
+    />
+  );
+
+  test('has no violations', async () => {
+    const { container } = renderBrainDump(null);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('has no violations with a published feed', async () => {
+    const { container } = renderBrainDump({ url: 'https://example.com/feed.ics' });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('BackupPanel', () => {
+  test('has no violations', async () => {
+    const { container } = render(<BackupPanel onExport={noop} onPlan={() => null} onRestore={noop} onClose={noop} />);
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
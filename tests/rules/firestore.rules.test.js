@@ -0,0 +1,174 @@
+// Security rules for shared lists, run against the Firestore emulator:
+//   npm run test:rules
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, test } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, deleteDoc, deleteField, doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+
+const APP = 'artifacts/test-app';
+const LIST = `${APP}/lists/list1`;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let env;
+
+beforeAll(async () => {
+  env = await initializeTestEnvironment({
+    projectId: 'demo-student-planner',
+    firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+  });
+});
+
+afterAll(() => env.cleanup());
+
+// A list owned by "owner" with an editor and a viewer, one task, one history
+// entry, and a valid and an expired invite
+beforeEach(async () => {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, LIST), {
+      name: 'Group project',
+      ownerId: 'owner',
+      members: { owner: 'owner', editor: 'editor', viewer: 'viewer' },
+      memberNames: { owner: 'Olive', editor: 'Eddie', viewer: 'Vera' }
+    });
+    await setDoc(doc(db, `${LIST}/tasks/task1`), { text: 'Write the outline', completed: false });
+    await setDoc(doc(db, `${LIST}/history/entry1`), { taskId: 'task1', action: 'created', actor: 'editor' });
+    await setDoc(doc(db, `${LIST}/invites/valid`), {
+      role: 'editor', listName: 'Group project', createdBy: 'owner', expiresAt: Timestamp.fromMillis(Date.now() + DAY_MS)
+    });
+    await setDoc(doc(db, `${LIST}/invites/view-only`), {
+      role: 'viewer', listName: 'Group project', createdBy: 'owner', expiresAt: Timestamp.fromMillis(Date.now() + DAY_MS)
+    });
+    await setDoc(doc(db, `${LIST}/invites/expired`), {
+      role: 'editor', listName: 'Group project', createdBy: 'owner', expiresAt: Timestamp.fromMillis(Date.now() - DAY_MS)
+    });
+    await setDoc(doc(db, `${APP}/users/owner/tasks/mine`), { text: 'Personal task' });
+  });
+});
+
+const as = (uid) => env.authenticatedContext(uid).firestore();
+
+const join = (uid, role, token) => updateDoc(doc(as(uid), LIST), {
+  [`members.${uid}`]: role,
+  [`memberNames.${uid}`]: 'Newcomer',
+  joinedWith: token
+});
+
+describe('a non-member', () => {
+  test("can't read the list or its tasks", async () => {
+    await assertFails(getDoc(doc(as('stranger'), LIST)));
+    await assertFails(getDoc(doc(as('stranger'), `${LIST}/tasks/task1`)));
+    await assertFails(getDoc(doc(as('stranger'), `${LIST}/history/entry1`)));
+  });
+
+  test("can't write the list or its tasks", async () => {
+    await assertFails(updateDoc(doc(as('stranger'), LIST), { name: 'Mine now' }));
+    await assertFails(setDoc(doc(as('stranger'), `${LIST}/tasks/task2`), { text: 'Spam' }));
+    await assertFails(updateDoc(doc(as('stranger'), `${LIST}/tasks/task1`), { completed: true }));
+    await assertFails(deleteDoc(doc(as('stranger'), `${LIST}/tasks/task1`)));
+  });
+
+  test("can't reach someone else's personal tasks", async () => {
+    await assertFails(getDoc(doc(as('stranger'), `${APP}/users/owner/tasks/mine`)));
+    await assertFails(setDoc(doc(as('stranger'), `${APP}/users/owner/tasks/other`), { text: 'Spam' }));
+    await assertSucceeds(getDoc(doc(as('owner'), `${APP}/users/owner/tasks/mine`)));
+  });
+
+  test("can't read anything signed out", async () => {
+    await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), LIST)));
+    await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), `${LIST}/invites/valid`)));
+  });
+});
+
+describe('a viewer', () => {
+  test('can read the tasks', async () => {
+    await assertSucceeds(getDoc(doc(as('viewer'), `${LIST}/tasks/task1`)));
+  });
+
+  test("can't add, change or delete tasks", async () => {
+    await assertFails(setDoc(doc(as('viewer'), `${LIST}/tasks/task2`), { text: 'Extra' }));
+    await assertFails(updateDoc(doc(as('viewer'), `${LIST}/tasks/task1`), { completed: true }));
+    await assertFails(deleteDoc(doc(as('viewer'), `${LIST}/tasks/task1`)));
+  });
+
+  test("can't change the list", async () => {
+    await assertFails(updateDoc(doc(as('viewer'), LIST), { name: 'Renamed' }));
+    await assertFails(updateDoc(doc(as('viewer'), LIST), { 'members.viewer': 'editor' }));
+  });
+});
+
+describe('joining', () => {
+  test('works with a valid invite, taking the role it grants', async () => {
+    await assertSucceeds(join('newcomer', 'editor', 'valid'));
+    await assertSucceeds(getDoc(doc(as('newcomer'), `${LIST}/tasks/task1`)));
+  });
+
+  test("doesn't work with an expired or missing invite", async () => {
+    await assertFails(join('newcomer', 'editor', 'expired'));
+    await assertFails(join('newcomer', 'editor', 'no-such-invite'));
+  });
+
+  test("can't take a bigger role than the invite grants", async () => {
+    await assertFails(join('newcomer', 'editor', 'view-only'));
+    await assertFails(join('newcomer', 'owner', 'valid'));
+  });
+
+  test("can't change anyone else on the way in", async () => {
+    await assertFails(updateDoc(doc(as('newcomer'), LIST), {
+      'members.newcomer': 'editor',
+      'members.viewer': 'editor',
+      joinedWith: 'valid'
+    }));
+    await assertFails(updateDoc(doc(as('newcomer'), LIST), {
+      'members.newcomer': 'editor',
+      name: 'Renamed',
+      joinedWith: 'valid'
+    }));
+  });
+});
+
+describe('removing members', () => {
+  const remove = (uid, memberId) => updateDoc(doc(as(uid), LIST), {
+    [`members.${memberId}`]: deleteField(),
+    [`memberNames.${memberId}`]: deleteField()
+  });
+
+  test('a member can remove themselves', async () => {
+    await assertSucceeds(remove('editor', 'editor'));
+    await assertSucceeds(remove('viewer', 'viewer'));
+  });
+
+  test("a member can't remove anyone else", async () => {
+    await assertFails(remove('editor', 'viewer'));
+    await assertFails(remove('viewer', 'editor'));
+    await assertFails(remove('editor', 'owner'));
+  });
+
+  test('the owner can remove members but not leave their own list', async () => {
+    await assertSucceeds(remove('owner', 'viewer'));
+    await assertFails(remove('owner', 'owner'));
+  });
+});
+
+describe('history', () => {
+  test('members who can edit append entries in their own name', async () => {
+    await assertSucceeds(setDoc(doc(as('editor'), `${LIST}/history/entry2`), { taskId: 'task1', action: 'updated', actor: 'editor' }));
+    await assertSucceeds(setDoc(doc(as('owner'), `${LIST}/history/entry3`), { taskId: 'task1', action: 'updated', actor: 'owner' }));
+  });
+
+  test("entries can't name someone else as the actor", async () => {
+    await assertFails(setDoc(doc(as('editor'), `${LIST}/history/entry2`), { taskId: 'task1', action: 'updated', actor: 'owner' }));
+  });
+
+  test("viewers can't append", async () => {
+    await assertFails(setDoc(doc(as('viewer'), `${LIST}/history/entry2`), { taskId: 'task1', action: 'updated', actor: 'viewer' }));
+  });
+
+  test("entries can't be changed or deleted, even by the owner", async () => {
+    await assertFails(updateDoc(doc(as('editor'), `${LIST}/history/entry1`), { action: 'deleted' }));
+    await assertFails(setDoc(doc(as('editor'), `${LIST}/history/entry1`), { taskId: 'task1', action: 'deleted', actor: 'editor' }));
+    await assertFails(deleteDoc(doc(as('editor'), `${LIST}/history/entry1`)));
+    await assertFails(deleteDoc(doc(as('owner'), `${LIST}/history/entry1`)));
+  });
+});
@@ -0,0 +1,85 @@
+// @vitest-environment jsdom
+// The study planner and the analytics it shares its numbers with. Dates are
+// local, like the app's, and "now" is fixed to a Monday morning.
+import { describe, expect, test } from 'vitest';
+import { completionStats, planStudyBlocks, workloadForecast } from '../../App.jsx';
+
+const now = new Date(2026, 9, 19, 9, 0);
+const at = (day, time) => `2026-10-${day}T${time}`;
+const everyDay = (hours) => Array(7).fill(hours);
+
+const task = (id, dueDate, fields = {}) => ({ id, text: id, completed: false, priority: 'medium', dueDate, ...fields });
+
+const minutesByDay = (blocks, taskId) => {
+  const days = {};
+  for (const b of blocks.filter(b => b.taskId === taskId)) {
+    const day = b.start.slice(0, 10);
+    days[day] = (days[day] || 0) + b.minutes;
+  }
+  return days;
+};
+
+describe('planStudyBlocks', () => {
+  test('plans the earliest deadline first', () => {
+    const tasks = [task('later', at(22, '17:00'), { estimate: 60 }), task('sooner', at(21, '17:00'), { estimate: 60 })];
+    const { blocks } = planStudyBlocks(tasks, { now, hours: everyDay(3) });
+    expect(blocks.map(b => [b.taskId, b.start, b.minutes])).toEqual([
+      ['sooner', at(19, '16:00'), 60],
+      ['later', at(19, '17:00'), 60]
+    ]);
+  });
+
+  test('puts at most MAX_BLOCK minutes a day on a task that is due later', () => {
+    const { blocks, unscheduled } = planStudyBlocks([task('essay', at(25, '17:00'), { estimate: 300 })], { now, hours: everyDay(3) });
+    expect(minutesByDay(blocks, 'essay')).toEqual({ '2026-10-19': 120, '2026-10-20': 120, '2026-10-21': 60 });
+    expect(unscheduled).toEqual([]);
+  });
+
+  test('leaves what is left unscheduled when the task is due before its day\'s study time opens', () => {
+    const { blocks, unscheduled } = planStudyBlocks([task('quiz', at(20, '10:00'), { estimate: 240 })], { now, hours: everyDay(3) });
+    expect(blocks.map(b => [b.start, b.minutes])).toEqual([[at(19, '16:00'), 120]]);
+    expect(unscheduled).toEqual([{ taskId: 'quiz', minutes: 120 }]);
+  });
+
+  test('plans only the time not already spent', () => {
+    const tasks = [task('lab', at(21, '17:00'), { estimate: 120 }), task('done', at(21, '17:00'), { estimate: 30 })];
+    const { blocks, unscheduled } = planStudyBlocks(tasks, { now, hours: everyDay(3), spent: { lab: 45, done: 30 } });
+    expect(blocks.map(b => [b.taskId, b.minutes])).toEqual([['lab', 75]]);
+    expect(unscheduled).toEqual([]);
+  });
+
+  test('assumes DEFAULT_ESTIMATE for tasks without one', () => {
+    const { blocks, assumed } = planStudyBlocks([task('read', at(21, '17:00'))], { now, hours: everyDay(3) });
+    expect(blocks.map(b => b.minutes)).toEqual([60]);
+    expect(assumed).toEqual(['read']);
+  });
+});
+
+describe('completionStats', () => {
+  test('counts the current and best streaks and the on-time rate', () => {
+    const done = (id, completedAt, dueDate = null) => ({ ...task(id, dueDate), completed: true, completedAt });
+    const stats = completionStats([
+      done('a', at(19, '08:00'), at(19, '12:00')),
+      done('b', at(18, '20:00'), at(17, '12:00')),
+      done('c', at(17, '20:00')),
+      done('d', at(14, '20:00')),
+      task('open', at(20, '12:00'))
+    ], { now });
+    expect(stats.streak).toBe(3);
+    expect(stats.bestStreak).toBe(3);
+    expect([stats.onTime, stats.late, stats.onTimeRate]).toEqual([1, 1, 0.5]);
+    expect(stats.daily[stats.daily.length - 1].count).toBe(1);
+  });
+});
+
+describe('workloadForecast', () => {
+  test('marks a week a crunch when its open work is more than its study time', () => {
+    const { weekly, capacity } = workloadForecast([
+      task('essay', at(20, '17:00'), { estimate: 300 }),
+      task('lab', at(22, '17:00'), { estimate: 200 }),
+      { ...task('done', at(21, '17:00'), { estimate: 600 }), completed: true }
+    ], { now, weeks: 2, hours: everyDay(1) });
+    expect(capacity).toBe(420);
+    expect(weekly.map(w => [w.count, w.minutes, w.crunch])).toEqual([[2, 500, true], [0, 0, false]]);
+  });
+});